@@ -1,4 +1,4 @@
-import {powerToSpeed} from "./main.js";
+import {powerToSpeed} from "./physics.js";
 import { AvatarCreator } from "./avatarCreator.js";
 import { constants } from "./constants.js";
 import { units } from "./units/index.js";
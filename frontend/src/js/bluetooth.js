@@ -1,25 +1,253 @@
 // bluetooth.js: Handles Bluetooth connection to smart trainer (Wahoo FTMS or similar)
+import { constants } from "./constants.js";
+import { HeartRateMonitor, parseHeartRateMeasurement } from "./heartRateMonitor.js";
+
+// FTMS Indoor Bike Data (0x2AD2) flag bits.
+// Note that bit 0 is inverted: instantaneous speed is present when it is CLEAR.
+const INDOOR_BIKE_FLAGS = {
+  MORE_DATA: 1 << 0,
+  AVERAGE_SPEED: 1 << 1,
+  INSTANTANEOUS_CADENCE: 1 << 2,
+  AVERAGE_CADENCE: 1 << 3,
+  TOTAL_DISTANCE: 1 << 4,
+  RESISTANCE_LEVEL: 1 << 5,
+  INSTANTANEOUS_POWER: 1 << 6,
+  AVERAGE_POWER: 1 << 7,
+  EXPENDED_ENERGY: 1 << 8,
+  HEART_RATE: 1 << 9,
+  METABOLIC_EQUIVALENT: 1 << 10,
+  ELAPSED_TIME: 1 << 11,
+  REMAINING_TIME: 1 << 12,
+};
+
+/**
+ * Decode an FTMS Indoor Bike Data notification.
+ * Fields are laid out in flag order, so the offset only advances for fields that are present.
+ * Only the fields the trainer actually sent are set on the returned object.
+ * Speeds are km/h, cadence is rpm, distance is metres and times are seconds.
+ */
+export function parseIndoorBikeData(value) {
+  const flags = value.getUint16(0, true);
+  const data = {};
+  let offset = 2;
+
+  if (!(flags & INDOOR_BIKE_FLAGS.MORE_DATA)) {
+    data.speed = value.getUint16(offset, true) / 100; // 0.01 km/h
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.AVERAGE_SPEED) {
+    data.averageSpeed = value.getUint16(offset, true) / 100;
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.INSTANTANEOUS_CADENCE) {
+    data.cadence = value.getUint16(offset, true) / 2; // 0.5 rpm
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.AVERAGE_CADENCE) {
+    data.averageCadence = value.getUint16(offset, true) / 2;
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.TOTAL_DISTANCE) {
+    // uint24, little-endian
+    data.totalDistance =
+      value.getUint8(offset) |
+      (value.getUint8(offset + 1) << 8) |
+      (value.getUint8(offset + 2) << 16);
+    offset += 3;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.RESISTANCE_LEVEL) {
+    data.resistanceLevel = value.getInt16(offset, true);
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.INSTANTANEOUS_POWER) {
+    data.power = value.getInt16(offset, true);
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.AVERAGE_POWER) {
+    data.averagePower = value.getInt16(offset, true);
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.EXPENDED_ENERGY) {
+    // total (kcal), per hour (kcal), per minute (kcal) - 0xFFFF / 0xFF mean "not available"
+    const total = value.getUint16(offset, true);
+    if (total !== 0xffff) data.totalEnergy = total;
+    offset += 5;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.HEART_RATE) {
+    data.heartRate = value.getUint8(offset);
+    offset += 1;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.METABOLIC_EQUIVALENT) {
+    offset += 1;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.ELAPSED_TIME) {
+    data.elapsedTime = value.getUint16(offset, true);
+    offset += 2;
+  }
+  if (flags & INDOOR_BIKE_FLAGS.REMAINING_TIME) {
+    data.remainingTime = value.getUint16(offset, true);
+    offset += 2;
+  }
+
+  return data;
+}
+
+// Cycling Power Measurement (0x2A63) flag bits
+const CYCLING_POWER_FLAGS = {
+  PEDAL_POWER_BALANCE: 1 << 0,
+  PEDAL_POWER_BALANCE_REFERENCE: 1 << 1,
+  ACCUMULATED_TORQUE: 1 << 2,
+  ACCUMULATED_TORQUE_SOURCE: 1 << 3,
+  WHEEL_REVOLUTION_DATA: 1 << 4,
+  CRANK_REVOLUTION_DATA: 1 << 5,
+  EXTREME_FORCE_MAGNITUDES: 1 << 6,
+  EXTREME_TORQUE_MAGNITUDES: 1 << 7,
+  EXTREME_ANGLES: 1 << 8,
+  TOP_DEAD_SPOT_ANGLE: 1 << 9,
+  BOTTOM_DEAD_SPOT_ANGLE: 1 << 10,
+  ACCUMULATED_ENERGY: 1 << 11,
+  OFFSET_COMPENSATION_INDICATOR: 1 << 12,
+};
+
+/**
+ * Decode a Cycling Power Measurement notification.
+ * Returns the raw cumulative wheel/crank counters - turning them into cadence and speed
+ * needs the previous notification, which is what RevolutionTracker is for.
+ * Torque is in Nm, force in N, angles in degrees and energy in kJ.
+ */
+export function parseCyclingPowerMeasurement(value) {
+  const flags = value.getUint16(0, true);
+  const data = { power: value.getInt16(2, true) };
+  let offset = 4;
+
+  if (flags & CYCLING_POWER_FLAGS.PEDAL_POWER_BALANCE) {
+    data.pedalBalance = value.getUint8(offset) / 2; // 1/2 %
+    data.pedalBalanceReference =
+      flags & CYCLING_POWER_FLAGS.PEDAL_POWER_BALANCE_REFERENCE ? "left" : "unknown";
+    offset += 1;
+  }
+  if (flags & CYCLING_POWER_FLAGS.ACCUMULATED_TORQUE) {
+    data.accumulatedTorque = value.getUint16(offset, true) / 32; // 1/32 Nm
+    data.accumulatedTorqueSource =
+      flags & CYCLING_POWER_FLAGS.ACCUMULATED_TORQUE_SOURCE ? "crank" : "wheel";
+    offset += 2;
+  }
+  if (flags & CYCLING_POWER_FLAGS.WHEEL_REVOLUTION_DATA) {
+    data.wheelRevolutions = value.getUint32(offset, true);
+    data.lastWheelEventTime = value.getUint16(offset + 4, true); // 1/2048 s
+    offset += 6;
+  }
+  if (flags & CYCLING_POWER_FLAGS.CRANK_REVOLUTION_DATA) {
+    data.crankRevolutions = value.getUint16(offset, true);
+    data.lastCrankEventTime = value.getUint16(offset + 2, true); // 1/1024 s
+    offset += 4;
+  }
+  if (flags & CYCLING_POWER_FLAGS.EXTREME_FORCE_MAGNITUDES) {
+    data.maxForce = value.getInt16(offset, true);
+    data.minForce = value.getInt16(offset + 2, true);
+    offset += 4;
+  }
+  if (flags & CYCLING_POWER_FLAGS.EXTREME_TORQUE_MAGNITUDES) {
+    data.maxTorque = value.getInt16(offset, true) / 32;
+    data.minTorque = value.getInt16(offset + 2, true) / 32;
+    offset += 4;
+  }
+  if (flags & CYCLING_POWER_FLAGS.EXTREME_ANGLES) {
+    // two packed uint12 values: maximum angle first, then minimum angle
+    const packed =
+      value.getUint8(offset) |
+      (value.getUint8(offset + 1) << 8) |
+      (value.getUint8(offset + 2) << 16);
+    data.maxAngle = packed & 0xfff;
+    data.minAngle = packed >> 12;
+    offset += 3;
+  }
+  if (flags & CYCLING_POWER_FLAGS.TOP_DEAD_SPOT_ANGLE) {
+    data.topDeadSpotAngle = value.getUint16(offset, true);
+    offset += 2;
+  }
+  if (flags & CYCLING_POWER_FLAGS.BOTTOM_DEAD_SPOT_ANGLE) {
+    data.bottomDeadSpotAngle = value.getUint16(offset, true);
+    offset += 2;
+  }
+  if (flags & CYCLING_POWER_FLAGS.ACCUMULATED_ENERGY) {
+    data.accumulatedEnergy = value.getUint16(offset, true);
+    offset += 2;
+  }
+  if (flags & CYCLING_POWER_FLAGS.OFFSET_COMPENSATION_INDICATOR) {
+    data.offsetCompensation = true;
+  }
+
+  return data;
+}
+
+/**
+ * Turns cumulative revolution counters (crank or wheel) into revolutions per minute.
+ * Both counters roll over, so deltas are taken modulo their range.
+ * Sensors repeat the last event while nothing turns, so once no new event has
+ * arrived for staleMs the rate drops to 0.
+ */
+export class RevolutionTracker {
+  constructor({ revolutionRollover = 0x10000, timeResolution = 1024, staleMs = 3000 } = {}) {
+    this.revolutionRollover = revolutionRollover;
+    this.timeResolution = timeResolution; // event time ticks per second
+    this.staleMs = staleMs;
+    this.last = null;
+    this.rpm = null;
+  }
+
+  // Returns rpm, or null until there are two events to compare
+  update(revolutions, eventTime, nowMs = Date.now()) {
+    if (this.last && this.last.eventTime === eventTime) {
+      if (nowMs - this.last.receivedMs > this.staleMs) this.rpm = 0;
+      return this.rpm;
+    }
+
+    if (this.last) {
+      const revs =
+        (revolutions - this.last.revolutions + this.revolutionRollover) % this.revolutionRollover;
+      const ticks = (eventTime - this.last.eventTime + 0x10000) % 0x10000;
+      this.rpm = (revs / (ticks / this.timeResolution)) * 60;
+    }
+
+    this.last = { revolutions, eventTime, receivedMs: nowMs };
+    return this.rpm;
+  }
+
+  reset() {
+    this.last = null;
+    this.rpm = null;
+  }
+}
+
 export class TrainerBluetooth {
   constructor() {
     this.device = null;
     this.server = null;
     this.characteristics = {};
-    this.onData = null; // callback({power, cadence, speed})
+    this.onData = null; // callback({power, cadence, speed, ...}) - only fields the device sent are set
+
+    // Cycling Power crank/wheel counters (wheel times are 1/2048 s, wheel revolutions are uint32)
+    this.crankTracker = new RevolutionTracker();
+    this.wheelTracker = new RevolutionTracker({ revolutionRollover: 2 ** 32, timeResolution: 2048 });
   }
 
   static get DEVICE_INFO_SERVICE_UUID() { return '0000180a-0000-1000-8000-00805f9b34fb'; }
   static get FITNESS_MACHINE_SERVICE_UUID() { return '00001826-0000-1000-8000-00805f9b34fb'; }
   static get CYCLING_POWER_SERVICE_UUID() { return '00001818-0000-1000-8000-00805f9b34fb'; }
   static get CYCLING_POWER_MEASUREMENT_UUID() { return '00002a63-0000-1000-8000-00805f9b34fb'; }
+  static get INDOOR_BIKE_DATA_UUID() { return '00002ad2-0000-1000-8000-00805f9b34fb'; }
 
-  async connect() {
+  // Pass a remembered device (from navigator.bluetooth.getDevices) to skip the chooser
+  async connect({ device } = {}) {
     try {
-      this.device = await navigator.bluetooth.requestDevice({
+      this.device = device ?? await navigator.bluetooth.requestDevice({
         acceptAllDevices: true,
         optionalServices: [
           TrainerBluetooth.DEVICE_INFO_SERVICE_UUID,
           TrainerBluetooth.FITNESS_MACHINE_SERVICE_UUID,
-          TrainerBluetooth.CYCLING_POWER_SERVICE_UUID
+          TrainerBluetooth.CYCLING_POWER_SERVICE_UUID,
+          HeartRateMonitor.HEART_RATE_SERVICE_UUID
         ]
       });
       this.server = await this.device.gatt.connect();
@@ -36,6 +264,8 @@ export class TrainerBluetooth {
         }
         for (const char of chars) {
           console.log('[DIAG] Found characteristic', char.uuid, 'in service', svc.uuid);
+          // Keep a handle on every characteristic so control points can be written later
+          this.characteristics[char.uuid] = char;
           // Try to read value if possible
           if (char.properties.read) {
             try {
@@ -67,12 +297,20 @@ export class TrainerBluetooth {
                 }
                 console.log(`[DIAG] [NOTIFY] Notification from service ${svc.uuid}, char ${char.uuid}:`, value, 'as string:', str, 'as hex:', Array.from(new Uint8Array(value.buffer)).map(b => b.toString(16).padStart(2, '0')).join(' '));
 
-                // If this is the Cycling Power Measurement characteristic, parse power and call onData
+                // If this is the Cycling Power Measurement characteristic, decode it and call onData
                 if (char.uuid === TrainerBluetooth.CYCLING_POWER_MEASUREMENT_UUID) {
-                  const flags = value.getUint16(0, true);
-                  const power = value.getInt16(2, true); // offset 2, little-endian
-                  console.log('[DIAG] [POWER] Cycling Power Measurement:', power, 'Flags:', flags, value);
-                  if (this.onData) this.onData({ power });
+                  this.handlePower(e);
+                }
+
+                // FTMS Indoor Bike Data carries speed, cadence, power and more
+                if (char.uuid === TrainerBluetooth.INDOOR_BIKE_DATA_UUID) {
+                  this.handleIndoorBikeData(e);
+                }
+
+                // Some trainers relay a paired strap through their own Heart Rate service
+                if (char.uuid === HeartRateMonitor.HEART_RATE_MEASUREMENT_UUID) {
+                  const { heartRate } = parseHeartRateMeasurement(value);
+                  if (this.onData) this.onData({ heartRate });
                 }
               });
               await char.startNotifications();
@@ -85,25 +323,42 @@ export class TrainerBluetooth {
       }
       return true;
     } catch (e) {
-      alert('Bluetooth connection failed: ' + e);
+      // Silent reconnects shouldn't pop a dialog on the ride page
+      if (device) console.warn('[BT] Reconnect failed:', e);
+      else alert('Bluetooth connection failed: ' + e);
       return false;
     }
   }
 
   handlePower(event) {
-    // Parse power from DataView (see FTMS spec)
-    const value = event.target.value;
-    const power = value.getInt16(2, true); // offset 2, little-endian
-    console.log('[DIAG] handlePower called, value:', value, 'power:', power);
-    if (this.onData) this.onData({power});
-  }
-
-  handleCadence(event) {
-    // Parse cadence and speed from DataView (see FTMS spec)
-    const value = event.target.value;
-    const cadence = value.getUint16(2, true); // offset 2, little-endian
-    const speed = value.getUint16(4, true) / 100; // offset 4, little-endian, convert to km/h
-    console.log('[DIAG] handleCadence called, value:', value, 'cadence:', cadence, 'speed:', speed);
-    if (this.onData) this.onData({cadence, speed});
+    // Parse every optional Cycling Power Measurement field (see CPS spec)
+    const measurement = parseCyclingPowerMeasurement(event.target.value);
+    const {
+      crankRevolutions,
+      lastCrankEventTime,
+      wheelRevolutions,
+      lastWheelEventTime,
+      ...data
+    } = measurement;
+
+    if (crankRevolutions !== undefined) {
+      const cadence = this.crankTracker.update(crankRevolutions, lastCrankEventTime);
+      if (cadence !== null) data.cadence = cadence;
+    }
+    if (wheelRevolutions !== undefined) {
+      const wheelRpm = this.wheelTracker.update(wheelRevolutions, lastWheelEventTime);
+      if (wheelRpm !== null) {
+        // revolutions per minute * circumference (m) -> km/h
+        data.speed = constants.msToKmh((wheelRpm / 60) * constants.wheelCircumference);
+      }
+    }
+
+    if (this.onData) this.onData(data);
+  }
+
+  handleIndoorBikeData(event) {
+    // Parse the flag-driven FTMS Indoor Bike Data record
+    const data = parseIndoorBikeData(event.target.value);
+    if (this.onData) this.onData(data);
   }
 }
@@ -13,22 +13,24 @@ class Constants {
     return ms * this.MS_TO_KMH;
   }
 
+  // cda, crr and the masses are defaults until profiles.js applies the rider's equipment
   cda = 0.45; // drag area (m^2) - slightly higher for realism
   crr = 0.004; // rolling resistance coefficient - slightly higher for realism
   airDensity = 1.225; // kg/m^3
   g = 9.8067; // gravity
-  coastingFactor = 2.2; //for more realistic coasting
 
   // technically not constants, but close enough
   // should still be refactored out of main.js
 
-  // mass should probabally go in avatar.js, when everything is fully merged
   riderMass = 58; // rider mass (kg)
   bikeMass = 7; // bike mass (kg)
   get mass() {
     return this.riderMass + this.bikeMass;
   }
   slope = 0; // road grade (decimal)
+  draftFactor = 1; // aero drag multiplier from drafting (1 = clean air), see drafting.js
+  windSpeed = 0; // headwind along the rider's heading (m/s, negative = tailwind), see wind.js
+  windVector = { x: 0, z: 0 }; // air velocity in the world (m/s), moves the clouds
   lastTime = Date.now();
   // keyboard mode values - should go in own class for keyboard mode
   keyboardMode = false;
@@ -41,9 +43,14 @@ class Constants {
 
   riderState = { power: 0, speed: 0, calories: 0 };
   pacerStarted = false;
+  // main.js places the pacer by distance (a ghost or a power pacer), so Track.js leaves it alone
+  pacerFollowsDistance = false;
   dragCoefficient = 1.0;
   bikeWheelRadius = 0.22;
   bikeWheelThickness = 0.04;
+  wheelCircumference = 2.105; // real wheel (m), 700x25c - used for sensor wheel speed
+  wheelInertia = 0.08; // moment of inertia of one road wheel (kg m^2)
+  wheelCount = 2;
   //This is assuming the cross-sectional area is a rectangle matching the wheel
   bikeCrossSectionalArea = this.bikeWheelRadius * 2 * this.bikeWheelThickness; //(I am going to assume in m^2. I don't know what units they used for the current implementation)
   airTemperature = 303; //in Kelvin
@@ -64,6 +71,11 @@ class Constants {
     );
   }
 
+  // wind resistance coefficient (kg/m) as trainers expect it for simulation mode
+  get cw() {
+    return 0.5 * this.airDensity * this.dragCoefficient * this.cda;
+  }
+
   coefficientOfFriction = 0.6; //https://www.engineeringtoolbox.com/friction-coefficients-d_778.html Rubber on Dry Asphalt
   normalForce = this.mass * this.g;
   frictionForce = this.coefficientOfFriction * this.normalForce;
@@ -93,15 +105,15 @@ class Constants {
   pathPositionZ = 0;
   dirtColor = "#a0895a";
 
+  // Track.js animates the rider speed / 1.5 units a second at speed km/h (speed / 3.6 m/s)
+  sceneUnitsPerMetre = 3.6 / 1.5;
+
   farthestSpawn = 1;
   trackPoints = [];
   currentTrackPiece = 0;
   pacerCurrentTrackPiece = 0;
 
-  // Constants governing cloud speed
-  lastCloud = Date.now();
-  cloudSpeed = 0;
-  updateEvery = 0;
+  // Constants governing clouds
   totalCloudTypes = 3;
 
 
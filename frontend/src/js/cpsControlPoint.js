@@ -0,0 +1,135 @@
+// cpsControlPoint.js: Writes procedures to the Cycling Power Control Point (0x2A66)
+// and matches them with the power meter's response indications.
+
+export const CPS_CONTROL_POINT_UUID = "00002a66-0000-1000-8000-00805f9b34fb";
+
+export const CPS_OP_CODES = {
+  START_OFFSET_COMPENSATION: 0x0c,
+  RESPONSE_CODE: 0x20,
+};
+
+export const CPS_RESULT_CODES = {
+  SUCCESS: 0x01,
+  OP_CODE_NOT_SUPPORTED: 0x02,
+  INVALID_PARAMETER: 0x03,
+  OPERATION_FAILED: 0x04,
+};
+
+const RESULT_MESSAGES = {
+  [CPS_RESULT_CODES.OP_CODE_NOT_SUPPORTED]: "Op code not supported",
+  [CPS_RESULT_CODES.INVALID_PARAMETER]: "Invalid parameter",
+  [CPS_RESULT_CODES.OPERATION_FAILED]: "Operation failed",
+};
+
+// Extra detail a failed offset compensation may carry
+const OFFSET_FAILURE_REASONS = {
+  0x01: "Incorrect calibration position",
+  0xff: "Manufacturer specific error",
+};
+
+const controlPoints = new WeakMap();
+
+export function cpsControlPointFor(sensor, options) {
+  let controlPoint = controlPoints.get(sensor);
+  if (controlPoint) return controlPoint;
+
+  const characteristic = sensor?.characteristics?.[CPS_CONTROL_POINT_UUID];
+  if (!characteristic) {
+    throw new Error("Power meter does not expose the Cycling Power control point");
+  }
+  controlPoint = new CpsControlPoint(characteristic, options);
+  controlPoints.set(sensor, controlPoint);
+  return controlPoint;
+}
+
+export class CpsControlPoint {
+  // Offset compensation can take several seconds while the meter samples the strain gauges
+  constructor(characteristic, { timeoutMs = 10000 } = {}) {
+    this.characteristic = characteristic;
+    this.timeoutMs = timeoutMs;
+    this.pending = null; // { opCode, resolve, reject, timerId }
+    this.started = false;
+    this.handleIndication = this.handleIndication.bind(this);
+  }
+
+  // Subscribe to the response indications. Safe to call more than once.
+  async start() {
+    if (this.started) return;
+    this.characteristic.addEventListener("characteristicvaluechanged", this.handleIndication);
+    await this.characteristic.startNotifications();
+    this.started = true;
+  }
+
+  handleIndication(event) {
+    const value = event.target.value;
+    if (!value || value.byteLength < 3) return;
+    if (value.getUint8(0) !== CPS_OP_CODES.RESPONSE_CODE) return;
+
+    const requestOpCode = value.getUint8(1);
+    const resultCode = value.getUint8(2);
+    if (!this.pending || this.pending.opCode !== requestOpCode) {
+      console.warn("[CPS] Unexpected control point response", requestOpCode, resultCode);
+      return;
+    }
+
+    const { resolve, reject, timerId } = this.pending;
+    clearTimeout(timerId);
+    this.pending = null;
+
+    const parameters = new DataView(value.buffer, value.byteOffset + 3, value.byteLength - 3);
+    if (resultCode === CPS_RESULT_CODES.SUCCESS) {
+      resolve({ opCode: requestOpCode, resultCode, parameters });
+    } else {
+      const err = new Error(
+        `CPS op 0x${requestOpCode.toString(16)} failed: ${RESULT_MESSAGES[resultCode] || resultCode}`
+      );
+      err.opCode = requestOpCode;
+      err.resultCode = resultCode;
+      err.parameters = parameters;
+      reject(err);
+    }
+  }
+
+  // Only one procedure may be in flight
+  write(opCode, parameters = []) {
+    if (this.pending) {
+      return Promise.reject(new Error("A Cycling Power control point procedure is already running"));
+    }
+    return new Promise((resolve, reject) => {
+      const timerId = setTimeout(() => {
+        this.pending = null;
+        const err = new Error(`CPS op 0x${opCode.toString(16)} timed out`);
+        err.opCode = opCode;
+        reject(err);
+      }, this.timeoutMs);
+      this.pending = { opCode, resolve, reject, timerId };
+
+      const payload = new Uint8Array([opCode, ...parameters]);
+      const writeFn = this.characteristic.writeValueWithResponse
+        ? this.characteristic.writeValueWithResponse.bind(this.characteristic)
+        : this.characteristic.writeValue.bind(this.characteristic);
+      writeFn(payload).catch((err) => {
+        clearTimeout(timerId);
+        this.pending = null;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Zero the power meter. Resolves to { offset } - the raw sint16 compensation value
+   * (newtons or 1/32 Nm depending on the meter), null if the meter didn't send one.
+   * A failure rejects with a reason when the meter gives one.
+   */
+  async startOffsetCompensation() {
+    await this.start();
+    try {
+      const { parameters } = await this.write(CPS_OP_CODES.START_OFFSET_COMPENSATION);
+      return { offset: parameters.byteLength >= 2 ? parameters.getInt16(0, true) : null };
+    } catch (err) {
+      const reason = err.parameters?.byteLength ? OFFSET_FAILURE_REASONS[err.parameters.getUint8(0)] : null;
+      if (reason) err.message += ` (${reason})`;
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,103 @@
+// cscSensor.js: Handles Bluetooth connection to a speed / cadence sensor (Cycling Speed and Cadence 0x1816)
+// and turns wheel speed into virtual power for classic trainers
+import { RevolutionTracker } from "./bluetooth.js";
+import { constants } from "./constants.js";
+import { virtualPowerFromSpeed } from "./virtualPower.js";
+
+// CSC Measurement (0x2A5B) flag bits
+const CSC_FLAGS = {
+  WHEEL_REVOLUTIONS: 1 << 0,
+  CRANK_REVOLUTIONS: 1 << 1,
+};
+
+/**
+ * Decode a CSC Measurement notification.
+ * Event times are in 1/1024 s; wheel revolutions are uint32, crank revolutions uint16.
+ */
+export function parseCscMeasurement(value) {
+  const flags = value.getUint8(0);
+  const data = {};
+  let offset = 1;
+
+  if (flags & CSC_FLAGS.WHEEL_REVOLUTIONS) {
+    data.wheelRevolutions = value.getUint32(offset, true);
+    data.lastWheelEventTime = value.getUint16(offset + 4, true);
+    offset += 6;
+  }
+
+  if (flags & CSC_FLAGS.CRANK_REVOLUTIONS) {
+    data.crankRevolutions = value.getUint16(offset, true);
+    data.lastCrankEventTime = value.getUint16(offset + 2, true);
+    offset += 4;
+  }
+
+  return data;
+}
+
+export class CscSensor {
+  // powerCurve comes from virtualPower.js; without one only speed and cadence are reported
+  constructor({ powerCurve = null } = {}) {
+    this.device = null;
+    this.server = null;
+    this.characteristics = {};
+    this.onData = null; // callback({speed, cadence, power}) - only fields the sensor sent are set
+    this.powerCurve = powerCurve;
+
+    this.crankTracker = new RevolutionTracker();
+    this.wheelTracker = new RevolutionTracker({ revolutionRollover: 2 ** 32 });
+    this.handleMeasurement = this.handleMeasurement.bind(this);
+  }
+
+  static get CSC_SERVICE_UUID() { return '00001816-0000-1000-8000-00805f9b34fb'; }
+  static get CSC_MEASUREMENT_UUID() { return '00002a5b-0000-1000-8000-00805f9b34fb'; }
+
+  // Pass a remembered device (from navigator.bluetooth.getDevices) to skip the chooser
+  async connect({ device } = {}) {
+    try {
+      this.device = device ?? await navigator.bluetooth.requestDevice({
+        filters: [{ services: [CscSensor.CSC_SERVICE_UUID] }],
+      });
+      this.server = await this.device.gatt.connect();
+
+      const service = await this.server.getPrimaryService(CscSensor.CSC_SERVICE_UUID);
+      const measurement = await service.getCharacteristic(CscSensor.CSC_MEASUREMENT_UUID);
+      this.characteristics[measurement.uuid] = measurement;
+
+      measurement.addEventListener('characteristicvaluechanged', this.handleMeasurement);
+      await measurement.startNotifications();
+      console.log('[CSC] Subscribed to speed/cadence notifications from', this.device.name);
+      return true;
+    } catch (e) {
+      if (device) console.warn('[CSC] Reconnect failed:', e);
+      else alert('Speed/cadence sensor connection failed: ' + e);
+      return false;
+    }
+  }
+
+  handleMeasurement(event) {
+    const {
+      wheelRevolutions,
+      lastWheelEventTime,
+      crankRevolutions,
+      lastCrankEventTime,
+    } = parseCscMeasurement(event.target.value);
+    const data = {};
+
+    if (crankRevolutions !== undefined) {
+      const cadence = this.crankTracker.update(crankRevolutions, lastCrankEventTime);
+      if (cadence !== null) data.cadence = cadence;
+    }
+    if (wheelRevolutions !== undefined) {
+      const wheelRpm = this.wheelTracker.update(wheelRevolutions, lastWheelEventTime);
+      if (wheelRpm !== null) {
+        // revolutions per minute * circumference (m) -> km/h
+        data.speed = constants.msToKmh((wheelRpm / 60) * constants.wheelCircumference);
+        if (this.powerCurve) {
+          data.power = Math.round(virtualPowerFromSpeed(data.speed, this.powerCurve));
+        }
+      }
+    }
+
+    if (Object.keys(data).length > 0 && this.onData) this.onData(data);
+  }
+}
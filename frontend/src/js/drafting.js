@@ -0,0 +1,64 @@
+// drafting.js: Works out how much aero drag a rider saves sitting behind another avatar.
+// The result is a factor on the aero drag term: 1 is clean air, lower is a draft.
+import { constants } from "./constants.js";
+
+export const DRAFT = {
+  maxSaving: 0.38, // drag saved right on the wheel in front - about 30% of the watts at speed
+  bikeLength: 1.8, // m, centre to centre of two touching bikes
+  decayLength: 6, // m of wheel gap over which the saving falls to about a third
+  maxGap: 15, // m, nothing measurable past this
+  fullWidth: 0.5, // m of lateral offset that still gets the whole draft
+  noneWidth: 1.2, // m of lateral offset with no draft at all
+};
+
+/**
+ * Draft factor for a wheel gap (m, front wheel to rear wheel; negative means overlapping)
+ * and a lateral offset (m) from the rider ahead.
+ */
+export function draftFactor(gap, lateral = 0, draft = DRAFT) {
+  if (!(gap >= 0) || gap > draft.maxGap) return 1;
+
+  const longitudinal = Math.exp(-gap / draft.decayLength);
+  const offset = Math.abs(lateral);
+  const sideways =
+    offset <= draft.fullWidth
+      ? 1
+      : Math.max(0, 1 - (offset - draft.fullWidth) / (draft.noneWidth - draft.fullWidth));
+
+  return 1 - draft.maxSaving * longitudinal * sideways;
+}
+
+// Where other sits relative to rider along a unit heading on the ground plane: { gap, lateral }
+// in metres. Positions are A-Frame scene units, constants.sceneUnitsPerMetre to the metre.
+export function relativePosition(rider, other, heading, draft = DRAFT) {
+  const dx = (other.x - rider.x) / constants.sceneUnitsPerMetre;
+  const dz = (other.z - rider.z) / constants.sceneUnitsPerMetre;
+  const along = dx * heading.x + dz * heading.z;
+  const across = dx * heading.z - dz * heading.x;
+  return { gap: along - draft.bikeLength, lateral: across };
+}
+
+// Unit direction from a position towards a target on the ground plane.
+// Without a target, or standing on it, falls back to the track's usual -z direction.
+export function headingToward(from, to, fallback = { x: 0, z: -1 }) {
+  if (!to) return fallback;
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const length = Math.hypot(dx, dz);
+  return length > 1e-6 ? { x: dx / length, z: dz / length } : fallback;
+}
+
+/**
+ * Best draft from any of the others (scene positions), e.g. the pacer and peer riders.
+ * Returns { factor, gap } with gap to the wheel being followed (null in clean air).
+ */
+export function draftFromRiders(rider, heading, others, draft = DRAFT) {
+  let best = { factor: 1, gap: null };
+  for (const other of others) {
+    if (!other) continue;
+    const { gap, lateral } = relativePosition(rider, other, heading, draft);
+    const factor = draftFactor(gap, lateral, draft);
+    if (factor < best.factor) best = { factor, gap };
+  }
+  return best;
+}
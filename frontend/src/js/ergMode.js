@@ -0,0 +1,121 @@
+// ergMode.js: ERG mode - keeps the trainer's resistance at the workout's target power
+import { controlPointFor, FTMS_STOP, FTMS_PAUSE } from "./ftmsControlPoint.js";
+
+export class ErgController {
+  constructor({
+    trainer,
+    timeoutMs = 3000,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 30000,
+    now = () => Date.now(),
+  } = {}) {
+    this.trainer = trainer;
+    this.timeoutMs = timeoutMs;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.now = now;
+    this.controlPoint = null;
+
+    // requested is what the workout wants, sent is what the trainer last accepted
+    this.requestedWatts = null;
+    this.sentWatts = null;
+    this.lastError = null;
+
+    // A failed write is sent again on a later frame, backing off while it keeps failing
+    this.failedWrites = 0;
+    this.retryAt = null;
+
+    this.queue = Promise.resolve();
+  }
+
+  get hasControl() {
+    return !!this.controlPoint?.hasControl;
+  }
+
+  /**
+   * Call this once per frame with the workout's current target (or null when there is none).
+   * Only changes are written to the trainer, plus retries of a write that failed.
+   */
+  update(targetWatts) {
+    const target =
+      typeof targetWatts === "number" && Number.isFinite(targetWatts) && targetWatts > 0
+        ? Math.round(targetWatts)
+        : null;
+    if (target === this.requestedWatts && !this.#retryDue()) return;
+
+    this.requestedWatts = target;
+    this.retryAt = null;
+    this.#enqueue(() => this.#applyTarget());
+  }
+
+  // Give control back to the trainer (pause / resume flow)
+  pause() {
+    return this.#release(FTMS_PAUSE);
+  }
+
+  // Give control back to the trainer at the end of a workout
+  stop() {
+    return this.#release(FTMS_STOP);
+  }
+
+  // Resolves once every queued write has finished
+  idle() {
+    return this.queue;
+  }
+
+  #enqueue(task) {
+    this.queue = this.queue.then(task).catch((err) => {
+      this.lastError = err;
+      console.warn("[ERG]", err.message);
+    });
+    return this.queue;
+  }
+
+  async #applyTarget() {
+    // Only the newest request matters; older queued ones become no-ops
+    const target = this.requestedWatts;
+    if (target === this.sentWatts && this.hasControl) return;
+
+    if (target === null) {
+      await this.#releaseNow(FTMS_STOP);
+      return;
+    }
+
+    if (!this.controlPoint) {
+      this.controlPoint = controlPointFor(this.trainer, { timeoutMs: this.timeoutMs });
+    }
+    try {
+      await this.controlPoint.takeControl();
+      await this.controlPoint.setTargetPower(target);
+    } catch (err) {
+      this.#scheduleRetry(target);
+      throw err;
+    }
+    this.sentWatts = target;
+    this.lastError = null;
+    this.failedWrites = 0;
+  }
+
+  #retryDue() {
+    return this.retryAt !== null && this.now() >= this.retryAt;
+  }
+
+  // Exponential backoff capped at maxRetryDelayMs, unless the workout has moved on
+  #scheduleRetry(target) {
+    if (target !== this.requestedWatts) return;
+    const delay = Math.min(this.retryDelayMs * 2 ** this.failedWrites, this.maxRetryDelayMs);
+    this.failedWrites += 1;
+    this.retryAt = this.now() + delay;
+  }
+
+  #release(stopOrPause) {
+    this.requestedWatts = null;
+    this.retryAt = null;
+    return this.#enqueue(() => this.#releaseNow(stopOrPause));
+  }
+
+  async #releaseNow(stopOrPause) {
+    this.sentWatts = null;
+    if (this.controlPoint) await this.controlPoint.releaseControl(stopOrPause);
+  }
+}
@@ -0,0 +1,268 @@
+// ftmsControlPoint.js: Writes procedures to the FTMS Fitness Machine Control Point (0x2AD9)
+// and matches them with the trainer's response indications.
+
+export const FTMS_CONTROL_POINT_UUID = "00002ad9-0000-1000-8000-00805f9b34fb";
+export const FTMS_MACHINE_STATUS_UUID = "00002ada-0000-1000-8000-00805f9b34fb";
+
+export const FTMS_OP_CODES = {
+  REQUEST_CONTROL: 0x00,
+  RESET: 0x01,
+  SET_TARGET_POWER: 0x05,
+  START_OR_RESUME: 0x07,
+  STOP_OR_PAUSE: 0x08,
+  SET_INDOOR_BIKE_SIMULATION: 0x11,
+  SPIN_DOWN_CONTROL: 0x13,
+  RESPONSE_CODE: 0x80,
+};
+
+export const FTMS_RESULT_CODES = {
+  SUCCESS: 0x01,
+  OP_CODE_NOT_SUPPORTED: 0x02,
+  INVALID_PARAMETER: 0x03,
+  OPERATION_FAILED: 0x04,
+  CONTROL_NOT_PERMITTED: 0x05,
+};
+
+// Parameter for STOP_OR_PAUSE
+export const FTMS_STOP = 0x01;
+export const FTMS_PAUSE = 0x02;
+
+// Parameter for SPIN_DOWN_CONTROL
+export const FTMS_SPIN_DOWN_START = 0x01;
+export const FTMS_SPIN_DOWN_IGNORE = 0x02;
+
+// Fitness Machine Status (0x2ADA) op code for spin down, and its status values
+const MACHINE_STATUS_SPIN_DOWN = 0x14;
+export const FTMS_SPIN_DOWN_STATUS = {
+  REQUESTED: 0x01,
+  SUCCESS: 0x02,
+  ERROR: 0x03,
+  STOP_PEDALING: 0x04,
+};
+
+/**
+ * Decode a Fitness Machine Status notification.
+ * Only spin down status is unpacked; other op codes come back as { opCode }.
+ */
+export function parseFitnessMachineStatus(value) {
+  const opCode = value.getUint8(0);
+  if (opCode === MACHINE_STATUS_SPIN_DOWN && value.byteLength >= 2) {
+    return { opCode, spinDownStatus: value.getUint8(1) };
+  }
+  return { opCode };
+}
+
+const RESULT_MESSAGES = {
+  [FTMS_RESULT_CODES.OP_CODE_NOT_SUPPORTED]: "Op code not supported",
+  [FTMS_RESULT_CODES.INVALID_PARAMETER]: "Invalid parameter",
+  [FTMS_RESULT_CODES.OPERATION_FAILED]: "Operation failed",
+  [FTMS_RESULT_CODES.CONTROL_NOT_PERMITTED]: "Control not permitted",
+};
+
+// One control point per trainer, so ERG and simulation mode share control state
+const controlPoints = new WeakMap();
+
+export function controlPointFor(trainer, options) {
+  let controlPoint = controlPoints.get(trainer);
+  if (controlPoint) return controlPoint;
+
+  const characteristic = trainer?.characteristics?.[FTMS_CONTROL_POINT_UUID];
+  if (!characteristic) {
+    throw new Error("Trainer does not expose the FTMS control point");
+  }
+  controlPoint = new FtmsControlPoint(characteristic, options);
+  controlPoints.set(trainer, controlPoint);
+  return controlPoint;
+}
+
+// Clamp a scaled value into an integer range and split it into little-endian bytes
+function toBytes(value, { min, max, size }) {
+  const clamped = Math.max(min, Math.min(max, Math.round(value)));
+  return size === 1 ? [clamped & 0xff] : [clamped & 0xff, (clamped >> 8) & 0xff];
+}
+
+export class FtmsControlPoint {
+  constructor(characteristic, { timeoutMs = 3000 } = {}) {
+    this.characteristic = characteristic;
+    this.timeoutMs = timeoutMs;
+    this.hasControl = false;
+    this.pending = null; // { opCode, resolve, reject, timerId }
+    this.queue = Promise.resolve();
+    this.started = false;
+    this.handleIndication = this.handleIndication.bind(this);
+  }
+
+  // Subscribe to the response indications. Safe to call more than once.
+  async start() {
+    if (this.started) return;
+    this.characteristic.addEventListener("characteristicvaluechanged", this.handleIndication);
+    await this.characteristic.startNotifications();
+    this.started = true;
+  }
+
+  stop() {
+    this.characteristic.removeEventListener("characteristicvaluechanged", this.handleIndication);
+    this.started = false;
+    if (this.pending) {
+      clearTimeout(this.pending.timerId);
+      this.pending.reject(new Error("FTMS control point stopped"));
+      this.pending = null;
+    }
+  }
+
+  handleIndication(event) {
+    const value = event.target.value;
+    if (!value || value.byteLength < 3) return;
+    if (value.getUint8(0) !== FTMS_OP_CODES.RESPONSE_CODE) return;
+
+    const requestOpCode = value.getUint8(1);
+    const resultCode = value.getUint8(2);
+    if (!this.pending || this.pending.opCode !== requestOpCode) {
+      console.warn("[FTMS] Unexpected control point response", requestOpCode, resultCode);
+      return;
+    }
+
+    const { resolve, reject, timerId } = this.pending;
+    clearTimeout(timerId);
+    this.pending = null;
+
+    if (resultCode === FTMS_RESULT_CODES.SUCCESS) {
+      // Anything after the result code is procedure specific (e.g. spin down target speeds)
+      resolve({
+        opCode: requestOpCode,
+        resultCode,
+        parameters: new DataView(value.buffer, value.byteOffset + 3, value.byteLength - 3),
+      });
+    } else {
+      const err = new Error(
+        `FTMS op 0x${requestOpCode.toString(16)} failed: ${RESULT_MESSAGES[resultCode] || resultCode}`
+      );
+      err.opCode = requestOpCode;
+      err.resultCode = resultCode;
+      // The trainer may have handed control to another app
+      if (resultCode === FTMS_RESULT_CODES.CONTROL_NOT_PERMITTED) this.hasControl = false;
+      reject(err);
+    }
+  }
+
+  /**
+   * Write one procedure and wait for its response indication.
+   * The spec only allows one procedure in flight, so writes are queued.
+   */
+  write(opCode, parameters = []) {
+    const run = () => this.#writeNow(opCode, parameters);
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  #writeNow(opCode, parameters) {
+    return new Promise((resolve, reject) => {
+      const timerId = setTimeout(() => {
+        this.pending = null;
+        const err = new Error(`FTMS op 0x${opCode.toString(16)} timed out`);
+        err.opCode = opCode;
+        reject(err);
+      }, this.timeoutMs);
+      this.pending = { opCode, resolve, reject, timerId };
+
+      const payload = new Uint8Array([opCode, ...parameters]);
+      const writeFn = this.characteristic.writeValueWithResponse
+        ? this.characteristic.writeValueWithResponse.bind(this.characteristic)
+        : this.characteristic.writeValue.bind(this.characteristic);
+      writeFn(payload).catch((err) => {
+        clearTimeout(timerId);
+        this.pending = null;
+        reject(err);
+      });
+    });
+  }
+
+  async requestControl() {
+    const response = await this.write(FTMS_OP_CODES.REQUEST_CONTROL);
+    this.hasControl = true;
+    return response;
+  }
+
+  // Reset also hands control back to the trainer
+  async reset() {
+    const response = await this.write(FTMS_OP_CODES.RESET);
+    this.hasControl = false;
+    return response;
+  }
+
+  startOrResume() {
+    return this.write(FTMS_OP_CODES.START_OR_RESUME);
+  }
+
+  stopOrPause(parameter = FTMS_STOP) {
+    return this.write(FTMS_OP_CODES.STOP_OR_PAUSE, [parameter]);
+  }
+
+  // Subscribe, request control and start the trainer if we don't already hold it
+  async takeControl() {
+    await this.start();
+    if (this.hasControl) return;
+
+    await this.requestControl();
+    try {
+      await this.startOrResume();
+    } catch (err) {
+      // Plenty of trainers accept targets without an explicit start
+      if (err.resultCode !== FTMS_RESULT_CODES.OP_CODE_NOT_SUPPORTED) throw err;
+    }
+  }
+
+  // Stop or pause the trainer and release control with a reset
+  async releaseControl(stopOrPause = FTMS_STOP) {
+    if (!this.hasControl) return;
+
+    try {
+      await this.stopOrPause(stopOrPause);
+    } catch (err) {
+      console.warn("[FTMS] Stop/pause rejected", err.message);
+    }
+    await this.reset();
+  }
+
+  // Target power is a sint16 in watts
+  setTargetPower(watts) {
+    return this.write(
+      FTMS_OP_CODES.SET_TARGET_POWER,
+      toBytes(watts, { min: -32768, max: 32767, size: 2 })
+    );
+  }
+
+  /**
+   * Start a spin down. The trainer answers with the speed window the rider has to reach,
+   * returned here in km/h. Progress then arrives on the Fitness Machine Status characteristic.
+   */
+  async startSpinDown() {
+    const { parameters } = await this.write(FTMS_OP_CODES.SPIN_DOWN_CONTROL, [FTMS_SPIN_DOWN_START]);
+    if (parameters.byteLength < 4) {
+      return { targetSpeedLow: null, targetSpeedHigh: null };
+    }
+    // Both speeds are uint16 in 0.01 km/h
+    return {
+      targetSpeedLow: parameters.getUint16(0, true) / 100,
+      targetSpeedHigh: parameters.getUint16(2, true) / 100,
+    };
+  }
+
+  ignoreSpinDown() {
+    return this.write(FTMS_OP_CODES.SPIN_DOWN_CONTROL, [FTMS_SPIN_DOWN_IGNORE]);
+  }
+
+  /**
+   * Set Indoor Bike Simulation Parameters.
+   * windSpeed in m/s (positive is a headwind), grade in %, crr unitless, cw in kg/m.
+   */
+  setIndoorBikeSimulation({ windSpeed = 0, grade = 0, crr = 0.004, cw = 0.51 } = {}) {
+    return this.write(FTMS_OP_CODES.SET_INDOOR_BIKE_SIMULATION, [
+      ...toBytes(windSpeed * 1000, { min: -32768, max: 32767, size: 2 }), // 0.001 m/s
+      ...toBytes(grade * 100, { min: -32768, max: 32767, size: 2 }), // 0.01 %
+      ...toBytes(crr * 10000, { min: 0, max: 255, size: 1 }), // 0.0001
+      ...toBytes(cw * 100, { min: 0, max: 255, size: 1 }), // 0.01 kg/m
+    ]);
+  }
+}
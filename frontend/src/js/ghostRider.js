@@ -0,0 +1,137 @@
+// ghostRider.js: Race a previous ride. WorkoutStorage keeps each ride's distance-vs-time
+// stream ([[seconds, metres], ...]); the ghost replays one by distance rather than speed,
+// so where it sits and the time gap to it are exact.
+
+const GHOST_SETTINGS_STORAGE_KEY = "GhostSettings";
+
+export const GHOST_OFF = "off";
+export const GHOST_BEST = "best"; // the fastest past ride over settings.distanceKm
+
+// ride is GHOST_OFF, GHOST_BEST or the id of a saved workout
+export const DEFAULT_GHOST_SETTINGS = { ride: GHOST_OFF, distanceKm: 10 };
+
+export function loadGhostSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GHOST_SETTINGS_STORAGE_KEY));
+    const distanceKm = Number(stored?.distanceKm);
+    return {
+      ride: typeof stored?.ride === "string" ? stored.ride : DEFAULT_GHOST_SETTINGS.ride,
+      distanceKm: distanceKm > 0 ? distanceKm : DEFAULT_GHOST_SETTINGS.distanceKm,
+    };
+  } catch {
+    return { ...DEFAULT_GHOST_SETTINGS };
+  }
+}
+
+export function saveGhostSettings(settings) {
+  const saved = { ...loadGhostSettings(), ...settings };
+  localStorage.setItem(GHOST_SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+// Index of the last point whose column `key` (0 = seconds, 1 = metres) is at most value
+function lastPointAtMost(stream, key, value) {
+  let low = 0;
+  let high = stream.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (stream[mid][key] <= value) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Seconds a stream took to cover metres, or null if it never got that far.
+ */
+export function timeToCover(stream, metres) {
+  if (!stream?.length || stream[stream.length - 1][1] < metres) return null;
+  if (metres <= stream[0][1]) return stream[0][0];
+  // First point at or past metres, and the one before it
+  const i = lastPointAtMost(stream, 1, metres - 1e-9) + 1;
+  const [t0, d0] = stream[i - 1];
+  const [t1, d1] = stream[i];
+  return t0 + ((metres - d0) / (d1 - d0)) * (t1 - t0);
+}
+
+export class GhostRider {
+  constructor(stream, { label = "Ghost" } = {}) {
+    this.stream = stream;
+    this.label = label;
+  }
+
+  get totalSeconds() {
+    return this.stream[this.stream.length - 1][0];
+  }
+
+  get totalMetres() {
+    return this.stream[this.stream.length - 1][1];
+  }
+
+  // Metres ridden after seconds; the ghost waits at its finish once its ride is over
+  distanceAt(seconds) {
+    const stream = this.stream;
+    if (seconds <= stream[0][0]) return stream[0][1];
+    if (seconds >= this.totalSeconds) return this.totalMetres;
+    const i = lastPointAtMost(stream, 0, seconds);
+    const [t0, d0] = stream[i];
+    const [t1, d1] = stream[i + 1];
+    return d0 + ((seconds - t0) / (t1 - t0)) * (d1 - d0);
+  }
+
+  // Ghost speed in km/h (for the wheels and cranks)
+  speedAt(seconds, windowSeconds = 2) {
+    if (seconds >= this.totalSeconds) return 0;
+    const metres = this.distanceAt(seconds + windowSeconds) - this.distanceAt(seconds);
+    return (metres / windowSeconds) * 3.6;
+  }
+
+  /**
+   * Time gap to the ghost in seconds: positive when the rider is ahead (reached riderMetres
+   * sooner than the ghost did), negative when behind.
+   * null once the rider is past the end of the ghost's ride.
+   */
+  gapSeconds(seconds, riderMetres) {
+    const ghostSeconds = timeToCover(this.stream, riderMetres);
+    return ghostSeconds === null ? null : ghostSeconds - seconds;
+  }
+}
+
+/**
+ * The ride that covered metres fastest, from [{ id, stream, ... }], or null if none got that far.
+ */
+export function bestRideOver(rides, metres) {
+  let best = null;
+  let bestSeconds = Infinity;
+  for (const ride of rides) {
+    const seconds = timeToCover(ride.stream, metres);
+    if (seconds !== null && seconds < bestSeconds) {
+      best = ride;
+      bestSeconds = seconds;
+    }
+  }
+  return best;
+}
+
+// "12/03/2026 - 10.2 km in 25:31" for the ghost menu
+export function describeRide(ride) {
+  const seconds = Math.round(ride.stream[ride.stream.length - 1][0]);
+  const km = ride.stream[ride.stream.length - 1][1] / 1000;
+  const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  return `${new Date(ride.date).toLocaleDateString()} - ${km.toFixed(1)} km in ${time}`;
+}
+
+/**
+ * The ghost the settings ask for, from the rides saved in workoutStorage, or null
+ * (ghost off, the chosen ride is gone, or no ride is long enough).
+ */
+export function ghostFor(settings, workoutStorage) {
+  if (!settings || settings.ride === GHOST_OFF) return null;
+  const rides = workoutStorage.getRidesWithStreams();
+  if (settings.ride === GHOST_BEST) {
+    const best = bestRideOver(rides, settings.distanceKm * 1000);
+    return best && new GhostRider(best.stream, { label: `Best ${settings.distanceKm} km` });
+  }
+  const ride = rides.find((r) => r.id === settings.ride);
+  return ride ? new GhostRider(ride.stream, { label: describeRide(ride) }) : null;
+}
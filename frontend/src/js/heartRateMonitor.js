@@ -0,0 +1,89 @@
+// heartRateMonitor.js: Handles Bluetooth connection to a heart rate strap (Heart Rate service 0x180D)
+
+// Heart Rate Measurement (0x2A37) flag bits
+const HEART_RATE_FLAGS = {
+  VALUE_FORMAT_UINT16: 1 << 0,
+  SENSOR_CONTACT_DETECTED: 1 << 1,
+  SENSOR_CONTACT_SUPPORTED: 1 << 2,
+  ENERGY_EXPENDED: 1 << 3,
+  RR_INTERVALS: 1 << 4,
+};
+
+/**
+ * Decode a Heart Rate Measurement notification.
+ * heartRate is bpm, energyExpended is kJ and rrIntervals are in milliseconds.
+ * sensorContact is only set when the strap reports it.
+ */
+export function parseHeartRateMeasurement(value) {
+  const flags = value.getUint8(0);
+  const data = {};
+  let offset = 1;
+
+  if (flags & HEART_RATE_FLAGS.VALUE_FORMAT_UINT16) {
+    data.heartRate = value.getUint16(offset, true);
+    offset += 2;
+  } else {
+    data.heartRate = value.getUint8(offset);
+    offset += 1;
+  }
+
+  if (flags & HEART_RATE_FLAGS.SENSOR_CONTACT_SUPPORTED) {
+    data.sensorContact = !!(flags & HEART_RATE_FLAGS.SENSOR_CONTACT_DETECTED);
+  }
+
+  if (flags & HEART_RATE_FLAGS.ENERGY_EXPENDED) {
+    data.energyExpended = value.getUint16(offset, true);
+    offset += 2;
+  }
+
+  if (flags & HEART_RATE_FLAGS.RR_INTERVALS) {
+    // Any number of uint16 intervals (1/1024 s) fill the rest of the packet
+    data.rrIntervals = [];
+    for (; offset + 1 < value.byteLength; offset += 2) {
+      data.rrIntervals.push((value.getUint16(offset, true) / 1024) * 1000);
+    }
+  }
+
+  return data;
+}
+
+export class HeartRateMonitor {
+  constructor() {
+    this.device = null;
+    this.server = null;
+    this.characteristics = {};
+    this.onData = null; // callback({heartRate, rrIntervals, energyExpended, sensorContact})
+    this.handleMeasurement = this.handleMeasurement.bind(this);
+  }
+
+  static get HEART_RATE_SERVICE_UUID() { return '0000180d-0000-1000-8000-00805f9b34fb'; }
+  static get HEART_RATE_MEASUREMENT_UUID() { return '00002a37-0000-1000-8000-00805f9b34fb'; }
+
+  // Pass a remembered device (from navigator.bluetooth.getDevices) to skip the chooser
+  async connect({ device } = {}) {
+    try {
+      this.device = device ?? await navigator.bluetooth.requestDevice({
+        filters: [{ services: [HeartRateMonitor.HEART_RATE_SERVICE_UUID] }],
+      });
+      this.server = await this.device.gatt.connect();
+
+      const service = await this.server.getPrimaryService(HeartRateMonitor.HEART_RATE_SERVICE_UUID);
+      const measurement = await service.getCharacteristic(HeartRateMonitor.HEART_RATE_MEASUREMENT_UUID);
+      this.characteristics[measurement.uuid] = measurement;
+
+      measurement.addEventListener('characteristicvaluechanged', this.handleMeasurement);
+      await measurement.startNotifications();
+      console.log('[HR] Subscribed to heart rate notifications from', this.device.name);
+      return true;
+    } catch (e) {
+      if (device) console.warn('[HR] Reconnect failed:', e);
+      else alert('Heart rate monitor connection failed: ' + e);
+      return false;
+    }
+  }
+
+  handleMeasurement(event) {
+    const data = parseHeartRateMeasurement(event.target.value);
+    if (this.onData) this.onData(data);
+  }
+}
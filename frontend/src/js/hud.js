@@ -1,16 +1,35 @@
 // hud.js
 import { constants } from "./constants.js"
 import { units } from "./units/index.js";
+import { zoneForPower, zoneWatts } from "./powerZones.js";
+
+// How far heart rate (bpm) and cadence (rpm) may stray from a workout target and still be on it
+export const TARGET_TOLERANCE = { heartRate: 5, cadence: 5 };
 
 export class HUD {
   constructor({ getElement = (id) => document.getElementById(id) } = {}) {
     this.power = getElement("power");
+    this.powerZone = getElement("power-zone");
+    this.zoneFtp = null;
+    this.zones = null;
     this.speed = getElement("speed");
     this.distance = getElement("distance");
     this.time = getElement("time");
     this.startTime = null;
     this.totalDistance = 0;
     this.calories = getElement("calories");
+    this.heartRate = getElement("heart-rate");
+    this.heartRateItem = getElement("heart-rate-item");
+    this.heartRateTarget = getElement("heart-rate-target");
+    this.cadence = getElement("cadence");
+    this.cadenceItem = getElement("cadence-item");
+    this.cadenceTarget = getElement("cadence-target");
+    this.connectionItem = getElement("connection-item");
+    this.connectionStatus = getElement("connection-status");
+    this.draftItem = getElement("draft-item");
+    this.draftStatus = getElement("draft-status");
+    this.ghostItem = getElement("ghost-item");
+    this.ghostGap = getElement("ghost-gap");
 
     // Added for pausing
     this.pausedAtMs = null;
@@ -197,7 +216,24 @@ initTrainerToggle() {
     }, seconds * 1000);
   }
 
-  update({ power, speed, calories, targetWatts }, dt) {
+  update(
+    {
+      power,
+      displayPower,
+      speed,
+      distance,
+      calories,
+      targetWatts,
+      heartRate,
+      cadence,
+      targetHeartRate,
+      targetCadence,
+    },
+    dt
+  ) {
+    // Show the smoothed power when the sensors provide one
+    if (typeof displayPower === "number") power = displayPower;
+
     // ----- color-code power vs ramp target -----
     if (this.power) {
       // clear any previous state
@@ -219,6 +255,11 @@ initTrainerToggle() {
       // if no target, we leave it with no extra class → default white color
     }
 
+    this.showPowerZone(power);
+    const { heartRate: hrTolerance, cadence: cadenceTolerance } = TARGET_TOLERANCE;
+    this.showTarget(this.heartRate, this.heartRateTarget, heartRate, targetHeartRate, hrTolerance);
+    this.showTarget(this.cadence, this.cadenceTarget, cadence, targetCadence, cadenceTolerance);
+
     // ----- existing numeric updates -----
     const fields = [
       {
@@ -238,14 +279,30 @@ initTrainerToggle() {
         },
       },
       { el: this.calories, val: calories, format: (v) => v?.toFixed(0) },
+      { el: this.heartRate, val: heartRate, format: (v) => Math.round(v).toString() },
+      { el: this.cadence, val: cadence, format: (v) => Math.round(v).toString() },
     ];
 
     fields.forEach(({ el, val, format }) => {
-      if (val !== undefined) el.textContent = format(val);
+      if (el && val !== undefined && val !== null) el.textContent = format(val);
     });
 
-    if (speed !== undefined) {
+    // only show heart rate once a strap is sending it, or a workout step targets it;
+    // cadence only while a step targets it
+    if (this.heartRateItem) {
+      this.heartRateItem.hidden = typeof heartRate !== "number" && !(targetHeartRate > 0);
+    }
+    if (this.cadenceItem) {
+      this.cadenceItem.hidden = !(targetCadence > 0);
+    }
+
+    // distance (km) comes from the physics engine when it runs; otherwise integrate speed here
+    if (typeof distance === "number") {
+      this.totalDistance = distance;
+    } else if (speed !== undefined) {
       this.totalDistance += (speed * dt) / 3600; // km
+    }
+    if (speed !== undefined || typeof distance === "number") {
       this.distance.textContent = units.distanceUnit
         .convertTo(this.totalDistance)
         .toFixed(2);
@@ -259,6 +316,84 @@ initTrainerToggle() {
   }
 
 
+  /**
+   * Colour a heart rate or cadence reading against a workout target, like power against
+   * targetWatts: green within tolerance, red outside it, with the target shown beside it.
+   * No target (null or 0) leaves the reading plain.
+   */
+  showTarget(valueEl, targetEl, value, target, tolerance) {
+    const hasTarget = typeof target === "number" && Number.isFinite(target) && target > 0;
+    if (targetEl) {
+      targetEl.hidden = !hasTarget;
+      if (hasTarget) targetEl.textContent = `/ ${Math.round(target)}`;
+    }
+    if (!valueEl) return;
+    valueEl.classList.remove("on-target", "off-target");
+    if (!hasTarget || typeof value !== "number" || !Number.isFinite(value)) return;
+    valueEl.classList.add(Math.abs(value - target) <= tolerance ? "on-target" : "off-target");
+  }
+
+  // FTP and zones for the zone badge next to power; no FTP hides it
+  setPowerZones({ ftp, zones }) {
+    this.zoneFtp = ftp;
+    this.zones = zones;
+  }
+
+  showPowerZone(power) {
+    if (!this.powerZone) return;
+    const zone = this.zones ? zoneForPower(power, this.zoneFtp, this.zones) : null;
+    this.powerZone.hidden = !zone;
+    if (!zone) return;
+    if (this.powerZone.dataset.zone === String(zone.number)) return;
+
+    const { low, high } = zoneWatts(zone, this.zoneFtp, this.zones);
+    this.powerZone.dataset.zone = String(zone.number);
+    this.powerZone.textContent = `Z${zone.number}`;
+    this.powerZone.style.backgroundColor = zone.color;
+    this.powerZone.title = `${zone.name}: ${high === null ? `${low}+` : `${low}-${high}`} W`;
+  }
+
+  // Sensor connection indicator: "connected", "reconnecting", "disconnected" or null to hide it
+  setConnectionState(state) {
+    if (!this.connectionItem) return;
+    const labels = {
+      connected: "Sensors connected",
+      reconnecting: "Reconnecting…",
+      disconnected: "Sensors disconnected",
+    };
+    this.connectionItem.hidden = !state;
+    this.connectionItem.classList.remove("connected", "reconnecting", "disconnected");
+    if (!state) return;
+    this.connectionItem.classList.add(state);
+    if (this.connectionStatus) this.connectionStatus.textContent = labels[state] || "";
+  }
+
+  // Drafting indicator from the aero drag factor (1 = clean air hides it)
+  setDrafting(factor) {
+    if (!this.draftItem) return;
+    const saving = Math.round((1 - factor) * 100);
+    this.draftItem.hidden = !(saving >= 1);
+    if (this.draftStatus && saving >= 1) this.draftStatus.textContent = `Drafting −${saving}% drag`;
+  }
+
+  /**
+   * Time gap to the ghost rider in seconds, positive when ahead.
+   * undefined hides it; null means the rider is past the end of the ghost's ride.
+   */
+  showGhostGap(seconds) {
+    if (!this.ghostItem) return;
+    this.ghostItem.hidden = seconds === undefined;
+    if (seconds === undefined) return;
+    const ahead = seconds === null || seconds >= 0;
+    this.ghostItem.classList.toggle("ahead", ahead);
+    this.ghostItem.classList.toggle("behind", !ahead);
+    if (!this.ghostGap) return;
+    this.ghostGap.textContent =
+      seconds === null
+        ? "Ghost: past its finish"
+        : `Ghost: ${Math.abs(seconds).toFixed(1)} s ${ahead ? "ahead" : "behind"}`;
+  }
+
   setPacerDiff(diff) {
     // No longer used: pacerDiff HUD element removed
   }
@@ -1,5 +1,5 @@
 import { constants } from "./constants.js";
-import { powerToSpeed } from "./main.js";
+import { powerToSpeed } from "./physics.js";
 
 export class KeyboardMode {
   keyboardMode = false;
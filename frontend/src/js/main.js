@@ -1,5 +1,4 @@
 // main.js: App entry point and state management
-import { TrainerBluetooth } from "./bluetooth.js";
 import { ZlowScene } from "./scene/index.js";
 import { HUD } from "./hud.js";
 import { Strava } from "./strava.js";
@@ -8,100 +7,56 @@ import { AvatarCreator } from "./avatarCreator.js";
 import { AvatarMovement } from "./avatarMovement.js";
 import { KeyboardMode } from "./keyboardMode.js";
 import { StandardMode } from "./standardMode.js";
+import { SENSOR_ROLES } from "./sensorManager.js";
 import { simulationState } from "./simulationstate.js";
 import { PauseCountdown } from "./pause_countdown.js";
 import { units } from "./units/index.js";
 import { RampTestController } from "./workouts/RampTestController.js";
+import { WorkoutPlayer } from "./workouts/WorkoutPlayer.js";
+import {
+  SprintIntervalController,
+  loadSprintSettings,
+} from "./workouts/SprintIntervalController.js";
+import { findWorkout } from "./workouts/workoutLibrary.js";
+import { FtpTestController } from "./workouts/FtpTestController.js";
+import { TwentyMinuteTestController } from "./workouts/TwentyMinuteTestController.js";
+import { EightMinuteTestController } from "./workouts/EightMinuteTestController.js";
+import { CriticalPowerTestController } from "./workouts/CriticalPowerTestController.js";
+import { GHOST_OFF, ghostFor, loadGhostSettings } from "./ghostRider.js";
+import { PowerPacer, loadPacerSettings, pacerTargetWatts } from "./pacerModes.js";
+import { ErgController } from "./ergMode.js";
+import { SimulationController } from "./simulationMode.js";
 import { rideHistory } from "./rideHistoryStore.js";
 import { WorkoutStorage } from "./workoutStorage.js";
 import { WorkoutSession } from "./workoutSession.js";
-import { WorkoutSummary, showStopConfirmation } from "./workoutSummary.js";
+import {
+  WorkoutSummary,
+  showStopConfirmation,
+  showFtpResultDialog,
+} from "./workoutSummary.js";
 import { MilestoneTracker } from "./milestones.js";
 import { NotificationManager } from "./notifications.js";
 import {initCrashReporter} from "./crashReporter.js";
-
-// Physics-based power-to-speed conversion
-// Returns speed in m/s for given power (watts)
-export function powerToSpeed({ power } = {}) {
-  // Use a root-finding approach for cubic equation: P = a*v^3 + b*v
-  // a = 0.5 * airDensity * cda = air resistance
-  // b = crr * mass * g + mass * g * Math.sin(Math.atan(slope)) = rolling resistance + gravity
-  const a = 0.5 * constants.airDensity * constants.cda;
-  const b =
-    constants.crr * constants.mass * constants.g +
-    constants.mass * constants.g * Math.sin(Math.atan(constants.slope));
-  // Use Newton-Raphson to solve for v
-  let v = 8; // initial guess (m/s)
-  for (let i = 0; i < 20; i++) {
-    const f = a * v * v * v + b * v - power;
-    const df = 3 * a * v * v + b;
-    v = v - f / df;
-    if (v < 0) v = 0.1; // prevent negative speeds
-  }
-  return constants.msToKmh(v);
-}
-
-// Applies realistic coasting when power becomes zero
-// Returns new calculated speed after dt seconds of coasting
-export function calculateCoastingSpeed(currentSpeed, dt) {
-  // Use meters for calculations
-  const v_ms = constants.kmhToMs(currentSpeed);
-
-  // If bycicle has stopped, speed stays at zero
-  if (v_ms <= 0) return 0;
-
-  // Calculate air drag from windResistance function
-  const airDragForce = constants.windResistance(v_ms);
-
-  // Calculate rolling resistance force
-  const rollingResistanceForce = constants.crr * constants.mass * constants.g;
-
-  // Calculate total resistance force
-  const totalForce =
-    (airDragForce + rollingResistanceForce) * constants.coastingFactor;
-
-  // Calculate deceleration using acceleration = force / mass
-  const deceleration = totalForce / constants.mass;
-
-  // Apply decceleration as a function of time: new speed = current speed - (deceleration * delta time)
-  const v_new_ms = v_ms - deceleration * dt;
-
-  // Prevent the new speed from going negative (reverse)
-  const finalSpeed_ms = Math.max(0, v_new_ms);
-
-  // Convert speed to km/s
-  return constants.msToKmh(finalSpeed_ms);
-}
-
-// Calculates acceleration to make speed increases gradual and more realistic
-export function calculateAccelerationSpeed(currentSpeed, currentPower, dt) {
-  // convert km to m (for standard physics equations)
-  const v_ms = constants.kmhToMs(currentSpeed);
-
-  // this prevents division by zero
-  const v_for_calc = Math.max(v_ms, 0.1);
-
-  // Calculates driving force from power: F = P / v
-  const drivingForce = currentPower / v_for_calc;
-
-  // calculates forces against cyclist
-  const airDragForce = constants.windResistance(v_ms);
-  const rollingResistanceForce = constants.crr * constants.mass * constants.g;
-
-  // total force = forward force - resistance forces
-  const netForce = drivingForce - airDragForce - rollingResistanceForce;
-
-  // calculates acceleration using F = ma aka a = F/m
-  const acceleration = netForce / constants.mass;
-
-  // apply acceleration/delta time
-  const v_new_ms = v_ms + acceleration * dt;
-
-  // avoid going backwards (negative speed)
-  const finalSpeed_ms = Math.max(0, v_new_ms);
-
-  return constants.msToKmh(finalSpeed_ms);
-}
+import {
+  powerToSpeed,
+  calculateAccelerationSpeed,
+  calculateCoastingSpeed,
+} from "./physics.js";
+import { PhysicsEngine } from "./physicsEngine.js";
+import { DRAFT, draftFactor, draftFromRiders, headingToward } from "./drafting.js";
+import { Wind } from "./wind.js";
+import {
+  applyEquipment,
+  loadSelectedRiderProfile,
+  saveRiderProfile,
+  recordFtp,
+  isValidFtp,
+  FTP_RANGE,
+} from "./profiles.js";
+import { zonesFor } from "./powerZones.js";
+
+// Rider physics lives in physics.js; re-exported for the modules that import it from here
+export { powerToSpeed, calculateAccelerationSpeed, calculateCoastingSpeed };
 
 // Prevent meshes from disappearing due to frustum culling
 AFRAME.registerComponent("no-cull", {
@@ -118,6 +73,8 @@ let scene;
 let hud;
 let keyboardMode;
 let standardMode;
+const physicsEngine = new PhysicsEngine();
+let wind = new Wind();
 
 //Avatar and Pacer
 let rider;
@@ -130,7 +87,15 @@ let workoutSession;
 // milestones
 let notificationManager;
 let milestoneTracker;
-let rampController = null;
+let workoutController = null;
+let ghost = null; // GhostRider the pacer replays, or null for the normal pacer
+let powerPacer = null; // PowerPacer in the watts, W/kg and %FTP pacer modes outside workouts
+let rideStartElapsed = null; // physics ride time when the workout started, null before then
+// { ftp, peakMinutePower, accepted, whenAnswered } once an FTP test has offered a result;
+// accepted stays null while its dialog is open
+let ftpTestResult = null;
+let ergController = null;
+let simulationController = null;
 let peer;
 let conn;
 // Handles the main loop and adding to the ride history
@@ -140,6 +105,8 @@ function loop({
 } = {}) {
   const now = Date.now();
   if (simulationState.isPaused) {
+    // Paused time must not reach the physics as one huge frame on resume
+    constants.lastTime = now;
     requestAnimationFrameFn(() =>
       loop({ getElement, requestAnimationFrameFn })
     );
@@ -148,49 +115,53 @@ function loop({
   const dt = (now - constants.lastTime) / 1000;
   constants.lastTime = now;
 
-  // Coasting happens here, only in Q/S keyboard mode
+  // A sensor that went quiet must not keep feeding its last reading
+  const dropout = !keyboardMode.keyboardMode && standardMode.checkDropout();
+
   const currentPower = constants.riderState.power || 0;
-  const currentSpeed = constants.riderState.speed || 0;
-
-  // Calculate calories burned using the following formula:
-  // calories = (power in watts * delta time (seconds) / 1000)
-  if (currentPower > 0) {
-    const caloriesBurned = (currentPower * dt) / 1000;
-    constants.riderState.calories =
-      (constants.riderState.calories || 0) + caloriesBurned;
-  }
 
   // If using W/S keyboard mode, don't coast (since power is always zero)
   const isUsingDirectSpeedControl =
     keyboardMode.wKeyDown || keyboardMode.sKeyDown;
 
-  // calculates speed based on acceleration and power
-  if (currentPower > 0 && !(keyboardMode.wKeyDown || keyboardMode.sKeyDown)) {
-    constants.riderState.speed = calculateAccelerationSpeed(
-      currentSpeed,
-      currentPower,
-      dt
-    );
-  }
+  // Draft and wind both depend on which way the rider is heading
+  const heading = riderHeading();
+  updateDraft(heading);
+  updateWind(heading);
 
-  // If rider is not peddaling and their speed is not zero, calculate new speed
-  if (currentPower === 0 && currentSpeed > 0 && !isUsingDirectSpeedControl) {
-    constants.riderState.speed = calculateCoastingSpeed(currentSpeed, dt);
-  }
+  // Keyboard keys and the calorie reset write riderState directly and the engine carries
+  // on from whatever they set; sensor power only reaches the speed through the engine
+  physicsEngine.sync({
+    speed: keyboardMode.keyboardMode ? constants.riderState.speed : undefined,
+    calories: constants.riderState.calories,
+  });
+  physicsEngine.setInputs({
+    power: currentPower,
+    slope: constants.slope,
+    draftFactor: constants.draftFactor,
+    windSpeed: constants.windSpeed,
+    heldSpeed: isUsingDirectSpeedControl ? constants.riderState.speed || 0 : null,
+  });
+  const view = physicsEngine.advance(dt);
+  constants.riderState.speed = physicsEngine.state.speed;
+  constants.riderState.calories = physicsEngine.state.calories;
 
-  scene.update(constants.riderState.speed || 0, dt);
+  scene.update(view.speed, dt);
 
   //update workout session with current values
   if (workoutSession.isWorkoutActive()) {
-    if (rampController) {
+    if (workoutController instanceof RampTestController) {
       // Update FTP result if available
-      workoutSession.addFTPResult(rampController.ftpResult);
+      workoutSession.addFTPResult(workoutController.ftpResult);
     }
     workoutSession.update({
       speed: constants.riderState.speed || 0,
       power: constants.riderState.power || 0,
-      distance: hud.totalDistance,
+      distance: physicsEngine.state.distance,
       calories: constants.riderState.calories || 0,
+      heartRate: constants.riderState.heartRate,
+      dropout,
+      elapsed: rideSeconds(),
     });
 
     //if there is a milestone show it
@@ -211,28 +182,32 @@ function loop({
 
   rider.update(dt);
 
-  if (constants.pacerStarted&&peerState==0) {
+  if (ghost && constants.pacerStarted && peerState == 0) {
+    updateGhost(dt);
+  } else if (powerPacer && constants.pacerStarted && peerState == 0) {
+    updatePowerPacer(dt);
+  } else if (constants.pacerStarted&&peerState==0) {
     //console.log("Inside if statement");
     // Start from whatever speed the pacer currently has
     let pacerSpeed = pacer.speed || 0;
 
-    if (rampController) {
-      // RampTestController is active (Ramp Test workout)
-      const targetWatts = rampController.getCurrentTargetWatts();
+    if (workoutController) {
+      // A ramp test or structured workout is active
+      const targetWatts = workoutController.getCurrentTargetWatts();
 
       if (targetWatts == null) {
-        // Warmup or finished:
+        // Warmup, free-ride step or finished:
         // Pacer exactly matches the rider so it stays beside you.
         pacerSpeed = riderSpeed;
       } else {
-        // Active ramp step:
+        // Active step with a power target:
         // Pacer behaves like an ideal rider holding target watts,
         // using the same physics as the real rider for smooth changes.
         pacerSpeed = calculateAccelerationSpeed(pacerSpeed, targetWatts, dt);
       }
     }
-    // If rampController is null (free ride, other workouts),
-    // pacerSpeed stays whatever was set elsewhere (test mode slider, etc.).
+    // If workoutController is null (free ride in speed mode),
+    // pacerSpeed stays whatever was set elsewhere (#pacer-speed, test mode slider, etc.).
 
     // Apply the computed speed to the pacer avatar
     pacer.setSpeed(pacerSpeed);
@@ -264,16 +239,39 @@ function loop({
     //pacer.setPosition(pacerPos);
   }
 
-  // Let the ramp controller advance its state
-  if (rampController) {
+  // Let the workout controller advance its state
+  if (workoutController) {
     const power = constants.riderState.power || 0;
-    rampController.update(now, power);
+    const cadence = constants.riderState.cadence ?? null;
+    // A lost power or cadence sensor reads 0, so the ramp test holds its failure timers
+    const sensorDropout =
+      dropout || (!keyboardMode.keyboardMode && standardMode.isCadenceStale());
+    workoutController.update(now, power, cadence, sensorDropout);
 
-    const target = rampController.getCurrentTargetWatts();
+    const target = workoutController.getCurrentTargetWatts();
     constants.riderState.targetWatts = target || 0;
+    // Structured workouts can also target heart rate and cadence
+    const stepTarget = workoutController.getCurrentTarget?.();
+    constants.riderState.targetHeartRate = stepTarget?.heartRate ?? null;
+    constants.riderState.targetCadence = stepTarget?.cadence ?? null;
+  }
+
+  // Hand the workout target to the trainer (no-op until it changes).
+  // Without a target the trainer simulates the road instead.
+  const trainerTarget = workoutController?.getCurrentTargetWatts() ?? null;
+  if (ergController) {
+    ergController.update(trainerTarget);
+  }
+  if (simulationController && trainerTarget === null) {
+    simulationController.update(now, {
+      slope: constants.slope,
+      windSpeed: constants.windSpeed,
+      crr: constants.crr,
+      cw: constants.cw * constants.draftFactor,
+    });
   }
 
-  hud.update(constants.riderState, dt);
+  hud.update({ ...constants.riderState, distance: view.distance }, dt);
   if (localStorage.getItem("testMode") == null) {
     localStorage.setItem("testMode", false);
   }
@@ -287,17 +285,188 @@ function loop({
   let pushTime = performance.now();
   let pushPower = constants.riderState.power || 0;
   let pushSpeed = units.speedUnit.convertFrom(constants.riderState.speed) || 0;
-  let pushDistance =
-    units.distanceUnit.convertFrom(
-      parseFloat(getElement("distance").textContent)
-    ) || 0;
+  let pushDistance = physicsEngine.state.distance;
+
+  let pushHeartRate = constants.riderState.heartRate ?? null;
 
-  rideHistory.pushSample(pushTime, pushPower, pushSpeed, pushDistance);
+  rideHistory.pushSample(pushTime, pushPower, pushSpeed, pushDistance, pushHeartRate, dropout);
 
   sendPeerDataOver(constants.riderState.speed);
   requestAnimationFrameFn(loop);
 }
 
+// Direction of travel, towards the track point the rider is heading for
+function riderHeading() {
+  const riderPos = rider?.avatarEntity?.object3D?.position;
+  return riderPos
+    ? headingToward(riderPos, constants.trackPoints[constants.currentTrackPiece])
+    : headingToward();
+}
+
+// Put the pacer aheadMetres in front of the rider (behind when negative)
+function placePacer(aheadMetres) {
+  const riderPos = rider?.avatarEntity?.object3D?.position;
+  const pacerPos = pacer?.avatarEntity?.object3D?.position;
+  if (riderPos && pacerPos) pacerPos.z = riderPos.z - aheadMetres * constants.sceneUnitsPerMetre;
+}
+
+// The pacer avatar takes its speed in the rider's display units, not km/h
+function setPacerSpeedKmh(kmh) {
+  pacer.setSpeed(units.speedUnit.convertTo(kmh));
+}
+
+// Seconds ridden since the workout started (the start countdown doesn't count), or null before
+function rideSeconds() {
+  return rideStartElapsed === null ? null : physicsEngine.state.elapsed - rideStartElapsed;
+}
+
+// Ghost mode: the pacer sits where the past ride was at this ride time, by distance
+function updateGhost(dt) {
+  const seconds = rideSeconds() ?? 0;
+  const riderMetres = physicsEngine.state.distance * 1000;
+  placePacer(ghost.distanceAt(seconds) - riderMetres);
+  setPacerSpeedKmh(ghost.speedAt(seconds));
+  pacer.update(dt);
+  hud.showGhostGap(ghost.gapSeconds(seconds, riderMetres));
+}
+
+// Power pacer modes: the pacer rides its watts on the rider's road and wind,
+// and gets a draft of its own when it sits on the rider's wheel
+function updatePowerPacer(dt) {
+  const riderPos = rider?.avatarEntity?.object3D?.position;
+  const pacerPos = pacer?.avatarEntity?.object3D?.position;
+  // Both ride the same road, so the gap is the difference in metres ridden
+  const riderMetres = physicsEngine.state.distance * 1000;
+  const lateral =
+    riderPos && pacerPos ? (riderPos.x - pacerPos.x) / constants.sceneUnitsPerMetre : 0;
+  const speed = powerPacer.step(dt, {
+    slope: constants.slope,
+    draftFactor: draftFactor(riderMetres - powerPacer.distance - DRAFT.bikeLength, lateral),
+    windSpeed: constants.windSpeed,
+  });
+  placePacer(powerPacer.distance - riderMetres);
+  setPacerSpeedKmh(speed);
+  pacer.update(dt);
+}
+
+// The ghost or power pacer from the settings, if any. Workouts keep their own pacer;
+// the best ghost ride can change after every saved ride.
+function setUpPacer() {
+  const settings = loadGhostSettings();
+  ghost = ghostFor(settings, workoutStorage);
+  hud.showGhostGap(undefined);
+  if (!ghost && settings.ride !== GHOST_OFF) {
+    console.warn("[GHOST] No saved ride matches the ghost setting - using the normal pacer");
+  }
+
+  const watts = pacerTargetWatts(loadPacerSettings(), loadSelectedRiderProfile());
+  powerPacer = !ghost && !workoutController && watts != null ? new PowerPacer({ watts }) : null;
+  constants.pacerFollowsDistance = Boolean(ghost || powerPacer);
+}
+
+// Sitting on the pacer's or a peer's wheel shelters the rider from the air (a ghost doesn't)
+function updateDraft(heading) {
+  const riderPos = rider?.avatarEntity?.object3D?.position;
+  if (!riderPos) return;
+  const ahead = pacer && !ghost && (constants.pacerStarted || connected)
+    ? [pacer.avatarEntity?.object3D?.position]
+    : [];
+  const { factor } = draftFromRiders(riderPos, heading, ahead);
+  constants.draftFactor = factor;
+  hud.setDrafting(factor);
+}
+
+// The ride's wind at the current ride time: the headwind feeds the drag, the vector moves the clouds
+function updateWind(heading) {
+  const seconds = physicsEngine.state.elapsed;
+  constants.windVector = wind.vectorAt(seconds);
+  constants.windSpeed = wind.headwindAt(seconds, heading);
+}
+
+// The FTP result of the running test: { ftp, peakMinutePower, detail, source, title }, or null
+function ftpResultFor(controller) {
+  if (controller instanceof RampTestController) {
+    const result = controller.computeFtpFromHistory(rideHistory.samples);
+    if (!result) return null;
+    return {
+      ftp: result.ftp,
+      peakMinutePower: Math.round(result.peakMinute),
+      detail: `Best 1-min power: ${Math.round(result.peakMinute)} W`,
+      source: "ramp",
+    };
+  }
+  if (controller instanceof FtpTestController) {
+    const result = controller.computeFtpResult();
+    if (!result) return null;
+    return {
+      ftp: result.ftp,
+      peakMinutePower: null,
+      detail: result.detail,
+      source: controller.source,
+      title: `${controller.label} complete`,
+    };
+  }
+  return null;
+}
+
+// Run callback once the open FTP result dialog is answered, or straight away without one
+function afterFtpResult(callback) {
+  const pending = ftpTestResult?.accepted === null ? ftpTestResult : null;
+  if (!pending) {
+    callback();
+  } else if (!pending.whenAnswered.includes(callback)) {
+    // Stop pressed twice while the dialog is open still ends the workout once
+    pending.whenAnswered.push(callback);
+  }
+}
+
+// An FTP test has ended: offer its FTP, and save it to the profile and history if accepted.
+// onDone runs after the rider has chosen (or straight away without enough data).
+// Only one result is offered at a time; a second offer waits on the open dialog.
+function offerFtpResult(reason, onDone = () => {}) {
+  if (ftpTestResult?.accepted === null) {
+    afterFtpResult(onDone);
+    return;
+  }
+  const result = ftpResultFor(workoutController);
+  if (!result) {
+    hud.showWorkoutMessage({ text: "Not enough test data to estimate an FTP", seconds: 6 });
+    onDone();
+    return;
+  }
+  const ftp = Math.round(result.ftp);
+  if (!isValidFtp(ftp)) {
+    // e.g. a ramp stopped in its first minutes; not worth offering in place of the real FTP
+    hud.showWorkoutMessage({
+      text: `FTP estimate of ${ftp} W is outside ${FTP_RANGE.min}-${FTP_RANGE.max} W - not saved`,
+      seconds: 6,
+    });
+    onDone();
+    return;
+  }
+  const { peakMinutePower, source } = result;
+  // The dialog answers this offer even once a new workout has replaced ftpTestResult
+  const offer = { ftp, peakMinutePower, accepted: null, whenAnswered: [onDone] };
+  ftpTestResult = offer;
+  const answered = (accepted) => {
+    offer.accepted = accepted;
+    offer.whenAnswered.forEach((callback) => callback());
+  };
+
+  showFtpResultDialog(
+    { ftp, detail: result.detail, reason, title: result.title },
+    () => {
+      // Zones and %FTP targets use it from now on
+      const profile = recordFtp(ftp, { source });
+      workoutStorage.addFtpResult({ ftp, peakMinutePower, source });
+      hud.setPowerZones({ ftp: profile.ftp, zones: zonesFor() });
+      hud.showWorkoutMessage({ text: `FTP ${ftp} W saved to ${profile.name}`, seconds: 6 });
+      answered(true);
+    },
+    () => answered(false)
+  );
+}
+
 export function activatePacer() {
   //if (peerState!=0) {return;}
   if (!constants.pacerStarted) {
@@ -600,20 +769,6 @@ export function initZlowApp({
   workoutSession.start();
   milestoneTracker.reset();
 
-  // get the needed objects
-  if (localStorage.getItem("testMode") !== "true") {
-    const trainer = new TrainerBluetooth();
-  } else {
-    if (sessionStorage.getItem("Trainer") !== null) {
-      try {
-        //HOPEFULLY this works
-        const trainer = JSON.parse(sessionStorage.getItem("Trainer"));
-      } catch {
-        console.log("JSON trainer did not work. This will need reworking :(");
-      }
-    }
-  }
-
   const countdown = new PauseCountdown({ getElement, limit: 10 });
 
   rider = new AvatarMovement("rider", {
@@ -677,6 +832,7 @@ export function initZlowApp({
   //map the pacer speed input to the pacer speed variable
 
   hud = new HUD({ getElement });
+  hud.setPowerZones({ ftp: loadSelectedRiderProfile().ftp, zones: zonesFor() });
   hud.initTrainerToggle();
 
 
@@ -685,14 +841,26 @@ export function initZlowApp({
     free: "Free Ride",
     ramp: "Ramp Test",
     sprint: "Sprint Intervals",
+    ftp20: "20-min FTP Test",
+    ftp8: "2x8-min FTP Test",
+    cp: "Critical Power 3/12",
   };
 
-  const workoutName = workoutLabels[selectedWorkout] || "Free Ride";
+  // FTP test protocols run by an FtpTestController
+  const ftpTests = {
+    ftp20: TwentyMinuteTestController,
+    ftp8: EightMinuteTestController,
+    cp: CriticalPowerTestController,
+  };
+
+  const structuredWorkout = findWorkout(selectedWorkout);
+  const workoutName =
+    structuredWorkout?.name || workoutLabels[selectedWorkout] || "Free Ride";
 
-  // Set up ramp test controller if applicable
+  // Set up ramp test controller or workout player if applicable
   if (selectedWorkout === "ramp") {
     const now = Date.now();
-    rampController = new RampTestController({
+    workoutController = new RampTestController({
       hud,
       nowMs: now,
       warmupSeconds: 5 * 60, // 5-minute warmup
@@ -700,10 +868,29 @@ export function initZlowApp({
       stepWatts: 20,
       stepSeconds: 60,
       ftpFactor: 0.75,
+      onFailure: ({ reason }) => offerFtpResult(reason),
+    });
+  } else if (ftpTests[selectedWorkout]) {
+    workoutController = new ftpTests[selectedWorkout]({
+      hud,
+      ftp: loadSelectedRiderProfile().ftp,
+      onComplete: ({ reason }) => offerFtpResult(reason),
+    });
+  } else if (selectedWorkout === "sprint") {
+    workoutController = new SprintIntervalController({
+      hud,
+      ...loadSprintSettings(),
+    });
+  } else if (structuredWorkout) {
+    workoutController = new WorkoutPlayer({
+      workout: structuredWorkout,
+      hud,
+      ftp: loadSelectedRiderProfile().ftp,
     });
   } else {
-    rampController = null;
+    workoutController = null;
   }
+  setUpPacer();
 
   hud.showStartCountdown({
     workoutName,
@@ -711,6 +898,7 @@ export function initZlowApp({
     onDone: () => {
       // After 5s, unpause the sim
       simulationState.isPaused = false;
+      rideStartElapsed = physicsEngine.state.elapsed;
 
       // If ramp, begin warmup countdown (no pause)
       if (selectedWorkout === "ramp") {
@@ -719,7 +907,7 @@ export function initZlowApp({
           seconds: 5 * 60,
           onDone: () => {
             // Warmup over → tell RampTestController to start ramps
-            rampController?.startRamp?.();
+            workoutController?.startRamp?.();
           },
         });
       }
@@ -750,53 +938,27 @@ export function initZlowApp({
     //});
   }
 
+  // Mass, CdA and Crr come from the rider and bike profiles picked in the main menu
+  applyEquipment();
   if (localStorage.getItem("testMode") == "true") {
-    // Hook up live mass updates → optional immediate speed recompute
+    // Hook up live mass updates; the physics picks up the new mass on its next step
     const riderWeightEl = getElement("rider-weight");
     if (riderWeightEl) {
-      const updateMassAndMaybeSpeed = () => {
+      riderWeightEl.value = Math.round(
+        units.weightUnit.convertTo(loadSelectedRiderProfile().weight)
+      );
+      const updateMass = () => {
         const newMass = Number(riderWeightEl.value);
-        if (!Number.isFinite(newMass)) return;
-        constants.riderMass = units.weightUnit.convertFrom(newMass);
-
-        const p = constants.riderState.power || 0;
-        const isDirectSpeed = keyboardMode?.wKeyDown || keyboardMode?.sKeyDown;
-
-        // Only recompute from power if we're not in direct speed mode and power > 0
-        if (p > 0 && !isDirectSpeed && !keyboardMode?.keyboardMode) {
-          constants.riderState.speed = powerToSpeed({ power: p });
-        }
-        // If power === 0, coasting uses the new mass automatically on the next frame.
+        if (!Number.isFinite(newMass) || newMass <= 0) return;
+        const rider = saveRiderProfile({
+          ...loadSelectedRiderProfile(),
+          weight: units.weightUnit.convertFrom(newMass),
+        });
+        applyEquipment({ rider });
       };
 
-      // Initialize once and then listen for changes
-      updateMassAndMaybeSpeed();
-      riderWeightEl.addEventListener("input", updateMassAndMaybeSpeed);
-      riderWeightEl.addEventListener("change", updateMassAndMaybeSpeed);
+      riderWeightEl.addEventListener("change", updateMass);
     }
-  } else {
-    const updateMassAndMaybeSpeed = () => {
-      let newMass;
-      if (sessionStorage.getItem("weight") == null) {
-        newMass = 70;
-      } else {
-        newMass = Number(sessionStorage.getItem("weight").value);
-      }
-      if (!Number.isFinite(newMass)) return;
-      constants.riderMass = newMass;
-
-      const p = constants.riderState.power || 0;
-      const isDirectSpeed = keyboardMode?.wKeyDown || keyboardMode?.sKeyDown;
-
-      // Only recompute from power if we're not in direct speed mode and power > 0
-      if (p > 0 && !isDirectSpeed && !keyboardMode?.keyboardMode) {
-        constants.riderState.speed = powerToSpeed({ power: p });
-      }
-      // If power === 0, coasting uses the new mass automatically on the next frame.
-    };
-
-    // Initialize once
-    updateMassAndMaybeSpeed();
   }
   let savedPacerSpeed;
   const pauseBtn = getElement("pause-btn");
@@ -806,6 +968,9 @@ export function initZlowApp({
 
     if (simulationState.isPaused) {
       hud.pause();
+      ergController?.pause();
+      simulationController?.pause();
+      workoutController?.pause?.();
       savedPacerSpeed = pacer.speed;
       setPacerSpeed(0); // Stop pacer when paused
       // start countdown
@@ -842,48 +1007,22 @@ export function initZlowApp({
     showStopConfirmation(
       // On Confirm - end workout and show summary
       () => {
-        // End the session and get final stats
-        const finalStats = workoutSession.end();
-
-        // After you compute finalStats from workoutSession / history, etc.
-        if (selectedWorkout === "ramp" && rampController) {
-          const result = rampController.computeFtpFromHistory(
-            rideHistory.samples
-          );
-          if (result) {
-            // Flatten FTP numbers into stats for summary + records
-            finalStats.ftp = Math.round(result.ftp);
-            finalStats.peakMinutePower = Math.round(result.peakMinute);
-
-            hud.showWorkoutMessage({
-              text: `Ramp Test FTP ≈ ${finalStats.ftp} W`,
-              seconds: 8,
-            });
-          }
+        // Stopping mid-ramp ends the test: ask about its FTP before the summary
+        if (workoutController instanceof RampTestController && workoutController.phase === "ramp") {
+          workoutController.fail("stopped");
+          offerFtpResult("stopped", endWorkout);
+        } else if (
+          // Other tests only have a result once their efforts are ridden
+          workoutController instanceof FtpTestController &&
+          ftpTestResult === null &&
+          workoutController.computeFtpResult()
+        ) {
+          workoutController.markFinished();
+          offerFtpResult("stopped", endWorkout);
+        } else {
+          // An FTP result dialog still open goes into the summary once answered
+          afterFtpResult(endWorkout);
         }
-
-        // Save workout and check for records
-        const { newRecords, streak } = workoutStorage.saveWorkout(finalStats);
-
-        // Show the summary!
-        workoutSummary.show(finalStats, newRecords, streak);
-
-        // Reset everything
-        simulationState.isPaused = false;
-        countdown.cancel();
-        constants.riderState = { power: 0, speed: 0 };
-        hud.resetWorkOut();
-        pauseBtn.textContent = "Pause";
-
-        // Reset pacer
-        setPacerSpeed(0);
-        const startPos = { x: 0.5, y: 1, z: -2 };
-        pacer.avatarEntity.setAttribute("position", startPos);
-        constants.pacerStarted = false;
-
-        // Start a new session for next workout
-        workoutSession.start();
-        milestoneTracker.reset();
       },
       // On Cancel
       () => {
@@ -892,6 +1031,55 @@ export function initZlowApp({
     );
   });
 
+  function endWorkout() {
+    // End the session and get final stats
+    const finalStats = workoutSession.end();
+
+    // Only an accepted test FTP goes into the summary and records
+    if (ftpTestResult?.accepted) {
+      finalStats.ftp = ftpTestResult.ftp;
+      finalStats.peakMinutePower = ftpTestResult.peakMinutePower;
+    }
+    ftpTestResult = null;
+
+    if (workoutController instanceof SprintIntervalController) {
+      // A sprint cut short by Stop still goes in the table
+      workoutController.markFinished();
+      finalStats.sprints = workoutController.sprints;
+    }
+
+    // Save workout and check for records
+    const { newRecords, streak } = workoutStorage.saveWorkout(finalStats);
+
+    // Show the summary!
+    workoutSummary.show(finalStats, newRecords, streak);
+
+    // Let go of the trainer so it isn't left holding the last target
+    ergController?.stop();
+    simulationController?.stop();
+
+    // Reset everything
+    simulationState.isPaused = false;
+    countdown.cancel();
+    constants.riderState = { power: 0, speed: 0 };
+    physicsEngine.reset();
+    rideStartElapsed = 0; // the next ride starts straight away, without a countdown
+    wind = new Wind();
+    hud.resetWorkOut();
+    pauseBtn.textContent = "Pause";
+
+    // Reset pacer
+    setPacerSpeed(0);
+    const startPos = { x: 0.5, y: 1, z: -2 };
+    pacer.avatarEntity.setAttribute("position", startPos);
+    constants.pacerStarted = false;
+    setUpPacer();
+
+    // Start a new session for next workout
+    workoutSession.start();
+    milestoneTracker.reset();
+  }
+
   keyboardMode.wKeyDown = false;
   keyboardMode.sKeyDown = false;
   keyboardMode.qKeyDown = false;
@@ -905,11 +1093,30 @@ export function initZlowApp({
     keyboardMode.stopKeyboardMode(e.key.toLowerCase());
   });
   const connectBtn = getElement("connect-btn");
-  connectBtn.addEventListener("click", async () => {
-    await standardMode.connectTrainer();
-    const ok = await standardMode.trainer.connect();
-    if (ok) connectBtn.disabled = true;
-  });
+  const connectHrBtn = getElement("connect-hr-btn");
+  const connectCadenceBtn = getElement("connect-cadence-btn");
+  // Runs for the Connect buttons, the calibration modal and remembered devices alike
+  standardMode.sensors.onConnect = (role, sensor) => {
+    if (role === SENSOR_ROLES.TRAINER) {
+      connectBtn.disabled = true;
+      ergController = new ErgController({ trainer: sensor });
+      simulationController = new SimulationController({ trainer: sensor });
+    } else if (role === SENSOR_ROLES.HEART_RATE && connectHrBtn) {
+      connectHrBtn.disabled = true;
+    } else if (role === SENSOR_ROLES.CADENCE && connectCadenceBtn) {
+      connectCadenceBtn.disabled = true;
+    }
+  };
+  standardMode.sensors.onConnectionChange = () => {
+    hud.setConnectionState(standardMode.sensors.overallState);
+  };
+  connectBtn.addEventListener("click", () => standardMode.connectTrainer());
+  if (connectHrBtn) {
+    connectHrBtn.addEventListener("click", () => standardMode.connectHeartRate());
+  }
+  if (connectCadenceBtn) {
+    connectCadenceBtn.addEventListener("click", () => standardMode.connectCadence());
+  }
   // Calibration modal button
   const calibrateModalBtn = getElement("calibrate-trainer-modal-btn");
   if (calibrateModalBtn) {
@@ -926,6 +1133,7 @@ export function initZlowApp({
     });
   }
   standardMode.init();
+  standardMode.reconnect();
   // setup the speed when using an actual trainer
   /*trainer.onData = (data) => {
       if (!keyboardMode.keyboardMode) {
@@ -951,7 +1159,13 @@ export function initZlowApp({
   const pacerSyncBtn = getElement("pacer-sync-btn");
   pacerSyncBtn.addEventListener("click", () => {
     //Set pacer's z to rider's z
-    if (scene && rider && pacer) {
+    if (powerPacer) {
+      // A power pacer is placed by its distance: start it level with the rider
+      powerPacer.syncTo({
+        speed: constants.riderState.speed || 0,
+        distance: physicsEngine.state.distance * 1000,
+      });
+    } else if (scene && rider && pacer) {
       const riderSyncPos = rider.avatarEntity.getAttribute("position");
       const pacerSyncPos = pacer.avatarEntity.getAttribute("position");
       pacerSyncPos.z = riderSyncPos.z;
@@ -978,6 +1192,12 @@ export function initZlowApp({
     constants.riderState.calories = 0;
   });
 
+  // Simulated trainer for riding and testing without Bluetooth hardware
+  const virtualTrainerBtn = getElement("virtual-trainer-btn");
+  if (virtualTrainerBtn) {
+    virtualTrainerBtn.addEventListener("click", () => standardMode.connectVirtualTrainer());
+  }
+
   // For testing: export some internals
   return {
     scene,
@@ -1041,8 +1261,11 @@ export function getWorkoutSummary() {
 
   const duration = Math.floor((endTime - startTime) / 1000);
   const distanceKm = history[history.length - 1].distance;
-  const avgPower =
-    history.reduce((sum, p) => sum + p.power, 0) / history.length;
+  // Dropouts are gaps, not zero watts
+  const valid = rideHistory.validSamples;
+  const avgPower = valid.length
+    ? valid.reduce((sum, p) => sum + p.power, 0) / valid.length
+    : 0;
 
   return {
     name: "Zlow Ride",
@@ -1103,7 +1326,7 @@ function handleStravaExportFailure(err) {
 }
 
 // =====================
-// TCX EXPORT (RideHistory samples: { elapsedMs, epochMs, power, speed, distance })
+// TCX EXPORT (RideHistory samples: { elapsedMs, epochMs, power, speed, distance, heartRate, dropout })
 // =====================
 
 // Generates TCX file
@@ -1145,10 +1368,22 @@ export function generateTCXFile() {
   tcx += `        <TriggerMethod>Manual</TriggerMethod>\n`;
   tcx += `        <Track>\n`;
 
+  // Each run of samples between dropouts becomes its own Track, so the gap shows up as a gap
+  let inGap = false;
   for (const pt of history) {
     // Guard against bad points
     if (pt?.epochMs == null) continue;
 
+    if (pt.dropout) {
+      inGap = true;
+      continue;
+    }
+    if (inGap) {
+      tcx += `        </Track>\n`;
+      tcx += `        <Track>\n`;
+      inGap = false;
+    }
+
     const timeISO = new Date(pt.epochMs).toISOString();
     const distM = ((pt.distance || 0) * 1000).toFixed(1);
     const watts = Math.round(pt.power || 0);
@@ -1160,6 +1395,9 @@ export function generateTCXFile() {
     tcx += `            <Time>${timeISO}</Time>\n`;
     tcx += `            <Position><LatitudeDegrees>0</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position>\n`;
     tcx += `            <DistanceMeters>${distM}</DistanceMeters>\n`;
+    if (pt.heartRate > 0) {
+      tcx += `            <HeartRateBpm><Value>${Math.round(pt.heartRate)}</Value></HeartRateBpm>\n`;
+    }
     tcx += `            <Extensions>\n`;
     tcx += `              <ns3:TPX xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">\n`;
     tcx += `                <ns3:Watts>${watts}</ns3:Watts>\n`;
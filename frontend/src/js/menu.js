@@ -1,21 +1,269 @@
 ﻿import { StandardMode } from "./standardMode.js";
 import { constants } from "./constants.js";
 import { Strava } from "./strava.js";
+import { loadTrainerDifficulty, saveTrainerDifficulty } from "./simulationMode.js";
+import { loadStaleTimeoutSeconds, saveStaleTimeoutSeconds, SENSOR_ROLES } from "./sensorManager.js";
+import {
+  loadPowerSmoothing,
+  savePowerSmoothing,
+  loadPowerMatch,
+  savePowerMatch,
+} from "./powerConditioning.js";
+import {
+  TRAINER_POWER_CURVES,
+  CUSTOM_CURVE_ID,
+  loadVirtualPowerCurveId,
+  saveVirtualPowerCurveId,
+  loadCustomCoefficients,
+  saveCustomCoefficients,
+  parseCoefficients,
+} from "./virtualPower.js";
+import {
+  RIDER_POSITIONS,
+  BIKE_PROFILES,
+  loadRiderProfiles,
+  loadSelectedRiderProfile,
+  saveRiderProfile,
+  saveSelectedRiderProfileId,
+  createRiderProfile,
+  loadBikeProfileId,
+  saveBikeProfileId,
+  recordFtp,
+  isValidFtp,
+} from "./profiles.js";
+import {
+  CUSTOM_MODEL_ID,
+  COGGAN_MODEL_ID,
+  loadZoneModel,
+  saveZoneModel,
+  parseZoneBounds,
+} from "./powerZones.js";
+import { loadSprintSettings, saveSprintSettings } from "./workouts/SprintIntervalController.js";
+import { WorkoutStorage } from "./workoutStorage.js";
+import { GHOST_BEST, loadGhostSettings, saveGhostSettings, describeRide } from "./ghostRider.js";
+import {
+  PACER_MODES,
+  SPEED_MODE_ID,
+  loadPacerSettings,
+  savePacerSettings,
+} from "./pacerModes.js";
+import { units } from "./units/index.js";
+
+function fillSelect(select, options) {
+  select.replaceChildren(
+    ...options.map(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    })
+  );
+}
+
+function initProfileSettings() {
+  const profileSelect = document.getElementById("rider-profile");
+  const addBtn = document.getElementById("rider-profile-add-btn");
+  const nameInput = document.getElementById("rider-name");
+  const weightInput = document.getElementById("rider-weight");
+  const heightInput = document.getElementById("rider-height");
+  const ftpInput = document.getElementById("rider-ftp");
+  const positionSelect = document.getElementById("rider-position");
+  const bikeSelect = document.getElementById("bike-profile");
+  if (!profileSelect || !weightInput) return;
+
+  units.setUnits();
+  if (positionSelect) {
+    fillSelect(positionSelect, Object.entries(RIDER_POSITIONS).map(([id, p]) => [id, p.name]));
+  }
+
+  const showProfile = (rider) => {
+    fillSelect(profileSelect, loadRiderProfiles().map((p) => [p.id, p.name]));
+    profileSelect.value = rider.id;
+    if (nameInput) nameInput.value = rider.name;
+    weightInput.value = Math.round(units.weightUnit.convertTo(rider.weight));
+    if (heightInput) heightInput.value = Math.round(rider.height * 100);
+    if (ftpInput) {
+      ftpInput.value = rider.ftp;
+      const lastTest = rider.ftpHistory[rider.ftpHistory.length - 1];
+      ftpInput.title = lastTest
+        ? `Set ${new Date(lastTest.date).toLocaleDateString()} (${lastTest.source})`
+        : "";
+    }
+    if (positionSelect) positionSelect.value = rider.position;
+  };
+
+  // Out of range values are reset to the defaults when saved, and shown back that way
+  const saveFromInputs = () => {
+    const rider = loadSelectedRiderProfile();
+    rider.weight = units.weightUnit.convertFrom(Number(weightInput.value));
+    if (nameInput?.value.trim()) rider.name = nameInput.value.trim();
+    if (heightInput) rider.height = Number(heightInput.value) / 100;
+    if (positionSelect) rider.position = positionSelect.value;
+    let saved = saveRiderProfile(rider);
+    // A typed-in FTP goes into the test history like a ramp test result
+    const ftp = Math.round(Number(ftpInput?.value));
+    if (ftpInput && ftp !== saved.ftp && isValidFtp(ftp)) saved = recordFtp(ftp);
+    showProfile(saved);
+  };
+
+  showProfile(loadSelectedRiderProfile());
+  profileSelect.addEventListener("change", () => {
+    saveSelectedRiderProfileId(profileSelect.value);
+    showProfile(loadSelectedRiderProfile());
+  });
+  addBtn?.addEventListener("click", () => {
+    showProfile(saveRiderProfile(createRiderProfile()));
+  });
+  for (const input of [nameInput, weightInput, heightInput, ftpInput, positionSelect]) {
+    input?.addEventListener("change", saveFromInputs);
+  }
+
+  if (bikeSelect) {
+    fillSelect(bikeSelect, Object.entries(BIKE_PROFILES).map(([id, b]) => [id, b.name]));
+    bikeSelect.value = loadBikeProfileId();
+    bikeSelect.addEventListener("change", () => saveBikeProfileId(bikeSelect.value));
+  }
+}
+
+// Power zone model: Coggan's 7 zones or custom upper bounds in %FTP
+function initZoneSettings() {
+  const modelSelect = document.getElementById("power-zone-model");
+  const boundsInput = document.getElementById("power-zone-bounds");
+  if (!modelSelect) return;
+
+  const model = loadZoneModel();
+  modelSelect.value = model.id;
+  if (boundsInput) {
+    boundsInput.value = model.bounds?.map((b) => Math.round(b * 100)).join(", ") || "";
+    boundsInput.hidden = model.id !== CUSTOM_MODEL_ID;
+  }
+
+  const save = () => {
+    if (modelSelect.value !== CUSTOM_MODEL_ID) {
+      saveZoneModel({ id: COGGAN_MODEL_ID });
+      return;
+    }
+    const bounds = parseZoneBounds(boundsInput?.value);
+    if (bounds) saveZoneModel({ id: CUSTOM_MODEL_ID, bounds });
+  };
+
+  modelSelect.addEventListener("change", () => {
+    if (boundsInput) boundsInput.hidden = modelSelect.value !== CUSTOM_MODEL_ID;
+    save();
+  });
+  boundsInput?.addEventListener("change", () => {
+    if (!parseZoneBounds(boundsInput.value)) {
+      alert("Enter the top of each zone in % of FTP, increasing, e.g. 55, 75, 90, 105, 120, 150");
+      return;
+    }
+    save();
+  });
+}
+
+// Pacer mode: the constant #pacer-speed, or a power (watts, W/kg, %FTP) through the physics
+function initPacerModeSettings() {
+  const modeSelect = document.getElementById("pacer-mode");
+  const speedSetting = document.getElementById("pacer-speed-setting");
+  const powerSetting = document.getElementById("pacer-power-setting");
+  const powerInput = document.getElementById("pacer-power");
+  const powerUnit = document.getElementById("pacer-power-unit");
+  if (!modeSelect || !powerInput) return;
+
+  fillSelect(modeSelect, Object.entries(PACER_MODES).map(([id, mode]) => [id, mode.name]));
+
+  const showMode = (settings) => {
+    modeSelect.value = settings.mode;
+    const mode = PACER_MODES[settings.mode];
+    const isSpeed = settings.mode === SPEED_MODE_ID;
+    if (speedSetting) speedSetting.hidden = !isSpeed;
+    if (powerSetting) powerSetting.hidden = isSpeed;
+    if (isSpeed) return;
+    powerInput.min = mode.min;
+    powerInput.max = mode.max;
+    powerInput.step = mode.step;
+    powerInput.value = settings[settings.mode];
+    if (powerUnit) powerUnit.textContent = ` ${mode.unit}`;
+  };
+
+  showMode(loadPacerSettings());
+  modeSelect.addEventListener("change", () => {
+    showMode(savePacerSettings({ mode: modeSelect.value }));
+  });
+  powerInput.addEventListener("change", () => {
+    showMode(savePacerSettings({ [modeSelect.value]: Number(powerInput.value) }));
+  });
+}
+
+// Ghost rider: off, the best past ride over a distance, or one saved ride
+function initGhostSettings() {
+  const rideSelect = document.getElementById("ghost-ride");
+  const distanceInput = document.getElementById("ghost-distance");
+  const distanceUnit = document.getElementById("ghost-distance-unit");
+  if (!rideSelect) return;
+
+  for (const ride of new WorkoutStorage().getRidesWithStreams()) {
+    const option = document.createElement("option");
+    option.value = ride.id;
+    option.textContent = describeRide(ride);
+    rideSelect.appendChild(option);
+  }
+
+  const settings = loadGhostSettings();
+  // A ride that has since been deleted falls back to off
+  rideSelect.value = settings.ride;
+  if (rideSelect.value !== settings.ride) rideSelect.selectedIndex = 0;
+  if (distanceInput) distanceInput.value = settings.distanceKm;
+
+  const showDistance = () => {
+    const hidden = rideSelect.value !== GHOST_BEST;
+    if (distanceInput) distanceInput.hidden = hidden;
+    if (distanceUnit) distanceUnit.hidden = hidden;
+  };
+  showDistance();
+
+  rideSelect.addEventListener("change", () => {
+    saveGhostSettings({ ride: rideSelect.value });
+    showDistance();
+  });
+  distanceInput?.addEventListener("change", () => {
+    const km = Number(distanceInput.value);
+    if (!(km > 0)) {
+      distanceInput.value = loadGhostSettings().distanceKm;
+      return;
+    }
+    saveGhostSettings({ distanceKm: km });
+  });
+}
 
 export function initSettings() {
   if (sessionStorage.getItem("peerToPeer")==='true') {
     jQuery("#peer-name").fadeToggle(500);
   }
   let standardMode = new StandardMode();
-  //Connect Trainer
-  const connectBtn = document.getElementById("connect-btn");
-  connectBtn.addEventListener("click", async () => {
-    await standardMode.connectTrainer();
-    //store the trainer info using JSON
-    sessionStorage.setItem("Trainer", JSON.stringify(standardMode.trainer));
-    //const ok = await standardMode.trainer.connect();
-    //if (ok) connectBtn.disabled = true;
-  });
+  //Connect sensors - the sensor manager remembers them so the ride page reconnects on its own
+  const connectButtons = {
+    "connect-btn": () => standardMode.connectTrainer(),
+    "connect-power-meter-btn": () => standardMode.connectPowerMeter(),
+    "connect-hr-btn": () => standardMode.connectHeartRate(),
+    "connect-cadence-btn": () => standardMode.connectCadence(),
+  };
+  for (const [id, connect] of Object.entries(connectButtons)) {
+    const btn = document.getElementById(id);
+    if (!btn) continue;
+    btn.addEventListener("click", async () => {
+      const ok = await connect();
+      if (ok) btn.disabled = true;
+    });
+  }
+
+  //Preferred source for each metric
+  for (const select of document.querySelectorAll(".sensor-source")) {
+    const metric = select.dataset.metric;
+    select.value = standardMode.sensors.preferredSources[metric] || "";
+    select.addEventListener("change", () => {
+      standardMode.sensors.setPreferredSource(metric, select.value || null);
+    });
+  }
 
   const peerBtn = document.getElementById("peer-btn");
   peerBtn.addEventListener("click", () => {
@@ -72,20 +320,110 @@ export function initSettings() {
   pacerSpeedInput.addEventListener("input", () => {
     sessionStorage.setItem("PacerSpeed", pacerSpeedInput.value);
   });
-  //weight input
-  // Hook up live mass updates → optional immediate speed recompute
-  const riderWeightEl = document.getElementById("rider-weight");
-  if (riderWeightEl) {
-    const updateMassAndMaybeSpeed = () => {
-      const newMass = Number(riderWeightEl.value);
-      if (!Number.isFinite(newMass)) return;
-      sessionStorage.setItem("weight", newMass);
+  // rider and bike profiles - the ride computes mass, CdA and Crr from these
+  initProfileSettings();
+  initZoneSettings();
+  initPacerModeSettings();
+  initGhostSettings();
+
+  // sprint intervals: how many sprints, how long, and the recovery between them
+  const sprintInputs = {
+    sprintCount: document.getElementById("sprint-count"),
+    sprintSeconds: document.getElementById("sprint-seconds"),
+    recoverySeconds: document.getElementById("sprint-recovery"),
+  };
+  const sprintSettings = loadSprintSettings();
+  for (const [key, input] of Object.entries(sprintInputs)) {
+    if (!input) continue;
+    input.value = sprintSettings[key];
+    input.addEventListener("change", () => {
+      // Out of range values fall back to the stored setting
+      input.value = saveSprintSettings({ [key]: Number(input.value) })[key];
+    });
+  }
+
+  // trainer difficulty (how much of the road grade the trainer simulates)
+  const difficultyInput = document.getElementById("trainer-difficulty");
+  if (difficultyInput) {
+    difficultyInput.value = loadTrainerDifficulty();
+    difficultyInput.addEventListener("change", () => {
+      const percent = Number(difficultyInput.value);
+      if (!Number.isFinite(percent)) return;
+      saveTrainerDifficulty(Math.max(0, Math.min(100, percent)));
+    });
+  }
+
+  // classic trainer power curve (virtual power from the speed sensor)
+  const curveSelect = document.getElementById("virtual-power-curve");
+  const coefficientsInput = document.getElementById("virtual-power-coefficients");
+  if (curveSelect) {
+    const customOption = curveSelect.querySelector(`option[value="${CUSTOM_CURVE_ID}"]`);
+    for (const [id, curve] of Object.entries(TRAINER_POWER_CURVES)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = curve.name;
+      curveSelect.insertBefore(option, customOption);
+    }
+    curveSelect.value = loadVirtualPowerCurveId();
+    const showCoefficients = () => {
+      if (coefficientsInput) coefficientsInput.hidden = curveSelect.value !== CUSTOM_CURVE_ID;
+    };
+    showCoefficients();
+    curveSelect.addEventListener("change", () => {
+      saveVirtualPowerCurveId(curveSelect.value);
+      showCoefficients();
+    });
+  }
+  if (coefficientsInput) {
+    coefficientsInput.value = loadCustomCoefficients()?.join(", ") || "";
+    coefficientsInput.addEventListener("change", () => {
+      const coefficients = parseCoefficients(coefficientsInput.value);
+      if (!coefficients) {
+        alert("Enter the polynomial as numbers separated by commas, e.g. 0, 3.5, 0, 0.01");
+        return;
+      }
+      saveCustomCoefficients(coefficients);
+    });
+  }
+
+  // power display smoothing
+  const smoothingSelect = document.getElementById("power-smoothing");
+  if (smoothingSelect) {
+    smoothingSelect.value = String(loadPowerSmoothing());
+    smoothingSelect.addEventListener("change", () => {
+      savePowerSmoothing(Number(smoothingSelect.value));
+    });
+  }
+
+  // power match - ride on trainer power, corrected against the power meter
+  const powerMatchBtn = document.getElementById("power-match-btn");
+  if (powerMatchBtn) {
+    const showPowerMatch = (enabled) => {
+      powerMatchBtn.textContent = enabled ? "Power match: ON" : "Power match: OFF";
     };
+    showPowerMatch(loadPowerMatch());
+    powerMatchBtn.addEventListener("click", () => {
+      const enabled = !loadPowerMatch();
+      savePowerMatch(enabled);
+      showPowerMatch(enabled);
+      if (enabled) {
+        // The trainer has to be the power source for its readings to be corrected
+        standardMode.sensors.setPreferredSource("power", SENSOR_ROLES.TRAINER);
+        const powerSourceSelect = document.getElementById("power-source-input");
+        if (powerSourceSelect) powerSourceSelect.value = SENSOR_ROLES.TRAINER;
+      }
+    });
+  }
 
-    // Initialize once and then listen for changes
-    updateMassAndMaybeSpeed();
-    riderWeightEl.addEventListener("input", updateMassAndMaybeSpeed);
-    riderWeightEl.addEventListener("change", updateMassAndMaybeSpeed);
+  // sensor timeout (seconds without data before power and cadence drop to zero)
+  const sensorTimeoutInput = document.getElementById("sensor-timeout");
+  if (sensorTimeoutInput) {
+    sensorTimeoutInput.value = loadStaleTimeoutSeconds();
+    sensorTimeoutInput.addEventListener("change", () => {
+      const seconds = Number(sensorTimeoutInput.value);
+      if (!Number.isFinite(seconds) || seconds <= 0) return;
+      saveStaleTimeoutSeconds(seconds);
+    });
   }
 
   // units input
@@ -105,6 +443,14 @@ export function initSettings() {
   if (weightUnitInput) {
     weightUnitInput.addEventListener("input", () => {
       sessionStorage.setItem("WeightUnit", weightUnitInput.value);
+      // Profiles store kg; show the rider's weight in the new unit
+      units.setUnits();
+      const riderWeightInput = document.getElementById("rider-weight");
+      if (riderWeightInput) {
+        riderWeightInput.value = Math.round(
+          units.weightUnit.convertTo(loadSelectedRiderProfile().weight)
+        );
+      }
       let elements = document.getElementsByClassName("weightUnit");
       for (let i = 0; i < elements.length; i++) {
         elements.item(i).innerHTML = weightUnitInput.value;
@@ -0,0 +1,94 @@
+// pacerModes.js: What the pacer rides at outside workouts. Speed mode is the constant
+// #pacer-speed pace; the power modes (watts, W/kg, %FTP) put a constant power through the
+// same physics as the rider, so the pacer slows on climbs and gets a draft like a real partner.
+import { stepSpeed } from "./physics.js";
+
+const PACER_MODE_STORAGE_KEY = "PacerMode";
+
+export const SPEED_MODE_ID = "speed";
+
+// Power modes: the setting each one stores, with its unit, range and default
+export const PACER_MODES = {
+  [SPEED_MODE_ID]: { name: "Speed" },
+  watts: { name: "Watts", unit: "W", min: 30, max: 1500, step: 5, default: 200 },
+  wkg: { name: "W/kg", unit: "W/kg", min: 0.5, max: 10, step: 0.1, default: 3 },
+  ftp: { name: "%FTP", unit: "% FTP", min: 30, max: 200, step: 1, default: 75 },
+};
+
+export const DEFAULT_PACER_SETTINGS = {
+  mode: SPEED_MODE_ID,
+  watts: PACER_MODES.watts.default,
+  wkg: PACER_MODES.wkg.default,
+  ftp: PACER_MODES.ftp.default,
+};
+
+// Out of range values fall back to the given settings
+function cleanPacerSettings(settings, fallback = DEFAULT_PACER_SETTINGS) {
+  const mode = PACER_MODES[settings?.mode] ? settings.mode : fallback.mode;
+  const cleaned = { mode };
+  for (const [id, { min, max }] of Object.entries(PACER_MODES)) {
+    if (id === SPEED_MODE_ID) continue;
+    const value = Number(settings?.[id]);
+    cleaned[id] = Number.isFinite(value) && value >= min && value <= max ? value : fallback[id];
+  }
+  return cleaned;
+}
+
+export function loadPacerSettings() {
+  try {
+    return cleanPacerSettings(JSON.parse(localStorage.getItem(PACER_MODE_STORAGE_KEY)));
+  } catch {
+    return { ...DEFAULT_PACER_SETTINGS };
+  }
+}
+
+export function savePacerSettings(settings) {
+  const stored = loadPacerSettings();
+  const cleaned = cleanPacerSettings({ ...stored, ...settings }, stored);
+  localStorage.setItem(PACER_MODE_STORAGE_KEY, JSON.stringify(cleaned));
+  return cleaned;
+}
+
+/**
+ * The pacer's power for a rider profile ({ weight, ftp }), or null in speed mode.
+ */
+export function pacerTargetWatts(settings, { weight, ftp }) {
+  switch (settings.mode) {
+    case "watts":
+      return settings.watts;
+    case "wkg":
+      return settings.wkg * weight;
+    case "ftp":
+      return (settings.ftp / 100) * ftp;
+    default:
+      return null;
+  }
+}
+
+/**
+ * A pacer holding a constant power. speed in km/h, distance in metres.
+ */
+export class PowerPacer {
+  constructor({ watts, speed = 0, distance = 0 } = {}) {
+    this.watts = watts;
+    this.speed = speed;
+    this.distance = distance;
+  }
+
+  /**
+   * Ride dt seconds. options are the road and air for the pacer
+   * ({ slope, draftFactor, windSpeed }), as for the rider in physics.js.
+   */
+  step(dt, options) {
+    const previous = this.speed;
+    this.speed = stepSpeed(previous, this.watts, dt, options);
+    this.distance += (((previous + this.speed) / 2) * dt) / 3.6;
+    return this.speed;
+  }
+
+  // Sync Players puts the pacer back beside the rider
+  syncTo({ speed, distance }) {
+    this.speed = speed;
+    this.distance = distance;
+  }
+}
@@ -0,0 +1,115 @@
+// physics.js: Longitudinal force model for the rider - gravity along the slope, rolling resistance,
+// aero drag against the air speed and inertia (including the spinning wheels). Steady-state speed,
+// pedalling and coasting all use the same forces so they agree on every gradient.
+import { constants } from "./constants.js";
+
+// Longest step integrated in one go; a slow frame is split into several of these
+const MAX_STEP_SECONDS = 0.1;
+
+// Below this speed (m/s) power is applied as if moving this fast, so F = P / v stays finite
+const MIN_DRIVE_SPEED = 0.1;
+
+// Road and rider parameters, defaulting to the live values in constants
+function resolveOptions({
+  slope = constants.slope,
+  mass = constants.mass,
+  crr = constants.crr,
+  cda,
+  cw,
+  draftFactor = constants.draftFactor,
+  windSpeed = constants.windSpeed,
+} = {}) {
+  const dragArea = cda ?? constants.cda;
+  return {
+    slope,
+    mass,
+    crr,
+    windSpeed,
+    // Drafting only shelters the rider from the air, so it scales the aero term alone
+    cw: (cw ?? 0.5 * constants.airDensity * constants.dragCoefficient * dragArea) * draftFactor,
+  };
+}
+
+/**
+ * Rotating wheels have to be spun up as well as moved, so they add I / r^2 each
+ * to the mass being accelerated. Only matters for changes in speed, never steady state.
+ */
+export function effectiveMass(mass = constants.mass) {
+  const radius = constants.wheelCircumference / (2 * Math.PI);
+  return mass + (constants.wheelCount * constants.wheelInertia) / (radius * radius);
+}
+
+/**
+ * Forces (N) on the rider at speedMs. gravity is positive uphill (pulling back) and
+ * negative downhill (pushing forward); rolling always opposes motion. aero acts on the
+ * air speed - ground speed plus headwind - so a tailwind faster than the rider pushes (negative).
+ */
+export function resistanceForces(speedMs, options) {
+  const { slope, mass, crr, cw, windSpeed } = resolveOptions(options);
+  const angle = Math.atan(slope);
+  const airSpeed = speedMs + windSpeed;
+  return {
+    gravity: mass * constants.g * Math.sin(angle),
+    rolling: crr * mass * constants.g * Math.cos(angle),
+    aero: cw * airSpeed * Math.abs(airSpeed),
+  };
+}
+
+/**
+ * Steady-state speed (km/h) for a constant power: solves P = v * (aero(v) + gravity + rolling).
+ * With no power on a descent (or in a strong tailwind) this is the coasting terminal velocity.
+ */
+export function powerToSpeed({ power = 0, ...options } = {}) {
+  const { cw, windSpeed } = resolveOptions(options);
+  const p = Math.max(0, power);
+  const excess = (v) => {
+    const { gravity, rolling, aero } = resistanceForces(v, options);
+    return v * (gravity + rolling + aero) - p;
+  };
+
+  // The resistance grows with speed, so there is one crossing between a standstill and
+  // a speed where aero alone beats everything; bisect between the two
+  const { gravity, rolling } = resistanceForces(0, options);
+  let lo = 0;
+  let hi = Math.sqrt(Math.max(0, -(gravity + rolling)) / cw) + Math.cbrt(p / cw) + Math.max(0, -windSpeed) + 1;
+  for (let i = 0; i < 100 && hi - lo > 1e-9; i++) {
+    const mid = (lo + hi) / 2;
+    if (excess(mid) > 0) hi = mid;
+    else lo = mid;
+  }
+  return constants.msToKmh(lo);
+}
+
+// Speed (km/h) after dt seconds at the given power, starting from currentSpeed (km/h)
+export function stepSpeed(currentSpeed, power, dt, options) {
+  const mass = effectiveMass(resolveOptions(options).mass);
+  let v = constants.kmhToMs(Math.max(0, currentSpeed));
+  let remaining = Math.max(0, dt);
+
+  while (remaining > 0) {
+    const h = Math.min(remaining, MAX_STEP_SECONDS);
+    remaining -= h;
+
+    const { gravity, rolling, aero } = resistanceForces(v, options);
+    const drivingForce = power > 0 ? power / Math.max(v, MIN_DRIVE_SPEED) : 0;
+    const pushForward = drivingForce - gravity - aero;
+
+    // Standing still, rolling resistance holds the bike until something beats it
+    if (v === 0 && pushForward <= rolling) continue;
+
+    const netForce = pushForward - rolling;
+    v = Math.max(0, v + (netForce / mass) * h);
+  }
+
+  return constants.msToKmh(v);
+}
+
+// Pedalling: speeds up or slows down towards the steady state for currentPower
+export function calculateAccelerationSpeed(currentSpeed, currentPower, dt, options) {
+  return stepSpeed(currentSpeed, currentPower, dt, options);
+}
+
+// Freewheeling: slows down on the flat and climbs, speeds up on descents steep enough
+export function calculateCoastingSpeed(currentSpeed, dt, options) {
+  return stepSpeed(currentSpeed, 0, dt, options);
+}
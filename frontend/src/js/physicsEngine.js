@@ -0,0 +1,113 @@
+// physicsEngine.js: Steps the rider dynamics at a fixed rate, independent of the frame rate.
+// Frames feed their elapsed time into an accumulator and read back a state interpolated
+// between the last two steps. No DOM or window access, so whole rides can run headlessly.
+import { stepSpeed } from "./physics.js";
+
+export const PHYSICS_STEP_SECONDS = 1 / 60;
+
+/**
+ * Rider state the engine owns. speed in km/h, distance in km, calories with the same
+ * (watts * seconds / 1000) estimate the HUD has always shown, elapsed in seconds of riding.
+ */
+function initialState() {
+  return { speed: 0, distance: 0, calories: 0, elapsed: 0 };
+}
+
+export class PhysicsEngine {
+  /**
+   * stepSeconds: the fixed timestep.
+   * maxFrameSeconds: longest frame that is caught up on; a tab left in the background
+   * for longer than this drops the rest instead of stalling the first frame back.
+   */
+  constructor({ stepSeconds = PHYSICS_STEP_SECONDS, maxFrameSeconds = 60 } = {}) {
+    this.stepSeconds = stepSeconds;
+    this.maxFrameSeconds = maxFrameSeconds;
+    this.accumulator = 0;
+    // heldSpeed pins the speed (km/h) for direct speed control instead of integrating power
+    this.inputs = { power: 0, slope: 0, draftFactor: 1, windSpeed: 0, heldSpeed: null };
+    this.state = initialState();
+    this.previous = initialState();
+  }
+
+  setInputs(inputs) {
+    Object.assign(this.inputs, inputs);
+  }
+
+  // Take over values written from outside since the last frame (the keyboard's speed, a calorie
+  // reset). Sensors only supply power; their speed comes from integrating it.
+  sync({ speed, calories } = {}) {
+    if (typeof speed === "number" && speed !== this.state.speed) {
+      this.state.speed = speed;
+      this.previous.speed = speed;
+    }
+    if (typeof calories === "number" && calories !== this.state.calories) {
+      this.state.calories = calories;
+      this.previous.calories = calories;
+    }
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.state = initialState();
+    this.previous = initialState();
+  }
+
+  // One fixed step of stepSeconds
+  step() {
+    const h = this.stepSeconds;
+    const { power, slope, draftFactor, windSpeed, heldSpeed } = this.inputs;
+    const previous = this.state;
+    const speed =
+      typeof heldSpeed === "number"
+        ? heldSpeed
+        : stepSpeed(previous.speed, power, h, { slope, draftFactor, windSpeed });
+
+    this.previous = previous;
+    this.state = {
+      speed,
+      // Average of the speeds at both ends of the step (km/h * s -> km)
+      distance: previous.distance + ((previous.speed + speed) / 2) * (h / 3600),
+      calories: previous.calories + (power > 0 ? (power * h) / 1000 : 0),
+      elapsed: previous.elapsed + h,
+    };
+  }
+
+  /**
+   * Add a frame's worth of time, run every whole step that fits and
+   * return the state interpolated for rendering.
+   */
+  advance(frameSeconds) {
+    if (frameSeconds > 0) {
+      this.accumulator += Math.min(frameSeconds, this.maxFrameSeconds);
+    }
+    // The small tolerance stops float error from leaving a step behind
+    while (this.accumulator >= this.stepSeconds - 1e-9) {
+      this.step();
+      this.accumulator -= this.stepSeconds;
+    }
+    this.accumulator = Math.max(0, this.accumulator);
+    return this.interpolate();
+  }
+
+  // How far (0-1) the leftover time reaches into the next step
+  get alpha() {
+    return Math.min(1, this.accumulator / this.stepSeconds);
+  }
+
+  interpolate(alpha = this.alpha) {
+    const blend = (key) => this.previous[key] + (this.state[key] - this.previous[key]) * alpha;
+    return {
+      speed: blend("speed"),
+      distance: blend("distance"),
+      calories: blend("calories"),
+      elapsed: blend("elapsed"),
+    };
+  }
+
+  // Headless: run for a number of seconds in whole steps, with no frame cap
+  run(seconds) {
+    const steps = Math.round(seconds / this.stepSeconds);
+    for (let i = 0; i < steps; i++) this.step();
+    return this.state;
+  }
+}
@@ -0,0 +1,149 @@
+// powerConditioning.js: Cleans up raw sensor power before it reaches the rider state -
+// drops BLE glitches, keeps rolling averages for display and power-matches a trainer to a power meter
+const SMOOTHING_STORAGE_KEY = "PowerSmoothing";
+const POWER_MATCH_STORAGE_KEY = "PowerMatch";
+
+// Display smoothing in seconds (0 = instantaneous)
+export const POWER_SMOOTHING_OPTIONS = [0, 3, 10];
+
+export function loadPowerSmoothing() {
+  const stored = Number(localStorage.getItem(SMOOTHING_STORAGE_KEY));
+  return POWER_SMOOTHING_OPTIONS.includes(stored) ? stored : 3;
+}
+
+export function savePowerSmoothing(seconds) {
+  localStorage.setItem(SMOOTHING_STORAGE_KEY, String(seconds));
+}
+
+export function loadPowerMatch() {
+  return localStorage.getItem(POWER_MATCH_STORAGE_KEY) === "true";
+}
+
+export function savePowerMatch(enabled) {
+  localStorage.setItem(POWER_MATCH_STORAGE_KEY, String(!!enabled));
+}
+
+// Time-based rolling average over the last windowSeconds of readings
+export class RollingAverage {
+  constructor(windowSeconds) {
+    this.windowMs = windowSeconds * 1000;
+    this.samples = []; // { t, watts }
+    this.sum = 0;
+  }
+
+  push(watts, nowMs) {
+    this.samples.push({ t: nowMs, watts });
+    this.sum += watts;
+    while (this.samples.length > 1 && nowMs - this.samples[0].t >= this.windowMs) {
+      this.sum -= this.samples.shift().watts;
+    }
+  }
+
+  get value() {
+    return this.samples.length ? this.sum / this.samples.length : 0;
+  }
+
+  reset() {
+    this.samples = [];
+    this.sum = 0;
+  }
+}
+
+export class PowerConditioner {
+  /**
+   * maxWatts: anything above is always a glitch.
+   * spikeJumpWatts: a jump this far above the last accepted reading is held back
+   * until the next reading confirms it - real sprints last longer than one packet.
+   * windows: rolling average lengths in seconds, read back with average(seconds).
+   */
+  constructor({ maxWatts = 2500, spikeJumpWatts = 800, windows = [3, 10] } = {}) {
+    this.maxWatts = maxWatts;
+    this.spikeJumpWatts = spikeJumpWatts;
+    this.averages = new Map(windows.map((s) => [s, new RollingAverage(s)]));
+    this.lastAccepted = null;
+    this.suspect = null; // a big jump waiting for confirmation
+    this.rejected = 0;
+  }
+
+  // Returns the accepted watts, or null when the reading was thrown away
+  push(watts, nowMs = performance.now()) {
+    if (!Number.isFinite(watts) || watts < 0 || watts > this.maxWatts) {
+      return this.#reject();
+    }
+
+    const isJump = this.lastAccepted !== null && watts - this.lastAccepted > this.spikeJumpWatts;
+    if (isJump && this.suspect === null) {
+      this.suspect = watts;
+      return this.#reject();
+    }
+    // A second high reading in a row is a real effort; a drop back means the first was a glitch
+    this.suspect = null;
+
+    this.lastAccepted = watts;
+    for (const average of this.averages.values()) average.push(watts, nowMs);
+    return watts;
+  }
+
+  // Rolling average for one of the configured windows; 0 is the last accepted reading
+  average(seconds) {
+    if (seconds === 0) return this.lastAccepted ?? 0;
+    return this.averages.get(seconds)?.value ?? this.lastAccepted ?? 0;
+  }
+
+  reset() {
+    this.lastAccepted = null;
+    this.suspect = null;
+    for (const average of this.averages.values()) average.reset();
+  }
+
+  #reject() {
+    this.rejected++;
+    return null;
+  }
+}
+
+/**
+ * Power match: scales the trainer's power so it agrees with a pedal/crank power meter.
+ * Both are averaged over windowSeconds to hide timing differences, and the correction
+ * drifts towards their ratio a little with every reading.
+ */
+export class PowerMatcher {
+  constructor({ windowSeconds = 10, minWatts = 50, rate = 0.05, maxCorrection = 0.25 } = {}) {
+    this.trainer = new RollingAverage(windowSeconds);
+    this.meter = new RollingAverage(windowSeconds);
+    this.minWatts = minWatts;
+    this.rate = rate;
+    this.maxCorrection = maxCorrection;
+    this.factor = 1;
+  }
+
+  observeTrainer(watts, nowMs = performance.now()) {
+    this.trainer.push(watts, nowMs);
+    this.#update();
+  }
+
+  observeMeter(watts, nowMs = performance.now()) {
+    this.meter.push(watts, nowMs);
+    this.#update();
+  }
+
+  correct(trainerWatts) {
+    return trainerWatts * this.factor;
+  }
+
+  reset() {
+    this.trainer.reset();
+    this.meter.reset();
+    this.factor = 1;
+  }
+
+  #update() {
+    const trainer = this.trainer.value;
+    const meter = this.meter.value;
+    // Coasting or one side missing says nothing about calibration
+    if (trainer < this.minWatts || meter < this.minWatts) return;
+
+    const target = Math.max(1 - this.maxCorrection, Math.min(1 + this.maxCorrection, meter / trainer));
+    this.factor += (target - this.factor) * this.rate;
+  }
+}
@@ -0,0 +1,96 @@
+// powerZones.js: Power zones from the rider's FTP. The zone model is either the Coggan
+// 7-zone model or a custom list of zone upper bounds in %FTP, saved in localStorage.
+
+const ZONE_MODEL_STORAGE_KEY = "PowerZoneModel";
+
+export const COGGAN_MODEL_ID = "coggan";
+export const CUSTOM_MODEL_ID = "custom";
+
+// Colours for zones 1-7 (more zones reuse the last one)
+const ZONE_COLORS = ["#9e9e9e", "#2196f3", "#4caf50", "#ffc107", "#ff9800", "#f44336", "#9c27b0"];
+
+/**
+ * Coggan's levels. upper is the top of the zone as a fraction of FTP;
+ * the last zone has no top.
+ */
+export const COGGAN_ZONES = [
+  { name: "Active Recovery", upper: 0.55 },
+  { name: "Endurance", upper: 0.75 },
+  { name: "Tempo", upper: 0.9 },
+  { name: "Threshold", upper: 1.05 },
+  { name: "VO2 Max", upper: 1.2 },
+  { name: "Anaerobic", upper: 1.5 },
+  { name: "Neuromuscular", upper: Infinity },
+];
+
+// Zones with their number and colour filled in
+function numbered(zones) {
+  return zones.map((zone, i) => ({
+    ...zone,
+    number: i + 1,
+    color: ZONE_COLORS[Math.min(i, ZONE_COLORS.length - 1)],
+  }));
+}
+
+/**
+ * Parse custom zone bounds typed as percentages, e.g. "60, 80, 100, 120".
+ * Returns the upper bounds as fractions, or null unless they are positive and increasing.
+ */
+export function parseZoneBounds(text) {
+  const parts = String(text ?? "")
+    .split(/[,\s]+/)
+    .filter(Boolean);
+  if (parts.length === 0 || parts.length > 9) return null;
+  const bounds = parts.map(Number);
+  if (bounds.some((b) => !Number.isFinite(b) || b <= 0)) return null;
+  if (bounds.some((b, i) => i > 0 && b <= bounds[i - 1])) return null;
+  return bounds.map((b) => b / 100);
+}
+
+export function loadZoneModel() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ZONE_MODEL_STORAGE_KEY));
+    if (stored?.id === CUSTOM_MODEL_ID) {
+      const bounds = parseZoneBounds(stored.bounds?.map((b) => b * 100).join(","));
+      if (bounds) return { id: CUSTOM_MODEL_ID, bounds };
+    }
+  } catch {
+    // fall through to Coggan
+  }
+  return { id: COGGAN_MODEL_ID };
+}
+
+export function saveZoneModel(model) {
+  localStorage.setItem(ZONE_MODEL_STORAGE_KEY, JSON.stringify(model));
+}
+
+/**
+ * The zones of a model: [{ number, name, upper, color }], upper as a fraction of FTP.
+ * Custom bounds are the tops of all but the last zone.
+ */
+export function zonesFor(model = loadZoneModel()) {
+  if (model.id !== CUSTOM_MODEL_ID || !model.bounds) return numbered(COGGAN_ZONES);
+  return numbered(
+    [...model.bounds, Infinity].map((upper, i) => ({ name: `Zone ${i + 1}`, upper }))
+  );
+}
+
+/**
+ * The zone a power falls in, or null without a usable power or FTP.
+ * A zone includes its upper bound (e.g. exactly 55% FTP is still Coggan zone 1).
+ */
+export function zoneForPower(watts, ftp, zones = zonesFor()) {
+  if (!(ftp > 0) || typeof watts !== "number" || !Number.isFinite(watts)) return null;
+  const fraction = watts / ftp;
+  return zones.find((zone) => fraction <= zone.upper) || zones[zones.length - 1];
+}
+
+// Watt range of a zone for an FTP: { low, high } with high null for the top zone
+export function zoneWatts(zone, ftp, zones = zonesFor()) {
+  const index = zones.findIndex((z) => z.number === zone.number);
+  const lowFraction = index > 0 ? zones[index - 1].upper : 0;
+  return {
+    low: Math.round(lowFraction * ftp),
+    high: Number.isFinite(zone.upper) ? Math.round(zone.upper * ftp) : null,
+  };
+}
@@ -0,0 +1,171 @@
+// profiles.js: Rider and bike equipment profiles. The physics coefficients (mass, CdA, Crr)
+// come from the selected rider on the selected bike instead of hardcoded values.
+import { constants } from "./constants.js";
+
+const RIDERS_STORAGE_KEY = "RiderProfiles";
+const SELECTED_RIDER_STORAGE_KEY = "SelectedRiderProfile";
+const BIKE_STORAGE_KEY = "BikeProfile";
+
+/**
+ * Riding positions as a drag coefficient on the rider's frontal area.
+ * Together with the frontal area these land on the usual CdA ranges for a ~70 kg rider.
+ */
+export const RIDER_POSITIONS = {
+  upright: { name: "Upright (tops)", cd: 1.15 },
+  hoods: { name: "Hoods", cd: 1.0 },
+  drops: { name: "Drops", cd: 0.9 },
+  aero: { name: "Aero bars", cd: 0.75 },
+};
+
+/**
+ * Bike presets. mass in kg, crr for the stock tires on smooth tarmac,
+ * aero scales the rider's CdA for the frame, wheels and bar width.
+ */
+export const BIKE_PROFILES = {
+  road: { name: "Road", mass: 8, crr: 0.004, aero: 1.0 },
+  tt: { name: "Time trial", mass: 9, crr: 0.0035, aero: 0.9 },
+  gravel: { name: "Gravel", mass: 9.5, crr: 0.006, aero: 1.05 },
+  mtb: { name: "Mountain bike", mass: 12.5, crr: 0.009, aero: 1.15 },
+};
+
+export const DEFAULT_BIKE_ID = "road";
+
+export const DEFAULT_FTP = 200; // W, until the rider sets one or does a ramp test
+export const FTP_RANGE = { min: 50, max: 700 }; // W
+const FTP_HISTORY_LENGTH = 50;
+
+export function defaultRiderProfile() {
+  return {
+    id: "rider-1",
+    name: "Rider 1",
+    weight: 70,
+    height: 1.75,
+    position: "hoods",
+    ftp: DEFAULT_FTP,
+    ftpHistory: [],
+  };
+}
+
+// Keep stored values in a sane range; anything unusable falls back to the default
+function cleanRiderProfile(profile) {
+  const defaults = defaultRiderProfile();
+  const number = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) && Number(value) >= min && Number(value) <= max
+      ? Number(value)
+      : fallback;
+  return {
+    id: String(profile?.id || defaults.id),
+    name: String(profile?.name || defaults.name),
+    weight: number(profile?.weight, 30, 200, defaults.weight), // kg
+    height: number(profile?.height, 1.2, 2.3, defaults.height), // m
+    position: RIDER_POSITIONS[profile?.position] ? profile.position : defaults.position,
+    ftp: Math.round(number(profile?.ftp, FTP_RANGE.min, FTP_RANGE.max, defaults.ftp)), // W
+    // [{ date, ftp, source }] oldest first; source is "ramp" or "manual"
+    ftpHistory: (Array.isArray(profile?.ftpHistory) ? profile.ftpHistory : [])
+      .filter((entry) => isValidFtp(entry?.ftp) && entry.date)
+      .map(({ date, ftp, source }) => ({ date: String(date), ftp: Math.round(ftp), source: source || "manual" }))
+      .slice(-FTP_HISTORY_LENGTH),
+  };
+}
+
+export function loadRiderProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RIDERS_STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored.map(cleanRiderProfile);
+  } catch {
+    // fall through to a fresh default profile
+  }
+  return [defaultRiderProfile()];
+}
+
+export function saveRiderProfiles(profiles) {
+  localStorage.setItem(RIDERS_STORAGE_KEY, JSON.stringify(profiles.map(cleanRiderProfile)));
+}
+
+export function loadSelectedRiderProfile() {
+  const profiles = loadRiderProfiles();
+  const id = localStorage.getItem(SELECTED_RIDER_STORAGE_KEY);
+  return profiles.find((p) => p.id === id) || profiles[0];
+}
+
+export function saveSelectedRiderProfileId(id) {
+  localStorage.setItem(SELECTED_RIDER_STORAGE_KEY, id);
+}
+
+// Replace (or add) one profile and make it the selected one
+export function saveRiderProfile(profile) {
+  const cleaned = cleanRiderProfile(profile);
+  const profiles = loadRiderProfiles().filter((p) => p.id !== cleaned.id);
+  saveRiderProfiles([...profiles, cleaned]);
+  saveSelectedRiderProfileId(cleaned.id);
+  return cleaned;
+}
+
+// A new profile with an id that isn't taken yet
+export function createRiderProfile(profiles = loadRiderProfiles()) {
+  let n = profiles.length + 1;
+  while (profiles.some((p) => p.id === `rider-${n}`)) n++;
+  return { ...defaultRiderProfile(), id: `rider-${n}`, name: `Rider ${n}` };
+}
+
+// Whether an FTP (W) is one a profile can hold once rounded
+export function isValidFtp(ftp) {
+  const rounded = Math.round(Number(ftp));
+  return Number.isFinite(rounded) && rounded >= FTP_RANGE.min && rounded <= FTP_RANGE.max;
+}
+
+/**
+ * Set the selected rider's FTP and add it to their test history.
+ * Returns the updated profile. Throws a RangeError for an FTP outside FTP_RANGE,
+ * leaving the profile as it was.
+ */
+export function recordFtp(ftp, { source = "manual", date = new Date().toISOString() } = {}) {
+  if (!isValidFtp(ftp)) {
+    throw new RangeError(`FTP must be ${FTP_RANGE.min}-${FTP_RANGE.max} W, not ${Math.round(ftp)} W`);
+  }
+  const profile = loadSelectedRiderProfile();
+  const rounded = Math.round(ftp);
+  return saveRiderProfile({
+    ...profile,
+    ftp: rounded,
+    ftpHistory: [...profile.ftpHistory, { date, ftp: rounded, source }],
+  });
+}
+
+export function loadBikeProfileId() {
+  const id = localStorage.getItem(BIKE_STORAGE_KEY);
+  return BIKE_PROFILES[id] ? id : DEFAULT_BIKE_ID;
+}
+
+export function saveBikeProfileId(id) {
+  localStorage.setItem(BIKE_STORAGE_KEY, id);
+}
+
+/**
+ * Frontal area (m^2) from height (m) and weight (kg), after Bassett et al. (1999):
+ * A = 0.0293 * H^0.725 * M^0.425 + 0.0604
+ */
+export function frontalArea(height, weight) {
+  return 0.0293 * height ** 0.725 * weight ** 0.425 + 0.0604;
+}
+
+// Physics coefficients for a rider on a bike
+export function equipmentCoefficients(rider, bike) {
+  const position = RIDER_POSITIONS[rider.position] || RIDER_POSITIONS.hoods;
+  return {
+    riderMass: rider.weight,
+    bikeMass: bike.mass,
+    crr: bike.crr,
+    cda: position.cd * frontalArea(rider.height, rider.weight) * bike.aero,
+  };
+}
+
+// Load the selected rider and bike and hand their coefficients to the physics
+export function applyEquipment({
+  rider = loadSelectedRiderProfile(),
+  bike = BIKE_PROFILES[loadBikeProfileId()],
+} = {}) {
+  const coefficients = equipmentCoefficients(rider, bike);
+  Object.assign(constants, coefficients);
+  return coefficients;
+}
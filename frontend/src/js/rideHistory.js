@@ -29,7 +29,8 @@ export class RideHistory {
     return (this.last.time - this.first.time) / 1000;
   }
 
-  pushSample(nowMs, power, speed, distance) {
+  // dropout marks seconds where the sensors had gone quiet; treat those samples as gaps
+  pushSample(nowMs, power, speed, distance, heartRate = null, dropout = false) {
     // initialize anchors on first sample
     if (this.startEpochMs === null) {
       this.startEpochMs = Date.now();
@@ -46,7 +47,9 @@ export class RideHistory {
       epochMs: this.startEpochMs + elapsedMs,
       power,
       speed,
-      distance
+      distance,
+      heartRate,
+      dropout
     });
 
     this.lastSecond = thisSecond;
@@ -60,6 +63,11 @@ export class RideHistory {
 
 
 
+  // Samples recorded while the sensors were actually sending data
+  get validSamples() {
+    return this.samples.filter((sample) => !sample.dropout);
+  }
+
   reset() {
     this.samples.length = 0;
     this.lastSecond = null;
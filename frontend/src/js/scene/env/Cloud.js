@@ -28,10 +28,7 @@ export class Cloud {
     // Add clouds to scene
     sceneEl.appendChild(this.clouds);
 
-    // Determine how fast clouds will move (10 to 30 MPH)
-    constants.cloudSpeed = Math.floor(Math.random() * (30 - 10 + 1)) + 10;
-    constants.updateEvery = (1/constants.cloudSpeed) * 1000;
-    
+    // Clouds move with constants.windVector, see ObjectField.advance
   }
 }
 
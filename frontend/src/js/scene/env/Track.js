@@ -49,10 +49,13 @@ export class Track {
     avatar.setAttribute("animation__1", `property: position; to: ${constants.trackPoints[constants.currentTrackPiece].x} ${constants.trackPoints[constants.currentTrackPiece].y} ${constants.trackPoints[constants.currentTrackPiece].z}; dur: ${riderDuration}; easing: linear; loop: false; startEvents: riderStarted; pauseEvents: riderStopped; resumeEvents: riderResumed;`);
     //move the sky properly
     setPos(document.getElementById("sky"),{x:0, y:0, z:constants.trackPoints[constants.currentTrackPiece].z});
-    let pacerSpeed = document.getElementById('pacer-speed').value;
-    let pacerEndpoint = -(riderDuration / 1500 * pacerSpeed) + getPos(pacer).z;
-    pacer.removeAttribute("animation__1");
-    pacer.setAttribute("animation__1", `property: position; to: ${constants.trackPoints[constants.currentTrackPiece].x + 0.5} ${constants.trackPoints[constants.currentTrackPiece].y} ${pacerEndpoint}; dur: ${riderDuration}; easing: linear; loop: false; autoplay:true;`);
+    // A ghost or power pacer is placed by main.js from its own distance
+    if (!constants.pacerFollowsDistance) {
+      let pacerSpeed = document.getElementById('pacer-speed').value;
+      let pacerEndpoint = -(riderDuration / 1500 * pacerSpeed) + getPos(pacer).z;
+      pacer.removeAttribute("animation__1");
+      pacer.setAttribute("animation__1", `property: position; to: ${constants.trackPoints[constants.currentTrackPiece].x + 0.5} ${constants.trackPoints[constants.currentTrackPiece].y} ${pacerEndpoint}; dur: ${riderDuration}; easing: linear; loop: false; autoplay:true;`);
+    }
 
     // If rider or pacer is within 40 units of the end, spawn some more track pieces
     if (getPos(avatar).z < constants.trackPoints[constants.trackPoints.length - 1].z + 200) {
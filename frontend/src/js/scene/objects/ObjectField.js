@@ -8,6 +8,9 @@ import { constants } from "../../constants.js";
 import { spawnCloud } from '../env/Cloud.js';
 import { KINDS, detectKind } from './kinds/index.js';
 
+const CLOUD_WIND_SCALE = 3;
+const CLOUD_MAX_X = 450;
+
 export class ObjectField {
 
   constructor({ sceneEl, track, policy, clouds }) {
@@ -127,26 +130,20 @@ export class ObjectField {
     }
   }
 
-    // Advance clouds
-    if (Date.now() > constants.lastCloud + constants.updateEvery) {
-      constants.lastCloud = Date.now();
-
-      if (this.clouds.clouds.children.length) {
-        for (let cloud of this.clouds.clouds.children) {
-          const pos = getPos(cloud);
-          
-          // If the cloud is still in visible range, move it forward
-          if (pos.z < getPos(document.getElementById('rider')).z) {
-            pos.z += 1;
-            setPos(cloud, pos);
-          }
-
-          // Otherwise, remove it from the array and respawn in zone 4
-          else {
-            this.clouds.clouds.removeChild(cloud);
-            this.clouds.clouds.appendChild(spawnCloud(4));
-          }
-        }
+    // Clouds drift with the ride's wind; winds aloft run faster than down at the road
+    const drift = CLOUD_WIND_SCALE * dt;
+    const riderZ = getPos(document.getElementById('rider')).z;
+    for (const cloud of Array.from(this.clouds.clouds.children)) {
+      const pos = getPos(cloud);
+      pos.x += constants.windVector.x * drift;
+      pos.z += constants.windVector.z * drift;
+
+      // Once behind the rider or blown out past the sides, respawn it far ahead in zone 4
+      if (pos.z >= riderZ || Math.abs(pos.x) > CLOUD_MAX_X) {
+        this.clouds.clouds.removeChild(cloud);
+        this.clouds.clouds.appendChild(spawnCloud(4));
+      } else {
+        setPos(cloud, pos);
       }
     }
   }
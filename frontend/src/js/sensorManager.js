@@ -0,0 +1,326 @@
+// sensorManager.js: Keeps every connected sensor (trainer, power meter, HR strap, cadence sensor)
+// and picks which one feeds each metric
+import { TrainerBluetooth } from "./bluetooth.js";
+import { HeartRateMonitor } from "./heartRateMonitor.js";
+import { CscSensor } from "./cscSensor.js";
+import { loadVirtualPowerCurve } from "./virtualPower.js";
+
+const STORAGE_KEY = "Sensors";
+const STALE_TIMEOUT_STORAGE_KEY = "SensorTimeout";
+
+// Seconds without data before a metric counts as dropped out
+export const DEFAULT_STALE_TIMEOUT_SECONDS = 3;
+
+export const CONNECTION_STATES = {
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  DISCONNECTED: "disconnected",
+};
+
+export const SENSOR_ROLES = {
+  TRAINER: "trainer",
+  POWER_METER: "powerMeter",
+  HEART_RATE: "heartRate",
+  CADENCE: "cadence", // speed and/or cadence sensor (CSC)
+};
+
+export const METRICS = ["power", "cadence", "speed", "heartRate"];
+
+// Roles that can provide each metric, best first. The rider's preferred source
+// is tried before these when it is connected.
+const FALLBACK_SOURCES = {
+  // A speed sensor only reports (virtual) power when a classic trainer curve is picked
+  power: [SENSOR_ROLES.POWER_METER, SENSOR_ROLES.TRAINER, SENSOR_ROLES.CADENCE],
+  cadence: [SENSOR_ROLES.CADENCE, SENSOR_ROLES.POWER_METER, SENSOR_ROLES.TRAINER],
+  speed: [SENSOR_ROLES.TRAINER, SENSOR_ROLES.CADENCE, SENSOR_ROLES.POWER_METER],
+  heartRate: [SENSOR_ROLES.HEART_RATE, SENSOR_ROLES.TRAINER],
+};
+
+// Fields that only make sense next to the power reading they came with
+const POWER_DETAIL_FIELDS = ["pedalBalance", "pedalBalanceReference"];
+
+// Stored stale timeout in seconds, falling back to the default
+export function loadStaleTimeoutSeconds() {
+  const stored = Number(localStorage.getItem(STALE_TIMEOUT_STORAGE_KEY));
+  if (localStorage.getItem(STALE_TIMEOUT_STORAGE_KEY) === null || !Number.isFinite(stored) || stored <= 0) {
+    return DEFAULT_STALE_TIMEOUT_SECONDS;
+  }
+  return stored;
+}
+
+export function saveStaleTimeoutSeconds(seconds) {
+  localStorage.setItem(STALE_TIMEOUT_STORAGE_KEY, String(seconds));
+}
+
+function defaultCreateSensor(role) {
+  switch (role) {
+    case SENSOR_ROLES.HEART_RATE:
+      return new HeartRateMonitor();
+    case SENSOR_ROLES.CADENCE:
+      return new CscSensor({ powerCurve: loadVirtualPowerCurve() });
+    default:
+      return new TrainerBluetooth();
+  }
+}
+
+export class SensorManager {
+  constructor({
+    createSensor = defaultCreateSensor,
+    storage = globalThis.localStorage,
+    staleTimeoutMs = loadStaleTimeoutSeconds() * 1000,
+    reconnectDelayMs = 1000,
+    maxReconnectDelayMs = 30000,
+    maxReconnectAttempts = 10,
+    now = () => performance.now(),
+  } = {}) {
+    this.createSensor = createSensor;
+    this.storage = storage;
+    this.staleTimeoutMs = staleTimeoutMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.now = now;
+
+    this.sensors = {}; // role -> connected sensor
+    this.reconnecting = {}; // role -> { device, attempt, timerId }
+    this.lost = {}; // role -> device it gave up reconnecting to
+    this.disconnectListeners = {}; // role -> gattserverdisconnected handler
+    this.lastDataMs = {}; // metric -> when its source last sent it
+    this.onData = null; // callback({power, cadence, speed, heartRate, ...}) - only routed fields are set
+    this.onRawData = null; // callback(role, data) - every sensor's data before routing
+    this.onConnect = null; // callback(role, sensor) - after the chooser or a silent reconnect
+    this.onConnectionChange = null; // callback(role, state) - see CONNECTION_STATES
+
+    const saved = this.#load();
+    this.devices = saved.devices || {}; // role -> { id, name }
+    this.preferredSources = saved.preferredSources || {}; // metric -> role
+  }
+
+  get trainer() {
+    return this.sensors[SENSOR_ROLES.TRAINER] || null;
+  }
+
+  isConnected(role) {
+    return !!this.sensors[role];
+  }
+
+  connectionState(role) {
+    if (this.sensors[role]) return CONNECTION_STATES.CONNECTED;
+    if (this.reconnecting[role]) return CONNECTION_STATES.RECONNECTING;
+    return CONNECTION_STATES.DISCONNECTED;
+  }
+
+  // One state for the HUD: reconnecting wins, then a sensor that was given up on, then connected;
+  // null when nothing was ever connected
+  get overallState() {
+    if (Object.keys(this.reconnecting).length > 0) return CONNECTION_STATES.RECONNECTING;
+    if (Object.keys(this.lost).length > 0) return CONNECTION_STATES.DISCONNECTED;
+    if (Object.keys(this.sensors).length > 0) return CONNECTION_STATES.CONNECTED;
+    return null;
+  }
+
+  /**
+   * True once a metric has stopped arriving for longer than the stale timeout.
+   * Metrics that never arrived are not stale (keyboard / test mode rides).
+   */
+  isStale(metric, nowMs = this.now()) {
+    const last = this.lastDataMs[metric];
+    return last !== undefined && nowMs - last > this.staleTimeoutMs;
+  }
+
+  // Open the chooser for a role and remember the picked device.
+  // Pass a sensor to use it instead of a new one (e.g. a VirtualTrainer).
+  async connect(role, sensor = this.createSensor(role)) {
+    this.#cancelReconnect(role);
+    const ok = await sensor.connect();
+    if (!ok) return false;
+
+    this.#attach(role, sensor);
+    if (sensor.device?.id) {
+      this.devices[role] = { id: sensor.device.id, name: sensor.device.name || "" };
+      this.#save();
+    }
+    return true;
+  }
+
+  /**
+   * Reconnect every remembered device the browser still grants us, without the chooser.
+   * Needs navigator.bluetooth.getDevices (Chrome's persistent permissions).
+   * Resolves to the roles that came back.
+   */
+  async reconnectRemembered() {
+    const roles = Object.keys(this.devices).filter((role) => !this.sensors[role]);
+    if (roles.length === 0 || typeof navigator?.bluetooth?.getDevices !== "function") return [];
+
+    let granted;
+    try {
+      granted = await navigator.bluetooth.getDevices();
+    } catch (err) {
+      console.warn("[SENSORS] Could not list remembered devices", err);
+      return [];
+    }
+
+    const reconnected = [];
+    for (const role of roles) {
+      const device = granted.find((d) => d.id === this.devices[role].id);
+      if (!device) continue;
+
+      const sensor = this.createSensor(role);
+      if (await sensor.connect({ device })) {
+        this.#attach(role, sensor);
+        reconnected.push(role);
+      }
+    }
+    return reconnected;
+  }
+
+  // Drop a role and stop remembering its device
+  forget(role) {
+    this.#cancelReconnect(role);
+    const sensor = this.sensors[role];
+    if (sensor) {
+      this.#detach(role, sensor);
+      sensor.device?.gatt?.disconnect?.();
+    }
+    delete this.sensors[role];
+    delete this.devices[role];
+    if (this.lost[role]) {
+      delete this.lost[role];
+      this.#notifyConnection(role);
+    }
+    this.#save();
+  }
+
+  setPreferredSource(metric, role) {
+    if (!METRICS.includes(metric)) return;
+    if (role) this.preferredSources[metric] = role;
+    else delete this.preferredSources[metric];
+    this.#save();
+  }
+
+  // The connected role that currently feeds a metric, or null
+  sourceFor(metric) {
+    const preferred = this.preferredSources[metric];
+    if (preferred && this.sensors[preferred]) return preferred;
+    return FALLBACK_SOURCES[metric].find((role) => this.sensors[role]) || null;
+  }
+
+  // Keep only the fields this role is the source for
+  route(role, data) {
+    const routed = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (METRICS.includes(key)) {
+        if (this.sourceFor(key) === role) routed[key] = value;
+      } else if (POWER_DETAIL_FIELDS.includes(key)) {
+        if (this.sourceFor("power") === role) routed[key] = value;
+      } else {
+        routed[key] = value;
+      }
+    }
+    return routed;
+  }
+
+  #attach(role, sensor) {
+    // A new device for a role replaces the old one
+    const previous = this.sensors[role];
+    if (previous && previous !== sensor) this.#detach(role, previous);
+
+    this.sensors[role] = sensor;
+    delete this.lost[role];
+    sensor.onData = (data) => {
+      if (this.onRawData) this.onRawData(role, data);
+      const routed = this.route(role, data);
+      const nowMs = this.now();
+      for (const metric of METRICS) {
+        if (metric in routed) this.lastDataMs[metric] = nowMs;
+      }
+      if (Object.keys(routed).length > 0 && this.onData) this.onData(routed);
+    };
+
+    const device = sensor.device;
+    if (device?.addEventListener) {
+      const onDisconnect = () => this.#handleDisconnect(role, sensor);
+      device.addEventListener("gattserverdisconnected", onDisconnect);
+      this.disconnectListeners[role] = onDisconnect;
+    }
+
+    if (this.onConnect) this.onConnect(role, sensor);
+    this.#notifyConnection(role);
+  }
+
+  #detach(role, sensor) {
+    sensor.onData = null;
+    const onDisconnect = this.disconnectListeners[role];
+    if (onDisconnect) {
+      sensor.device?.removeEventListener?.("gattserverdisconnected", onDisconnect);
+      delete this.disconnectListeners[role];
+    }
+  }
+
+  // The link dropped: stop routing this sensor and retry the same device
+  #handleDisconnect(role, sensor) {
+    if (this.sensors[role] !== sensor) return;
+    console.warn(`[SENSORS] ${role} disconnected, reconnecting`);
+    this.#detach(role, sensor);
+    delete this.sensors[role];
+    this.reconnecting[role] = { device: sensor.device, attempt: 0, timerId: null };
+    this.#scheduleReconnect(role);
+    this.#notifyConnection(role);
+  }
+
+  // Exponential backoff capped at maxReconnectDelayMs; gives up after maxReconnectAttempts
+  // (the role then shows as disconnected until it is connected again)
+  #scheduleReconnect(role) {
+    const entry = this.reconnecting[role];
+    if (!entry) return;
+    const delay = Math.min(this.reconnectDelayMs * 2 ** entry.attempt, this.maxReconnectDelayMs);
+    entry.timerId = setTimeout(async () => {
+      if (this.reconnecting[role] !== entry) return;
+      const sensor = this.createSensor(role);
+      const ok = await sensor.connect({ device: entry.device });
+      if (this.reconnecting[role] !== entry) return;
+
+      if (ok) {
+        delete this.reconnecting[role];
+        this.#attach(role, sensor);
+      } else {
+        entry.attempt += 1;
+        if (entry.attempt < this.maxReconnectAttempts) {
+          this.#scheduleReconnect(role);
+          return;
+        }
+        console.warn(`[SENSORS] ${role} did not come back after ${entry.attempt} attempts`);
+        delete this.reconnecting[role];
+        this.lost[role] = entry.device;
+        this.#notifyConnection(role);
+      }
+    }, delay);
+  }
+
+  #cancelReconnect(role) {
+    const entry = this.reconnecting[role];
+    if (!entry) return;
+    clearTimeout(entry.timerId);
+    delete this.reconnecting[role];
+    this.#notifyConnection(role);
+  }
+
+  #notifyConnection(role) {
+    if (this.onConnectionChange) this.onConnectionChange(role, this.connectionState(role));
+  }
+
+  #load() {
+    try {
+      return JSON.parse(this.storage?.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  #save() {
+    this.storage?.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ devices: this.devices, preferredSources: this.preferredSources })
+    );
+  }
+}
@@ -0,0 +1,5 @@
+// This creates a singleton Object so every part of a page shares the same connected sensors
+
+import { SensorManager } from "./sensorManager.js";
+
+export const sensorManager = new SensorManager();
@@ -0,0 +1,118 @@
+// simulationMode.js: Sends the virtual road (grade, wind, rolling resistance, drag) to the trainer
+import { controlPointFor, FTMS_STOP, FTMS_PAUSE } from "./ftmsControlPoint.js";
+
+const DIFFICULTY_STORAGE_KEY = "TrainerDifficulty";
+
+// Default trainer difficulty in percent - half the real grade, like most riding apps
+export const DEFAULT_TRAINER_DIFFICULTY = 50;
+
+// Smallest changes worth a write; anything below this the rider can't feel
+const CHANGE_THRESHOLDS = { grade: 0.1, windSpeed: 0.1, crr: 0.0001, cw: 0.01 };
+
+// Stored difficulty (0-100), falling back to the default
+export function loadTrainerDifficulty() {
+  const stored = Number(localStorage.getItem(DIFFICULTY_STORAGE_KEY));
+  if (localStorage.getItem(DIFFICULTY_STORAGE_KEY) === null || !Number.isFinite(stored)) {
+    return DEFAULT_TRAINER_DIFFICULTY;
+  }
+  return Math.max(0, Math.min(100, stored));
+}
+
+export function saveTrainerDifficulty(percent) {
+  localStorage.setItem(DIFFICULTY_STORAGE_KEY, String(percent));
+}
+
+export class SimulationController {
+  constructor({
+    trainer,
+    minIntervalMs = 1000,
+    difficulty = loadTrainerDifficulty(),
+    timeoutMs = 3000,
+  } = {}) {
+    this.trainer = trainer;
+    this.minIntervalMs = minIntervalMs;
+    this.difficulty = difficulty;
+    this.timeoutMs = timeoutMs;
+    this.controlPoint = null;
+
+    this.lastSent = null;
+    this.lastWriteMs = -Infinity;
+    this.writing = false;
+    this.lastError = null;
+  }
+
+  get hasControl() {
+    return !!this.controlPoint?.hasControl;
+  }
+
+  setDifficulty(percent) {
+    this.difficulty = Math.max(0, Math.min(100, percent));
+  }
+
+  /**
+   * Call this once per frame with the current road.
+   * slope is a decimal grade (0.05 = 5 %), windSpeed is the headwind in m/s,
+   * cw is the wind resistance coefficient 0.5 * airDensity * CdA in kg/m.
+   * Writes are rate limited to one per minIntervalMs and skipped when nothing changed.
+   */
+  update(nowMs, { slope = 0, windSpeed = 0, crr, cw }) {
+    if (this.writing) return;
+    if (nowMs - this.lastWriteMs < this.minIntervalMs) return;
+
+    const params = {
+      grade: slope * 100 * (this.difficulty / 100),
+      windSpeed,
+      crr,
+      cw,
+    };
+    if (this.lastSent && this.hasControl && !this.#hasChanged(params)) return;
+
+    this.lastWriteMs = nowMs;
+    this.writing = true;
+    return this.#send(params).finally(() => {
+      this.writing = false;
+    });
+  }
+
+  // Give control back to the trainer (pause / resume flow)
+  pause() {
+    return this.#release(FTMS_PAUSE);
+  }
+
+  // Give control back to the trainer at the end of a ride
+  stop() {
+    return this.#release(FTMS_STOP);
+  }
+
+  #hasChanged(params) {
+    return Object.keys(CHANGE_THRESHOLDS).some(
+      (key) => Math.abs(params[key] - this.lastSent[key]) >= CHANGE_THRESHOLDS[key]
+    );
+  }
+
+  async #send(params) {
+    try {
+      if (!this.controlPoint) {
+        this.controlPoint = controlPointFor(this.trainer, { timeoutMs: this.timeoutMs });
+      }
+      await this.controlPoint.takeControl();
+      await this.controlPoint.setIndoorBikeSimulation(params);
+      this.lastSent = params;
+      this.lastError = null;
+    } catch (err) {
+      this.lastError = err;
+      console.warn("[SIM]", err.message);
+    }
+  }
+
+  async #release(stopOrPause) {
+    this.lastSent = null;
+    this.lastWriteMs = -Infinity;
+    if (!this.controlPoint) return;
+    try {
+      await this.controlPoint.releaseControl(stopOrPause);
+    } catch (err) {
+      console.warn("[SIM]", err.message);
+    }
+  }
+}
@@ -1,35 +1,122 @@
-import { TrainerBluetooth } from "./bluetooth.js";
+import { sensorManager } from "./sensorManagerStore.js";
+import { SENSOR_ROLES } from "./sensorManager.js";
+import { VirtualTrainer } from "./virtualTrainer.js";
+import {
+    PowerConditioner,
+    PowerMatcher,
+    loadPowerSmoothing,
+    loadPowerMatch,
+} from "./powerConditioning.js";
 import { constants } from "./constants.js";
-import { powerToSpeed } from "./main.js";
 import { activatePacer } from "./main.js";
 
 export class StandardMode {
-    trainer = new TrainerBluetooth();
+    // Shared with the calibration modal and the main menu
+    sensors = sensorManager;
+    // Sensor power is cleaned up here before it reaches the rider state
+    conditioner = new PowerConditioner();
+    powerMatcher = new PowerMatcher();
+    powerSmoothing = loadPowerSmoothing();
+    powerMatch = loadPowerMatch();
+    get trainer() {
+        return this.sensors.trainer;
+    }
     async connectTrainer() {
-        if (this.trainer == null) {
-            this.trainer = new TrainerBluetooth();
+        return await this.sensors.connect(SENSOR_ROLES.TRAINER);
+    }
+    async connectHeartRate() {
+        return await this.sensors.connect(SENSOR_ROLES.HEART_RATE);
+    }
+    async connectPowerMeter() {
+        return await this.sensors.connect(SENSOR_ROLES.POWER_METER);
+    }
+    async connectCadence() {
+        return await this.sensors.connect(SENSOR_ROLES.CADENCE);
+    }
+    // Software trainer in place of a Bluetooth one (dev / test mode)
+    async connectVirtualTrainer(options) {
+        return await this.sensors.connect(SENSOR_ROLES.TRAINER, new VirtualTrainer(options));
+    }
+    // Bring back the devices picked on the main menu without the chooser
+    async reconnect() {
+        return await this.sensors.reconnectRemembered();
+    }
+    /**
+     * Zero power and cadence once their source has gone quiet for longer than the
+     * sensor timeout, so a dropped sensor doesn't leave the last value stuck.
+     * The rider then coasts on the physics rather than stopping dead.
+     * Returns true while power is missing (a dropout).
+     */
+    checkDropout() {
+        const powerStale = this.sensors.isStale("power");
+        const { power, cadence } = constants.riderState;
+        if (powerStale && power) {
+            constants.riderState = { ...constants.riderState, power: 0, displayPower: 0 };
+            this.conditioner.reset();
         }
-        ok = await this.trainer.connect();
-        if (ok) connectBtn.disabled = true;
-    } 
+        if (this.sensors.isStale("cadence") && cadence) {
+            constants.riderState = { ...constants.riderState, cadence: 0 };
+        }
+        return powerStale;
+    }
+    // True while the cadence source has gone quiet (its cadence is zeroed, not missing)
+    isCadenceStale() {
+        return this.sensors.isStale("cadence");
+    }
+    /**
+     * Power match the trainer against a power meter when both are connected,
+     * then drop spikes. Returns the watts to use, or null for a rejected reading.
+     */
+    conditionPower(watts) {
+        const matching =
+            this.powerMatch &&
+            this.sensors.isConnected(SENSOR_ROLES.POWER_METER) &&
+            this.sensors.sourceFor("power") === SENSOR_ROLES.TRAINER;
+        const corrected = matching ? this.powerMatcher.correct(watts) : watts;
+        const accepted = this.conditioner.push(corrected);
+        return accepted === null ? null : Math.round(accepted);
+    }
     init() {
-        this.trainer.onData = (data) => {
-            let speed = 0;
-            if (typeof data.power === "number" && data.power > 0) {
-                speed = powerToSpeed({ power: data.power });
+        // Power match needs both readings, even the one that isn't routed to the rider
+        this.sensors.onRawData = (role, data) => {
+            if (typeof data.power !== "number") return;
+            if (role === SENSOR_ROLES.TRAINER) this.powerMatcher.observeTrainer(data.power);
+            if (role === SENSOR_ROLES.POWER_METER) this.powerMatcher.observeMeter(data.power);
+        };
+        // The manager only passes on the fields each sensor is the chosen source for
+        this.sensors.onData = (data) => {
+            // Sensors may split a record across several notifications,
+            // so only overwrite the values this one actually carried
+            if (typeof data.cadence === "number") {
+                constants.riderState = { ...constants.riderState, cadence: data.cadence };
+            }
+            if (typeof data.speed === "number") {
+                constants.riderState = { ...constants.riderState, trainerSpeed: data.speed };
+            }
+            if (typeof data.heartRate === "number") {
+                constants.riderState = { ...constants.riderState, heartRate: data.heartRate };
             }
+            if (typeof data.pedalBalance === "number") {
+                constants.riderState = {
+                    ...constants.riderState,
+                    pedalBalance: data.pedalBalance,
+                    pedalBalanceReference: data.pedalBalanceReference,
+                };
+            }
+            if (typeof data.power !== "number") return;
+
+            const power = this.conditionPower(data.power);
+            if (power === null) return; // glitch, keep the previous reading
+
+            // Speed is left to the physics engine, which integrates this power
             constants.riderState = {
                 ...constants.riderState,
-                power: data.power,
-                speed,
+                power,
+                displayPower: this.conditioner.average(this.powerSmoothing),
             };
-            if (speed > 0) {
+            if (power > 0) {
                 activatePacer();
             }
         };
     }
-    //pass in t as a JSON equivalent of trainer
-    setTrainer(t) {
-        this.trainer = JSON.parse(t);
-    }
 }
\ No newline at end of file
@@ -1,9 +1,19 @@
 // trainerCalibration.js - Handles trainer connection and calibration sequence
-import { TrainerBluetooth } from "./bluetooth.js";
+import { sensorManager } from "./sensorManagerStore.js";
+import { SENSOR_ROLES } from "./sensorManager.js";
+import {
+  controlPointFor,
+  parseFitnessMachineStatus,
+  FTMS_MACHINE_STATUS_UUID,
+  FTMS_SPIN_DOWN_STATUS,
+} from "./ftmsControlPoint.js";
+import { cpsControlPointFor } from "./cpsControlPoint.js";
 
 export class TrainerCalibration {
   constructor(options = {}) {
-    this.trainer = options.trainer || new TrainerBluetooth();
+    // Connect through the shared sensor manager so the ride uses the same trainer
+    this.sensors = options.sensors || sensorManager;
+    this.trainer = options.trainer || this.sensors.trainer;
     this.isConnected = this.trainer?.device ? true : false; // Check if trainer already connected
     this.calibrationInProgress = false;
     this.isModal = options.isModal || false; // Flag to determine if running as modal
@@ -16,6 +26,11 @@ export class TrainerCalibration {
     this.currentStep = this.calibrationSteps.CONNECT;
     this.calibrationData = {
       power: 0,
+      speed: 0,
+      targetSpeedLow: null,
+      targetSpeedHigh: null,
+      spindown: null, // { passed, message } - passed is null when unsupported
+      zeroOffset: null, // { passed, message, offset }
       timestamp: null,
       lastEvent: "Waiting for trainer connection...",
     };
@@ -73,12 +88,29 @@ export class TrainerCalibration {
       const calibrationStateId = this.isModal ? "calibration-state-value" : "calibration-state";
       const lastEventId = this.isModal ? "calibration-last-event" : "last-event";
 
+      const speedValueId = this.isModal ? "calibration-speed-value" : "speed-value";
+      const spindownResultId = this.isModal ? "calibration-spindown-result" : "spindown-result";
+      const offsetResultId = this.isModal ? "calibration-offset-result" : "offset-result";
+
       const powerValue = document.getElementById(powerValueId);
       const calibrationState = document.getElementById(calibrationStateId);
       const lastEvent = document.getElementById(lastEventId);
+      const speedValue = document.getElementById(speedValueId);
+      const spindownResult = document.getElementById(spindownResultId);
+      const offsetResult = document.getElementById(offsetResultId);
 
       if (powerValue)
         powerValue.textContent = this.calibrationData.power.toFixed(0) + " W";
+      if (speedValue) {
+        const { speed, targetSpeedLow, targetSpeedHigh } = this.calibrationData;
+        const target =
+          targetSpeedHigh != null ? ` (target ${targetSpeedLow.toFixed(1)}–${targetSpeedHigh.toFixed(1)})` : "";
+        speedValue.textContent = speed.toFixed(1) + " km/h" + target;
+      }
+      if (spindownResult)
+        spindownResult.textContent = this.calibrationData.spindown?.message || "—";
+      if (offsetResult)
+        offsetResult.textContent = this.calibrationData.zeroOffset?.message || "—";
       if (calibrationState)
         calibrationState.textContent = this.currentStep.toUpperCase();
       if (lastEvent)
@@ -111,8 +143,9 @@ export class TrainerCalibration {
       this.updateStatus("Connecting to trainer...", "in-progress");
       this.updateStepUI(1);
 
-      const ok = await this.trainer.connect();
+      const ok = await this.sensors.connect(SENSOR_ROLES.TRAINER);
       if (ok) {
+        this.trainer = this.sensors.trainer;
         this.isConnected = true;
         this.calibrationData.lastEvent = "Trainer connected successfully";
 
@@ -157,8 +190,9 @@ export class TrainerCalibration {
         originalCallback(data);
       }
       
-      // Update calibration data
-      this.calibrationData.power = data.power || 0;
+      // Update calibration data (notifications may carry only some fields)
+      if (typeof data.power === "number") this.calibrationData.power = data.power;
+      if (typeof data.speed === "number") this.calibrationData.speed = data.speed;
       this.calibrationData.timestamp = new Date();
       this.updateDataDisplay();
     };
@@ -175,44 +209,56 @@ export class TrainerCalibration {
     this.updateStepUI(2);
 
     try {
-      // Step 1: Spin-down calibration
-      this.updateStatus(
-        "Spin-down calibration in progress. Pedal at steady power, then stop...",
-        "in-progress"
-      );
-      this.calibrationData.lastEvent = "Awaiting spindown calibration";
+      // Step 1: Spin-down calibration (FTMS Spin Down Control)
+      this.updateStatus("Starting spin-down calibration...", "in-progress");
+      this.calibrationData.lastEvent = "Requesting spin-down from trainer";
       this.updateDataDisplay();
 
-      // Simulate spindown calibration - listen for power changes
-      await this.performSpindownCalibration();
+      this.calibrationData.spindown = await this.performSpindownCalibration();
+      this.calibrationData.lastEvent = this.calibrationData.spindown.message;
+      this.updateDataDisplay();
 
-      // Step 2: Zero offset calibration
+      // Step 2: Zero offset calibration (Cycling Power "Start Offset Compensation")
       this.currentStep = this.calibrationSteps.ZERO_OFFSET;
       this.updateStepUI(3);
       this.updateStatus(
-        "Zero offset calibration in progress. Please wait...",
+        "Zero offset calibration in progress. Unclip and keep the cranks still...",
         "in-progress"
       );
       this.calibrationData.lastEvent = "Performing zero offset calibration";
       this.updateDataDisplay();
 
-      await this.performZeroOffsetCalibration();
+      this.calibrationData.zeroOffset = await this.performZeroOffsetCalibration();
+      this.calibrationData.lastEvent = this.calibrationData.zeroOffset.message;
+      this.updateDataDisplay();
+
+      const results = [this.calibrationData.spindown, this.calibrationData.zeroOffset];
+      const failed = results.filter((r) => r.passed === false);
+      this.calibrationInProgress = false;
+
+      if (failed.length > 0) {
+        this.updateStatus(`Calibration failed: ${failed.map((r) => r.message).join("; ")}`, "error");
+        return;
+      }
+      if (results.every((r) => r.passed === null)) {
+        this.updateStatus("This trainer doesn't support calibration commands", "error");
+        return;
+      }
 
       // Calibration complete
       this.currentStep = this.calibrationSteps.COMPLETE;
       this.updateStepUI(4);
       this.updateStatus("Calibration complete!", "connected");
-      this.calibrationData.lastEvent = "Calibration successful";
       this.updateDataDisplay();
 
       // Store calibration data
-      // Note: this.trainer is the shared instance from standardMode, 
+      // Note: this.trainer is the shared instance from the sensor manager,
       // so it's automatically updated in the main app
       sessionStorage.setItem("TrainerCalibrated", "true");
       sessionStorage.setItem("TrainerCalibrationTime", new Date().toISOString());
-      sessionStorage.setItem("Trainer", JSON.stringify(this.trainer));
-
-      this.calibrationInProgress = false;
+      if (this.calibrationData.zeroOffset.offset != null) {
+        sessionStorage.setItem("TrainerCalibrationOffset", String(this.calibrationData.zeroOffset.offset));
+      }
     } catch (error) {
       this.calibrationInProgress = false;
       this.calibrationData.lastEvent = `Calibration error: ${error.message}`;
@@ -221,56 +267,121 @@ export class TrainerCalibration {
     }
   }
 
+  /**
+   * Run an FTMS spin down. Resolves to { passed, message, targetSpeedLow, targetSpeedHigh }
+   * where passed is null when the trainer has no spin down support.
+   */
   async performSpindownCalibration() {
-    return new Promise((resolve) => {
-      const spindownTimeout = setTimeout(() => {
-        this.calibrationData.lastEvent =
-          "Spin-down calibration completed (timeout)";
-        this.updateDataDisplay();
-        resolve();
-      }, 20000); // 20 second timeout for spin-down
-
-      // Listen for power changes to detect coastdown completion
-      let lastPower = this.calibrationData.power;
-      let stableLowCount = 0;
-      const checkInterval = setInterval(() => {
-        const currentPower = this.calibrationData.power;
-
-        // If power drops below 50W and stays low, consider it complete
-        if (currentPower < 50 && Math.abs(currentPower - lastPower) < 10) {
-          stableLowCount++;
-          if (stableLowCount > 3) {
-            clearInterval(checkInterval);
-            clearTimeout(spindownTimeout);
-            this.calibrationData.lastEvent = "Spin-down calibration completed";
-            this.updateDataDisplay();
-            resolve();
-            return;
-          }
-        } else {
-          stableLowCount = 0;
+    let controlPoint;
+    try {
+      controlPoint = controlPointFor(this.trainer);
+    } catch {
+      return { passed: null, message: "Spin-down not supported by this trainer" };
+    }
+    const statusCharacteristic = this.trainer.characteristics?.[FTMS_MACHINE_STATUS_UUID];
+    if (!statusCharacteristic) {
+      return { passed: null, message: "Trainer does not report spin-down status" };
+    }
+
+    const tookControl = !controlPoint.hasControl;
+    let spinDown = null;
+    try {
+      await controlPoint.start();
+      if (tookControl) await controlPoint.requestControl();
+
+      // Listen before starting so a quick "stop pedaling" isn't missed
+      spinDown = this.waitForSpinDown(statusCharacteristic);
+      const { targetSpeedLow, targetSpeedHigh } = await controlPoint.startSpinDown();
+      this.calibrationData.targetSpeedLow = targetSpeedLow;
+      this.calibrationData.targetSpeedHigh = targetSpeedHigh;
+      if (targetSpeedHigh != null) {
+        this.updateStatus(
+          `Spin-down: pedal up to ${targetSpeedLow.toFixed(1)}–${targetSpeedHigh.toFixed(1)} km/h`,
+          "in-progress"
+        );
+      } else {
+        this.updateStatus("Spin-down: pedal up to speed", "in-progress");
+      }
+      this.calibrationData.lastEvent = "Waiting for target speed";
+      this.updateDataDisplay();
+
+      await spinDown.finished;
+      return { passed: true, message: "Spin-down passed", targetSpeedLow, targetSpeedHigh };
+    } catch (error) {
+      // Nothing waits on the spin down any more; its cancellation is expected
+      spinDown?.finished.catch(() => {});
+      spinDown?.cancel();
+      // Tell the trainer to give up so it doesn't stay in spin down mode
+      if (error.resultCode === undefined) controlPoint.ignoreSpinDown().catch(() => {});
+      return { passed: false, message: `Spin-down failed: ${error.message}` };
+    } finally {
+      if (tookControl) controlPoint.reset().catch(() => {});
+    }
+  }
+
+  /**
+   * Watch the Fitness Machine Status for the end of a spin down.
+   * finished resolves on "success" and rejects on "error" or after timeoutMs.
+   * cancel stops listening and rejects finished with an error whose cancelled is true.
+   */
+  waitForSpinDown(statusCharacteristic, timeoutMs = 60000) {
+    let cancel;
+    const finished = new Promise((resolve, reject) => {
+      const done = (fn, value) => {
+        clearTimeout(timerId);
+        statusCharacteristic.removeEventListener("characteristicvaluechanged", onStatus);
+        fn(value);
+      };
+      const onStatus = (event) => {
+        const { spinDownStatus } = parseFitnessMachineStatus(event.target.value);
+        if (spinDownStatus === FTMS_SPIN_DOWN_STATUS.STOP_PEDALING) {
+          this.updateStatus("Spin-down: stop pedaling and let the wheel coast", "in-progress");
+          this.calibrationData.lastEvent = "Coasting down";
+          this.updateDataDisplay();
+        } else if (spinDownStatus === FTMS_SPIN_DOWN_STATUS.SUCCESS) {
+          done(resolve);
+        } else if (spinDownStatus === FTMS_SPIN_DOWN_STATUS.ERROR) {
+          done(reject, new Error("trainer reported an error"));
         }
-        lastPower = currentPower;
-      }, 1000);
+      };
+      const timerId = setTimeout(() => done(reject, new Error("timed out")), timeoutMs);
+      cancel = () => {
+        const error = new Error("cancelled");
+        error.cancelled = true;
+        done(reject, error);
+      };
+      statusCharacteristic.addEventListener("characteristicvaluechanged", onStatus);
+      statusCharacteristic.startNotifications?.().catch(() => {});
     });
+    return { finished, cancel };
   }
 
+  /**
+   * Zero the power meter (or the trainer's own power sensor).
+   * Resolves to { passed, message, offset } where passed is null when it isn't supported.
+   */
   async performZeroOffsetCalibration() {
-    return new Promise((resolve) => {
-      // Zero offset typically takes 2-5 seconds
-      const calibrationTimeout = setTimeout(() => {
-        this.calibrationData.lastEvent = "Zero offset calibration completed";
-        this.updateDataDisplay();
-        resolve();
-      }, 5000);
-    });
+    const meter = this.sensors.sensors?.[SENSOR_ROLES.POWER_METER] || this.trainer;
+    let controlPoint;
+    try {
+      controlPoint = cpsControlPointFor(meter);
+    } catch {
+      return { passed: null, message: "Zero offset not supported by this power meter", offset: null };
+    }
+
+    try {
+      const { offset } = await controlPoint.startOffsetCompensation();
+      const message = offset == null ? "Zero offset passed" : `Zero offset passed (offset ${offset})`;
+      return { passed: true, message, offset };
+    } catch (error) {
+      return { passed: false, message: `Zero offset failed: ${error.message}`, offset: null };
+    }
   }
 
   skipCalibration() {
     // Store that calibration was skipped but trainer is available
-    // Note: this.trainer is the shared instance from standardMode
+    // Note: this.trainer is the shared instance from the sensor manager
     sessionStorage.setItem("TrainerCalibrationSkipped", "true");
-    sessionStorage.setItem("Trainer", JSON.stringify(this.trainer));
     if (this.isModal) {
       this.closeModal();
     } else {
@@ -0,0 +1,303 @@
+// virtualTrainer.js: A software trainer with the same surface as TrainerBluetooth.
+// It builds real FTMS / Cycling Power / Heart Rate notification bytes from a scripted
+// or recorded profile and answers FTMS control point writes, so rides can run without hardware.
+import { TrainerBluetooth } from "./bluetooth.js";
+import { constants } from "./constants.js";
+import { HeartRateMonitor } from "./heartRateMonitor.js";
+import { powerToSpeed } from "./physics.js";
+import {
+  FTMS_CONTROL_POINT_UUID,
+  FTMS_MACHINE_STATUS_UUID,
+  FTMS_OP_CODES,
+  FTMS_RESULT_CODES,
+  FTMS_SPIN_DOWN_START,
+  FTMS_SPIN_DOWN_STATUS,
+} from "./ftmsControlPoint.js";
+
+// Indoor Bike Data flags: speed (flag bit 0 clear), cadence and power, plus heart rate when known
+const INDOOR_BIKE_DATA_FLAGS = (1 << 2) | (1 << 6);
+const INDOOR_BIKE_HEART_RATE_FLAG = 1 << 9;
+// Cycling Power Measurement flags: crank revolution data
+const CYCLING_POWER_FLAGS = 1 << 5;
+
+const DEFAULT_PROFILE = [{ t: 0, power: 150, cadence: 85, heartRate: 120 }];
+
+/**
+ * Turn RideHistory samples ({ elapsedMs, power, heartRate }) into a replayable profile.
+ * Cadence isn't recorded, so a steady 85 rpm stands in while pedaling.
+ */
+export function profileFromRideHistory(samples) {
+  return samples
+    .filter((s) => !s.dropout)
+    .map((s) => ({
+      t: s.elapsedMs / 1000,
+      power: s.power || 0,
+      cadence: s.power > 0 ? 85 : 0,
+      heartRate: s.heartRate ?? null,
+    }));
+}
+
+// Linear interpolation between the keyframes around t (seconds); holds the last one
+function sampleProfile(profile, t) {
+  if (t <= profile[0].t) return profile[0];
+  for (let i = 1; i < profile.length; i++) {
+    const next = profile[i];
+    if (t < next.t) {
+      const prev = profile[i - 1];
+      const k = (t - prev.t) / (next.t - prev.t);
+      const lerp = (a, b) => (a == null || b == null ? a ?? b : a + (b - a) * k);
+      return {
+        power: lerp(prev.power, next.power),
+        cadence: lerp(prev.cadence, next.cadence),
+        heartRate: lerp(prev.heartRate, next.heartRate),
+      };
+    }
+  }
+  return profile.at(-1);
+}
+
+// Steady-state speed (km/h) for a power on the simulated road; a stopped flywheel reads 0
+function speedForPower(power, { grade, crr, cw, windSpeed }) {
+  if (!(power > 0)) return 0;
+  // cw already carries any draft the app sent
+  return powerToSpeed({ power, slope: grade, crr, cw, windSpeed, draftFactor: 1 });
+}
+
+// Just enough of BluetoothRemoteGATTCharacteristic for the app and its parsers
+class VirtualCharacteristic extends EventTarget {
+  constructor(uuid, properties, onWrite = null) {
+    super();
+    this.uuid = uuid;
+    this.properties = properties;
+    this.value = null;
+    this.onWrite = onWrite;
+  }
+
+  async startNotifications() {
+    return this;
+  }
+
+  async stopNotifications() {
+    return this;
+  }
+
+  async readValue() {
+    return this.value;
+  }
+
+  async writeValueWithResponse(payload) {
+    const bytes = ArrayBuffer.isView(payload)
+      ? new Uint8Array(payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength))
+      : new Uint8Array(payload);
+    if (this.onWrite) this.onWrite(bytes);
+  }
+
+  async writeValue(payload) {
+    return this.writeValueWithResponse(payload);
+  }
+
+  notify(bytes) {
+    this.value = new DataView(bytes.buffer);
+    this.dispatchEvent(new Event("characteristicvaluechanged"));
+  }
+}
+
+export class VirtualTrainer extends TrainerBluetooth {
+  /**
+   * profile: keyframes [{ t (s), power (W), cadence (rpm), heartRate (bpm) }], interpolated
+   * between frames, or a function (elapsedSeconds) => { power, cadence, heartRate }.
+   * ERG targets override the profile's power; simulation parameters only change the speed.
+   */
+  constructor({
+    profile = DEFAULT_PROFILE,
+    loop = false,
+    tickMs = 1000,
+    spinDownMs = 3000,
+    now = () => Date.now(),
+  } = {}) {
+    super();
+    this.profile = profile;
+    this.loop = loop;
+    this.tickMs = tickMs;
+    this.spinDownMs = spinDownMs;
+    this.now = now;
+
+    this.startMs = null;
+    this.lastTickMs = null;
+    this.timerId = null;
+    this.crankRevolutions = 0; // fractional, the notification carries the whole part
+    this.lastCrankEventSeconds = 0;
+
+    // What the app has asked of the trainer through the control point
+    this.hasControl = false;
+    this.targetPower = null;
+    this.simulation = { grade: 0, crr: constants.crr, cw: constants.cw, windSpeed: 0 };
+  }
+
+  // Connects instantly; the device has no id so the sensor manager won't try to remember it
+  async connect() {
+    this.device = new EventTarget();
+    this.device.name = "Virtual Trainer";
+    this.device.gatt = {
+      connected: true,
+      disconnect: () => this.disconnect(),
+    };
+    this.server = this.device.gatt;
+
+    const characteristics = [
+      new VirtualCharacteristic(TrainerBluetooth.INDOOR_BIKE_DATA_UUID, { notify: true }),
+      new VirtualCharacteristic(TrainerBluetooth.CYCLING_POWER_MEASUREMENT_UUID, { notify: true }),
+      new VirtualCharacteristic(HeartRateMonitor.HEART_RATE_MEASUREMENT_UUID, { notify: true }),
+      new VirtualCharacteristic(FTMS_MACHINE_STATUS_UUID, { notify: true }),
+      new VirtualCharacteristic(FTMS_CONTROL_POINT_UUID, { write: true, indicate: true }, (bytes) =>
+        this.handleControlPointWrite(bytes)
+      ),
+    ];
+    for (const char of characteristics) this.characteristics[char.uuid] = char;
+
+    // Decode our own bytes with the real handlers, exactly like a Bluetooth trainer
+    this.characteristics[TrainerBluetooth.CYCLING_POWER_MEASUREMENT_UUID].addEventListener(
+      "characteristicvaluechanged",
+      (e) => this.handlePower(e)
+    );
+    this.characteristics[TrainerBluetooth.INDOOR_BIKE_DATA_UUID].addEventListener(
+      "characteristicvaluechanged",
+      (e) => this.handleIndoorBikeData(e)
+    );
+
+    this.startMs = this.now();
+    this.lastTickMs = this.startMs;
+    if (this.tickMs > 0) this.timerId = setInterval(() => this.tick(), this.tickMs);
+    return true;
+  }
+
+  disconnect() {
+    clearInterval(this.timerId);
+    this.timerId = null;
+    if (!this.device?.gatt.connected) return;
+    this.device.gatt.connected = false;
+    this.device.dispatchEvent(new Event("gattserverdisconnected"));
+  }
+
+  // What the rider is doing right now, before ERG is applied
+  currentEffort(nowMs = this.now()) {
+    let t = (nowMs - this.startMs) / 1000;
+    if (typeof this.profile === "function") return this.profile(t);
+    const duration = this.profile.at(-1).t;
+    if (this.loop && duration > 0) t %= duration;
+    return sampleProfile(this.profile, t);
+  }
+
+  // Send one round of notifications; the interval calls this every tickMs
+  tick(nowMs = this.now()) {
+    const dt = Math.max(0, (nowMs - this.lastTickMs) / 1000);
+    this.lastTickMs = nowMs;
+
+    const effort = this.currentEffort(nowMs);
+    const cadence = effort.cadence || 0;
+    // ERG holds the target as long as the rider keeps the cranks turning
+    const ergActive = this.targetPower != null && cadence > 0;
+    const power = Math.round(ergActive ? this.targetPower : effort.power ?? 0);
+    const speed = speedForPower(power, this.simulation);
+    const heartRate = effort.heartRate;
+
+    // Crank events land on whole revolutions; back-date the last one from the fractional part
+    const elapsedSeconds = (nowMs - this.startMs) / 1000;
+    const before = Math.floor(this.crankRevolutions);
+    this.crankRevolutions += (cadence / 60) * dt;
+    if (Math.floor(this.crankRevolutions) !== before && cadence > 0) {
+      const fraction = this.crankRevolutions - Math.floor(this.crankRevolutions);
+      this.lastCrankEventSeconds = elapsedSeconds - fraction / (cadence / 60);
+    }
+
+    this.#notifyIndoorBikeData({ speed, cadence, power, heartRate });
+    this.#notifyCyclingPower(power);
+    if (heartRate != null) {
+      this.characteristics[HeartRateMonitor.HEART_RATE_MEASUREMENT_UUID].notify(
+        new Uint8Array([0x00, Math.round(heartRate)])
+      );
+    }
+  }
+
+  #notifyIndoorBikeData({ speed, cadence, power, heartRate }) {
+    const hasHeartRate = heartRate != null;
+    const view = new DataView(new ArrayBuffer(hasHeartRate ? 9 : 8));
+    view.setUint16(0, INDOOR_BIKE_DATA_FLAGS | (hasHeartRate ? INDOOR_BIKE_HEART_RATE_FLAG : 0), true);
+    view.setUint16(2, Math.round(speed * 100), true); // 0.01 km/h
+    view.setUint16(4, Math.round(cadence * 2), true); // 0.5 rpm
+    view.setInt16(6, power, true);
+    if (hasHeartRate) view.setUint8(8, Math.round(heartRate));
+    this.characteristics[TrainerBluetooth.INDOOR_BIKE_DATA_UUID].notify(new Uint8Array(view.buffer));
+  }
+
+  #notifyCyclingPower(power) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint16(0, CYCLING_POWER_FLAGS, true);
+    view.setInt16(2, power, true);
+    view.setUint16(4, Math.floor(this.crankRevolutions) & 0xffff, true);
+    view.setUint16(6, Math.round(this.lastCrankEventSeconds * 1024) & 0xffff, true); // 1/1024 s
+    this.characteristics[TrainerBluetooth.CYCLING_POWER_MEASUREMENT_UUID].notify(
+      new Uint8Array(view.buffer)
+    );
+  }
+
+  // Behave like an FTMS trainer: control must be requested before anything else is accepted
+  handleControlPointWrite(bytes) {
+    const opCode = bytes[0];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let result = FTMS_RESULT_CODES.SUCCESS;
+    let parameters = [];
+
+    if (opCode !== FTMS_OP_CODES.REQUEST_CONTROL && !this.hasControl) {
+      result = FTMS_RESULT_CODES.CONTROL_NOT_PERMITTED;
+    } else {
+      switch (opCode) {
+        case FTMS_OP_CODES.REQUEST_CONTROL:
+          this.hasControl = true;
+          break;
+        case FTMS_OP_CODES.RESET:
+          this.hasControl = false;
+          this.targetPower = null;
+          break;
+        case FTMS_OP_CODES.START_OR_RESUME:
+          break;
+        case FTMS_OP_CODES.STOP_OR_PAUSE:
+          this.targetPower = null;
+          break;
+        case FTMS_OP_CODES.SET_TARGET_POWER:
+          this.targetPower = view.getInt16(1, true);
+          break;
+        case FTMS_OP_CODES.SET_INDOOR_BIKE_SIMULATION:
+          this.targetPower = null;
+          this.simulation = {
+            windSpeed: view.getInt16(1, true) / 1000,
+            grade: view.getInt16(3, true) / 10000, // 0.01 % -> decimal
+            crr: view.getUint8(5) / 10000,
+            cw: view.getUint8(6) / 100,
+          };
+          break;
+        case FTMS_OP_CODES.SPIN_DOWN_CONTROL:
+          if (bytes[1] === FTMS_SPIN_DOWN_START) {
+            parameters = [0xd0, 0x07, 0xb8, 0x0b]; // 20.00 - 30.00 km/h
+            this.#runSpinDown();
+          }
+          break;
+        default:
+          result = FTMS_RESULT_CODES.OP_CODE_NOT_SUPPORTED;
+      }
+    }
+
+    // Indicate after the write resolves, like the real thing
+    setTimeout(() => {
+      this.characteristics[FTMS_CONTROL_POINT_UUID].notify(
+        new Uint8Array([FTMS_OP_CODES.RESPONSE_CODE, opCode, result, ...parameters])
+      );
+    }, 0);
+  }
+
+  #runSpinDown() {
+    const status = this.characteristics[FTMS_MACHINE_STATUS_UUID];
+    setTimeout(() => status.notify(new Uint8Array([0x14, FTMS_SPIN_DOWN_STATUS.STOP_PEDALING])), this.spinDownMs / 2);
+    setTimeout(() => status.notify(new Uint8Array([0x14, FTMS_SPIN_DOWN_STATUS.SUCCESS])), this.spinDownMs);
+  }
+}
@@ -0,0 +1,62 @@
+// wind.js: Wind for a ride - a direction, a base speed and gusts on top, all drawn from one seed
+// so a ride can be replayed. The same air velocity feeds the drag force, the trainer and the clouds.
+
+// Small seeded PRNG (mulberry32); returns a function giving numbers in [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class Wind {
+  /**
+   * fromDegrees: where the wind blows from relative to the track - 0 is straight ahead
+   * (a headwind on the usual -z heading), 90 from the right, 180 from behind.
+   * baseSpeed in m/s; gustiness is the gust amplitude as a fraction of baseSpeed.
+   * Anything left out is drawn from seed.
+   */
+  constructor({ seed = Date.now(), fromDegrees, baseSpeed, gustiness } = {}) {
+    const random = seededRandom(seed);
+    this.seed = seed;
+    this.fromDegrees = fromDegrees ?? random() * 360;
+    this.baseSpeed = baseSpeed ?? random() * 6; // calm to a moderate breeze
+    this.gustiness = gustiness ?? 0.2 + random() * 0.3;
+
+    // Three slow sine waves with random periods and phases make irregular but smooth gusts
+    this.gusts = Array.from({ length: 3 }, () => ({
+      period: 5 + random() * 25, // s
+      phase: random() * 2 * Math.PI,
+    }));
+  }
+
+  // Wind speed (m/s) at a time in seconds since the ride started; never negative
+  speedAt(seconds) {
+    const wave =
+      this.gusts.reduce(
+        (sum, { period, phase }) => sum + Math.sin((2 * Math.PI * seconds) / period + phase),
+        0
+      ) / this.gusts.length;
+    return Math.max(0, this.baseSpeed * (1 + this.gustiness * wave));
+  }
+
+  /**
+   * Velocity of the air (m/s) on the ground plane at a time: { x, z }.
+   * From straight ahead the air moves towards +z, past a rider heading -z.
+   */
+  vectorAt(seconds) {
+    const speed = this.speedAt(seconds);
+    const angle = (this.fromDegrees * Math.PI) / 180;
+    return { x: -Math.sin(angle) * speed, z: Math.cos(angle) * speed };
+  }
+
+  // Headwind (m/s, negative for a tailwind) felt riding along a unit heading { x, z }
+  headwindAt(seconds, heading = { x: 0, z: -1 }) {
+    const { x, z } = this.vectorAt(seconds);
+    return -(x * heading.x + z * heading.z);
+  }
+}
@@ -1,6 +1,8 @@
 // workoutChoice.js — split button with pointer-safe toggle
 // Drives menu with pointerdown (single fire), swallows the follow-up click,
 // robust outside-click closer, default "free" workout label.
+// Also imports .zwo, .erg and .mrc workout files into the local workout library.
+import { importWorkoutFile, loadImportedWorkouts } from "./workouts/workoutLibrary.js";
 
 (function () {
   const ready = (fn) =>
@@ -19,10 +21,36 @@
       return;
     }
 
+    // Structured workouts are labelled from their menu item
+    const itemLabel = (id) =>
+      menuEl.querySelector(`.dropdown-item[data-workout="${id}"]`)?.textContent.trim();
+
+    // Imported workouts go just above the import item
+    const importItem = menuEl.querySelector('.dropdown-item[data-action="import-workout"]');
+    const fileInput = document.getElementById("workout-file-input");
+
+    function addWorkoutItem(id, name) {
+      let item = menuEl.querySelector(`.dropdown-item[data-workout="${id}"]`);
+      if (!item) {
+        item = document.createElement("button");
+        item.className = "dropdown-item";
+        item.dataset.workout = id;
+        item.setAttribute("role", "menuitem");
+        item.setAttribute("tabindex", "-1");
+        menuEl.insertBefore(item, importItem);
+      }
+      item.textContent = name;
+    }
+
+    for (const [id, workout] of Object.entries(loadImportedWorkouts())) {
+      addWorkoutItem(id, workout.name);
+    }
+
     const labelFor = (id) =>
       id === "ramp"  ? "Start (Ramp Test)" :
       id === "sprint" ? "Start (Sprint Intervals)" :
       id === "peerServer" ? "Connect to peer":
+      id !== "free" && itemLabel(id) ? `Start (${itemLabel(id)})` :
                        "Start (Free Ride)";
 
     // Default to "free" and restore prior choice if present
@@ -162,12 +190,39 @@
     menuEl.addEventListener("click", (e) => {
       const item = e.target.closest(".dropdown-item");
       if (!item) return;
-      selected = item.dataset.workout || "free";
+      if (item.dataset.action === "import-workout") {
+        closeMenu();
+        fileInput?.click();
+        return;
+      }
+      selectWorkout(item.dataset.workout || "free");
+      closeMenu();
+      console.log("[mainMenu] selected", selected);
+    });
+
+    // --- workout file import -------------------------------------------------
+    function selectWorkout(id) {
+      selected = id;
       splitRoot.dataset.workout = selected;
       sessionStorage.setItem("SelectedWorkout", selected);
       startBtn.textContent = labelFor(selected);
-      closeMenu();
-      console.log("[mainMenu] selected", selected);
+    }
+
+    fileInput?.addEventListener("change", async () => {
+      const failed = [];
+      for (const file of Array.from(fileInput.files)) {
+        try {
+          const { id, workout } = importWorkoutFile(await file.text(), { fileName: file.name });
+          addWorkoutItem(id, workout.name);
+          selectWorkout(id);
+          console.log("[mainMenu] imported", id);
+        } catch (err) {
+          console.warn("[mainMenu] import failed", file.name, err);
+          failed.push(`${file.name}: ${err.message}`);
+        }
+      }
+      fileInput.value = ""; // so picking the same file again still fires change
+      if (failed.length) alert(`Couldn't import:\n${failed.join("\n")}`);
     });
 
     // --- start button --------------------------------------------------------
@@ -11,6 +11,7 @@ export class WorkoutSession {
     // keep track of maximum values (which will be updated every couple of sec)
     this.maxSpeed = 0; // km/h
     this.maxPower = 0; // watts
+    this.maxHeartRate = 0; // bpm
 
     // to keep track of average as well
     this.samples = [];
@@ -18,6 +19,10 @@ export class WorkoutSession {
     // How often we will capture workout data in the current session
     this.sampleInterval = 2000; // 2 seconds
     this.lastSampleTime = 0;
+
+    // Distance vs ride time, [[seconds, metres], ...], so the ride can be raced as a ghost later
+    this.distanceStream = [];
+    this.lastElapsed = null;
   }
 
   //start session
@@ -29,16 +34,19 @@ export class WorkoutSession {
     this.totalCalories = 0;
     this.maxSpeed = 0;
     this.maxPower = 0;
+    this.maxHeartRate = 0;
     this.samples = [];
     this.lastSampleTime = this.startTime;
     this.ftpResult = null;
+    this.distanceStream = [];
+    this.lastElapsed = null;
   }
 
   update(currentStats) {
     if (!this.isActive) return;
 
     const now = Date.now();
-    const { speed, power, distance, calories } = currentStats;
+    const { speed, power, distance, calories, heartRate, dropout, elapsed } = currentStats;
 
     this.totalDistance = distance || 0;
     this.totalCalories = calories || 0;
@@ -50,16 +58,37 @@ export class WorkoutSession {
     if (power !== undefined && power > this.maxPower) {
       this.maxPower = power;
     }
+    if (heartRate != null && heartRate > this.maxHeartRate) {
+      this.maxHeartRate = heartRate;
+    }
 
-    // sample at given interval
-    if (now - this.lastSampleTime >= this.sampleInterval) {
+    // sample at given interval, skipping sensor dropouts so they don't drag the averages down
+    if (!dropout && now - this.lastSampleTime >= this.sampleInterval) {
       this.samples.push({
         timestamp: now,
         speed: speed || 0,
         power: power || 0,
+        heartRate: heartRate || 0,
       });
       this.lastSampleTime = now;
     }
+
+    // The distance stream keeps going through dropouts - the ride still moves
+    if (typeof elapsed === "number") {
+      this.lastElapsed = elapsed;
+      this.recordDistance(elapsed);
+    }
+  }
+
+  // Add a point to the distance stream at most once per sample interval (seconds of ride time)
+  recordDistance(elapsed, force = false) {
+    const last = this.distanceStream[this.distanceStream.length - 1];
+    if (!force && last && elapsed - last[0] < this.sampleInterval / 1000) return;
+    if (last && elapsed <= last[0]) return;
+    this.distanceStream.push([
+      Math.round(elapsed * 10) / 10,
+      Math.round(this.totalDistance * 10000) / 10, // km to metres, to 0.1 m
+    ]);
   }
 
   // end workout
@@ -72,6 +101,9 @@ export class WorkoutSession {
     this.isActive = false;
     this.endTime = Date.now();
 
+    // Finish the stream where the ride actually ended
+    if (this.lastElapsed != null) this.recordDistance(this.lastElapsed, true);
+
     return this.calculateStats();
   }
 
@@ -83,6 +115,7 @@ export class WorkoutSession {
     const totalTime = this.getTotalTime();
     const avgSpeed = this.calculateAverage("speed");
     const avgPower = this.calculateAverage("power");
+    const avgHeartRate = this.calculateHeartRateAverage();
 
     return {
       totalTime, // in seconds
@@ -92,9 +125,12 @@ export class WorkoutSession {
       avgPower, // in watts
       maxSpeed: this.maxSpeed, // in km/h
       maxPower: this.maxPower, //in watts
+      avgHeartRate, // in bpm, null without a heart rate monitor
+      maxHeartRate: this.maxHeartRate || null, // in bpm
 
       // FTP result if available
       ftpResult: this.ftpResult || null,
+      distanceStream: this.distanceStream, // [[seconds, metres], ...], stored apart from the stats
       peakMinutePower: this.ftpResult?.peakMinute ?? null,
       bestAvg: this.ftpResult?.bestAvg ?? null,
     };
@@ -107,6 +143,15 @@ export class WorkoutSession {
     return sum / this.samples.length;
   }
 
+  // Heart rate average only counts samples where a strap was reporting
+  calculateHeartRateAverage() {
+    const withHeartRate = this.samples.filter((sample) => sample.heartRate > 0);
+    if (withHeartRate.length === 0) return null;
+
+    const sum = withHeartRate.reduce((acc, sample) => acc + sample.heartRate, 0);
+    return sum / withHeartRate.length;
+  }
+
   getTotalTime() {
     if (!this.startTime) return 0;
 
@@ -123,6 +168,8 @@ export class WorkoutSession {
       avgPower: this.calculateAverage("power"),
       maxSpeed: this.maxSpeed,
       maxPower: this.maxPower,
+      avgHeartRate: this.calculateHeartRateAverage(),
+      maxHeartRate: this.maxHeartRate || null,
     };
   }
 
@@ -138,6 +185,9 @@ export class WorkoutSession {
     this.totalCalories = 0;
     this.maxSpeed = 0;
     this.maxPower = 0;
+    this.maxHeartRate = 0;
     this.samples = [];
+    this.distanceStream = [];
+    this.lastElapsed = null;
   }
 }
@@ -2,6 +2,11 @@
 
 const STORAGE_KEY = "zlowWorkoutData";
 
+// Distance streams for ghost rides are big, so they live under their own key
+// and only the most recent rides keep one
+const STREAMS_STORAGE_KEY = "zlowRideStreams";
+const MAX_STORED_STREAMS = 30;
+
 export class WorkoutStorage {
   constructor() {
     this.data = this.load();
@@ -50,6 +55,7 @@ export class WorkoutStorage {
         highestFtp: null,
         highestPeakMinutePower: null,
       },
+      ftpHistory: [],
       lastWorkoutDate: null,
       currentStreak: 0,
     };
@@ -57,7 +63,7 @@ export class WorkoutStorage {
 
   //Save a completed workout
 
-  saveWorkout(workoutStats) {
+  saveWorkout({ distanceStream, ...workoutStats }) {
     const workoutId = `workout_${Date.now()}`;
     const now = new Date();
 
@@ -81,6 +87,7 @@ export class WorkoutStorage {
 
     // Save to local storage
     this.save();
+    if (distanceStream?.length > 1) this.saveDistanceStream(workoutId, distanceStream);
 
     return {
       newRecords,
@@ -216,6 +223,67 @@ export class WorkoutStorage {
     return this.data.personalRecords;
   }
 
+  // Save an accepted FTP test result
+  addFtpResult({ ftp, peakMinutePower = null, source = "ramp", date = new Date().toISOString() }) {
+    // Data saved before FTP history existed has no list yet
+    if (!this.data.ftpHistory) this.data.ftpHistory = [];
+    this.data.ftpHistory.push({ date, ftp, peakMinutePower, source });
+    this.save();
+  }
+
+  // FTP test results, oldest first
+  getFtpHistory() {
+    return this.data.ftpHistory || [];
+  }
+
+  // Distance streams by workout id, { [id]: [[seconds, metres], ...] }
+  loadStreams() {
+    try {
+      return JSON.parse(localStorage.getItem(STREAMS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error("Error loading ride streams:", error);
+      return {};
+    }
+  }
+
+  saveStreams(streams) {
+    try {
+      localStorage.setItem(STREAMS_STORAGE_KEY, JSON.stringify(streams));
+    } catch (error) {
+      // The ride itself is already saved; it just can't be raced as a ghost
+      console.error("Error saving ride streams:", error);
+    }
+  }
+
+  // Keep a ride's distance stream, dropping the oldest beyond MAX_STORED_STREAMS
+  saveDistanceStream(workoutId, stream) {
+    const streams = this.loadStreams();
+    streams[workoutId] = stream;
+    const ids = Object.keys(streams).sort((a, b) => this.workoutTime(a) - this.workoutTime(b));
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_STORED_STREAMS))) {
+      delete streams[id];
+    }
+    this.saveStreams(streams);
+  }
+
+  // Workout ids are "workout_<ms>"
+  workoutTime(workoutId) {
+    return Number(workoutId.split("_")[1]) || 0;
+  }
+
+  getDistanceStream(workoutId) {
+    return this.loadStreams()[workoutId] || null;
+  }
+
+  // Past rides that can be raced: [{ id, date, stats, stream }], newest first
+  getRidesWithStreams() {
+    const streams = this.loadStreams();
+    return this.data.workouts
+      .filter((w) => streams[w.id]?.length > 1)
+      .map((w) => ({ ...w, stream: streams[w.id] }))
+      .reverse();
+  }
+
   //Get current streak
 
   getCurrentStreak() {
@@ -231,11 +299,17 @@ export class WorkoutStorage {
   clearAll() {
     this.data = this.getEmptyData();
     this.save();
+    localStorage.removeItem(STREAMS_STORAGE_KEY);
   }
 
   // Or by ID
   deleteWorkout(workoutId) {
     this.data.workouts = this.data.workouts.filter((w) => w.id !== workoutId);
     this.save();
+    const streams = this.loadStreams();
+    if (streams[workoutId]) {
+      delete streams[workoutId];
+      this.saveStreams(streams);
+    }
   }
 }
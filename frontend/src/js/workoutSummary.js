@@ -212,6 +212,23 @@ export class WorkoutSummary {
                 )}</td>
               </tr>
 
+              ${
+                stats.avgHeartRate != null
+                  ? `
+                <tr>
+                  <td>Avg Heart Rate</td>
+                  <td>${Math.round(stats.avgHeartRate)} bpm</td>
+                  <td class="record-cell">—</td>
+                </tr>
+                <tr>
+                  <td>Max Heart Rate</td>
+                  <td>${Math.round(stats.maxHeartRate)} bpm</td>
+                  <td class="record-cell">—</td>
+                </tr>
+              `
+                  : ""
+              }
+
               ${
                 stats.ftp != null
                   ? `
@@ -246,6 +263,8 @@ export class WorkoutSummary {
             </tbody>
           </table>
         </div>
+
+        ${this.generateSprintsHTML(stats.sprints)}
         
         <div class="export-buttons">
           <button id="summary-export-tcx" class="summary-btn">Download TCX</button>
@@ -257,6 +276,39 @@ export class WorkoutSummary {
     `;
   }
 
+  // One row per sprint of a sprint-interval workout, best peak highlighted
+  generateSprintsHTML(sprints) {
+    if (!sprints || sprints.length === 0) return "";
+    const bestPeak = Math.max(...sprints.map((sprint) => sprint.peakPower));
+
+    return `
+        <div class="stats-container sprints-container">
+          <h3>Sprints</h3>
+          <table class="summary-stats-table sprint-table">
+            <thead>
+              <tr>
+                <th>Sprint</th>
+                <th>Avg Power</th>
+                <th>Peak Power</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sprints
+                .map(
+                  (sprint) => `
+              <tr class="${sprint.peakPower === bestPeak ? "best-sprint" : ""}">
+                <td>#${sprint.number} (${sprint.seconds}s)</td>
+                <td>${sprint.avgPower} W</td>
+                <td>${sprint.peakPower} W</td>
+              </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+    `;
+  }
+
   setupEventListeners() {
     // add a close button
     const closeBtn = document.getElementById("close-summary");
@@ -326,3 +378,51 @@ export function showStopConfirmation(onConfirm, onCancel) {
     overlay.classList.add("visible");
   });
 }
+
+/**
+ * FTP test result: the estimated FTP with Accept / Reject.
+ * reason says why the test ended ("power", "cadence", "stopped" or "complete");
+ * detail is the protocol's measurement, e.g. "Best 1-min power: 322 W".
+ */
+export function showFtpResultDialog({ ftp, detail, reason, title = "Ramp Test Complete" }, onAccept, onReject) {
+  const reasons = {
+    power: "Your power dropped below the target.",
+    cadence: "Your cadence dropped off.",
+    stopped: "You stopped the test.",
+  };
+  const overlay = document.createElement("div");
+  overlay.id = "ftp-result-overlay";
+  overlay.innerHTML = `
+    <div id="ftp-result-container">
+      <h3>${title}</h3>
+      <p>${reasons[reason] || ""} ${detail || ""}</p>
+      <p class="ftp-result-value">FTP ≈ ${Math.round(ftp)} W</p>
+      <p>Save this FTP to your profile? Zones and %FTP workouts will use it.</p>
+      <div class="confirmation-buttons">
+        <button id="accept-ftp" class="confirm-btn">Save FTP</button>
+        <button id="reject-ftp" class="cancel-btn">Discard</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const cleanup = () => {
+    overlay.classList.remove("visible");
+    setTimeout(() => overlay.remove(), 300);
+  };
+
+  overlay.querySelector("#accept-ftp").addEventListener("click", () => {
+    cleanup();
+    if (onAccept) onAccept();
+  });
+
+  overlay.querySelector("#reject-ftp").addEventListener("click", () => {
+    cleanup();
+    if (onReject) onReject();
+  });
+
+  requestAnimationFrame(() => {
+    overlay.classList.add("visible");
+  });
+}
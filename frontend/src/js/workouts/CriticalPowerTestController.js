@@ -0,0 +1,63 @@
+// js/workouts/CriticalPowerTestController.js
+//
+// The 3/12 critical power test: warmup, a short blowout, an all-out 3 minutes, a long
+// recovery, then an all-out 12 minutes. Work done is close to linear in time
+// (work = CP * t + W'), so the two efforts give critical power (CP) and the anaerobic
+// reserve (W'). CP is used as the FTP estimate.
+
+import { FtpTestController, WARMUP_PHASE } from "./FtpTestController.js";
+
+/**
+ * CP and W' from two all-out efforts, each { seconds, avgPower }.
+ * Returns { cp, wPrime } (watts, joules), or null if the efforts can't be fitted.
+ */
+export function criticalPowerFrom(short, long) {
+  const dt = long.seconds - short.seconds;
+  if (!(dt > 0)) return null;
+  const cp = (long.avgPower * long.seconds - short.avgPower * short.seconds) / dt;
+  const wPrime = (short.avgPower - cp) * short.seconds;
+  // A longer effort at a higher average means the short one wasn't all-out
+  if (!(cp > 0) || wPrime < 0) return null;
+  return { cp, wPrime };
+}
+
+export class CriticalPowerTestController extends FtpTestController {
+  get label() {
+    return "Critical power test";
+  }
+
+  get source() {
+    return "cp";
+  }
+
+  phases() {
+    return [
+      WARMUP_PHASE,
+      {
+        name: "Blowout",
+        seconds: 60,
+        target: 1.1,
+        cue: "Blowout - 1 minute hard to open the legs",
+      },
+      { name: "Recovery", seconds: 5 * 60, target: 0.5, cue: "Recovery - 5 minutes easy" },
+      { name: "3-minute effort", seconds: 3 * 60, effort: "short", cue: "3-minute effort - all out, GO!" },
+      { name: "Recovery", seconds: 30 * 60, target: 0.5, cue: "Recovery - 30 minutes easy" },
+      { name: "12-minute effort", seconds: 12 * 60, effort: "long", cue: "12-minute effort - all out, GO!" },
+      { name: "Cooldown", seconds: 10 * 60, target: 0.5, cue: "Test done - cool down" },
+    ];
+  }
+
+  estimate({ short, long }) {
+    if (!short || !long) return null;
+    const fit = criticalPowerFrom(short, long);
+    if (!fit) return null;
+    return {
+      ftp: fit.cp,
+      detail:
+        `3-min ${Math.round(short.avgPower)} W, 12-min ${Math.round(long.avgPower)} W` +
+        ` - W' ${(fit.wPrime / 1000).toFixed(1)} kJ`,
+      cp: fit.cp,
+      wPrime: fit.wPrime,
+    };
+  }
+}
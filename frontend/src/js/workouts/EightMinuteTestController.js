@@ -0,0 +1,54 @@
+// js/workouts/EightMinuteTestController.js
+//
+// The 2x8-minute FTP test: warmup, a short blowout, then two 8-minute all-out efforts with
+// 10 minutes of recovery between them. FTP is 90% of the average of the two efforts.
+
+import { FtpTestController, WARMUP_PHASE } from "./FtpTestController.js";
+
+export const EIGHT_MINUTE_FTP_FACTOR = 0.9;
+
+export class EightMinuteTestController extends FtpTestController {
+  get label() {
+    return "8-minute test";
+  }
+
+  get source() {
+    return "8min";
+  }
+
+  phases() {
+    return [
+      WARMUP_PHASE,
+      {
+        name: "Blowout",
+        seconds: 3 * 60,
+        target: 1.05,
+        cue: "Blowout - 3 minutes hard, just over threshold",
+      },
+      { name: "Recovery", seconds: 5 * 60, target: 0.5, cue: "Recovery - 5 minutes easy" },
+      {
+        name: "First 8-minute effort",
+        seconds: 8 * 60,
+        effort: "first",
+        cue: "First 8-minute effort - GO!",
+      },
+      { name: "Recovery", seconds: 10 * 60, target: 0.5, cue: "Recovery - 10 minutes easy" },
+      {
+        name: "Second 8-minute effort",
+        seconds: 8 * 60,
+        effort: "second",
+        cue: "Second 8-minute effort - GO!",
+      },
+      { name: "Cooldown", seconds: 10 * 60, target: 0.5, cue: "Test done - cool down" },
+    ];
+  }
+
+  estimate({ first, second }) {
+    if (!first || !second) return null;
+    const average = (first.avgPower + second.avgPower) / 2;
+    return {
+      ftp: EIGHT_MINUTE_FTP_FACTOR * average,
+      detail: `8-min efforts: ${Math.round(first.avgPower)} W and ${Math.round(second.avgPower)} W`,
+    };
+  }
+}
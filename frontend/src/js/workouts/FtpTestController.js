@@ -0,0 +1,152 @@
+// js/workouts/FtpTestController.js
+//
+// Shared engine for fixed-length FTP test protocols (20-minute, 2x8-minute, critical power).
+// A protocol is a list of phases - warmup, blowout, recovery, the all-out efforts and a cooldown -
+// plus an estimator that turns the efforts' average power into an FTP.
+// Subclasses define phases() and estimate(efforts).
+
+import { TimedWorkout, timelineIndexAt } from "./TimedWorkout.js";
+
+export class FtpTestController extends TimedWorkout {
+  /**
+   * ftp: the rider's current FTP, used for the warmup and recovery targets.
+   * onComplete({ reason: "complete" }) runs once the last effort is done and a result is ready.
+   */
+  constructor({ hud, ftp = 200, nowMs = null, onComplete = null, countdownSeconds = 5 } = {}) {
+    super({ hud, nowMs });
+    this.ftp = ftp;
+    this.onComplete = onComplete;
+    this.countdownSeconds = countdownSeconds;
+
+    this.timeline = [];
+    let start = 0;
+    for (const phase of this.phases()) {
+      this.timeline.push({ ...phase, start, duration: phase.seconds });
+      start += phase.seconds;
+    }
+    this.totalSeconds = start;
+    this.lastEffortIndex = this.timeline.map((p) => Boolean(p.effort)).lastIndexOf(true);
+
+    this.phaseIndex = -1;
+    this.lastCountdown = null;
+    this.efforts = {}; // effort id -> { seconds, energy }
+    this.completed = false;
+    this.phase = "running"; // "running" | "finished"
+  }
+
+  // Protocol name for messages and the FTP history
+  get label() {
+    return "FTP test";
+  }
+
+  get source() {
+    return "test";
+  }
+
+  /**
+   * [{ name, seconds, cue, target?, from?, to?, effort? }]
+   * target/from/to are fractions of FTP; effort names an all-out block to measure (no target).
+   */
+  phases() {
+    return [];
+  }
+
+  /**
+   * FTP from the measured efforts ({ id: { seconds, avgPower } }), as { ftp, detail }, or null.
+   */
+  estimate() {
+    return null;
+  }
+
+  get currentPhase() {
+    return this.timeline[this.phaseIndex] || null;
+  }
+
+  /**
+   * Call this once per frame from the main loop.
+   */
+  update(nowMs, currentPowerWatts = 0) {
+    if (this.phase === "finished") return;
+    const dtSec = this._tick(nowMs);
+
+    const current = this.currentPhase;
+    if (current?.effort) {
+      const effort = (this.efforts[current.effort] ||= { seconds: 0, energy: 0 });
+      effort.seconds += dtSec;
+      effort.energy += currentPowerWatts * dtSec;
+    }
+
+    const index = timelineIndexAt(this.timeline, this.elapsedSeconds);
+    if (index !== this.phaseIndex) {
+      const leaving = this.phaseIndex;
+      this.phaseIndex = index;
+      this.lastCountdown = null;
+      if (leaving === this.lastEffortIndex) this._complete();
+      if (index === -1) {
+        this.markFinished();
+        this._message(`${this.label} done - well ridden!`, 6);
+        return;
+      }
+      this._message(this.currentPhase.cue, 8);
+    }
+    this._countdownToEffort();
+  }
+
+  /**
+   * Target watts: the phase's share of FTP, null during all-out efforts (the rider paces them).
+   */
+  getCurrentTargetWatts() {
+    const current = this.phase === "running" ? this.currentPhase : null;
+    if (!current || current.effort) return null;
+    if (typeof current.target === "number") return Math.round(current.target * this.ftp);
+    if (typeof current.from === "number") {
+      const fraction = Math.min(1, (this.elapsedSeconds - current.start) / current.seconds);
+      return Math.round((current.from + (current.to - current.from) * fraction) * this.ftp);
+    }
+    return null;
+  }
+
+  /**
+   * The protocol's FTP estimate once its efforts are ridden: { ftp, detail }, or null.
+   * An effort counts once at least 90% of it was ridden, so Stop near the end still gives a result.
+   */
+  computeFtpResult() {
+    const efforts = {};
+    for (const p of this.timeline) {
+      if (!p.effort) continue;
+      const ridden = this.efforts[p.effort];
+      if (!ridden || ridden.seconds < 0.9 * p.seconds) continue;
+      efforts[p.effort] = { seconds: ridden.seconds, avgPower: ridden.energy / ridden.seconds };
+    }
+    return this.estimate(efforts);
+  }
+
+  markFinished() {
+    this.phase = "finished";
+  }
+
+  _complete() {
+    if (this.completed) return;
+    this.completed = true;
+    if (this.onComplete) this.onComplete({ reason: "complete" });
+  }
+
+  // "20-minute test in 3…" just before each effort
+  _countdownToEffort() {
+    const next = this.timeline[this.phaseIndex + 1];
+    if (!next?.effort) return;
+    const remaining = Math.ceil(next.start - this.elapsedSeconds);
+    if (remaining > this.countdownSeconds || remaining === this.lastCountdown) return;
+    this.lastCountdown = remaining;
+    this._message(`${next.name} in ${remaining}…`, 1);
+  }
+}
+
+// Warmup shared by the protocols: 10 minutes building from 50% to 75% of FTP
+export const WARMUP_PHASE = {
+  name: "Warmup",
+  seconds: 10 * 60,
+  from: 0.5,
+  to: 0.75,
+  cue: "Warmup - build gradually over 10 minutes",
+};
@@ -9,16 +9,37 @@ export class RampTestController {
     stepWatts = 20,
     stepSeconds = 60,
     ftpFactor = 0.75,
-    
+    // The test ends by itself when power stays under failureFraction of the target
+    // for failureSeconds, or cadence stays under cadenceFloor (rpm) for cadenceSeconds
+    failureFraction = 0.8,
+    failureSeconds = 15,
+    cadenceFloor = 50,
+    cadenceSeconds = 5,
+    cooldownSeconds = 5 * 60,
+    cooldownWatts = startWatts,
+    onFailure = null, // ({ reason }) once the ramp has failed by itself ("power" or "cadence")
   } = {}) {
     this.hud = hud;
 
-    this.phase = "warmup";      // "warmup" | "ramp" | "finished"
+    this.phase = "warmup";      // "warmup" | "ramp" | "cooldown" | "finished"
     this.startWatts = startWatts;
     this.stepWatts = stepWatts;
     this.stepSeconds = stepSeconds;
     this.ftpFactor = ftpFactor;
 
+    this.failureFraction = failureFraction;
+    this.failureSeconds = failureSeconds;
+    this.cadenceFloor = cadenceFloor;
+    this.cadenceSeconds = cadenceSeconds;
+    this.cooldownSeconds = cooldownSeconds;
+    this.cooldownWatts = cooldownWatts;
+    this.onFailure = onFailure;
+    this.belowTargetSec = 0;
+    this.lowCadenceSec = 0;
+    this.failureReason = null;
+    this.cooldownStartMs = null;
+    this.pausedAtMs = null;
+
     this.rampStartTimeMs = null;
     this.lastStepChangeMs = null;
     this.currentStep = -1;
@@ -38,15 +59,26 @@ export class RampTestController {
       });
     } else {
       // Fallback: if HUD can’t do the countdown, just start ramp immediately
-      this._startRamp();
+      this._startRamp(nowMs);
     }
   }
 
 
   /**
    * Call this once per frame from the main loop.
+   * cadence is in rpm, or null without a cadence source (then only power can end the test).
+   * dropout is true while a power or cadence sensor has gone quiet; the failure timers hold
+   * still meanwhile, so the zeroed readings of a lost sensor can't end the test.
    */
-  update(nowMs, currentPowerWatts = 0) {
+  update(nowMs, currentPowerWatts = 0, cadence = null, dropout = false) {
+    if (this.pausedAtMs != null) {
+      // Slide the step and cooldown clocks past the pause
+      const pausedMs = nowMs - this.pausedAtMs;
+      if (this.lastStepChangeMs != null) this.lastStepChangeMs += pausedMs;
+      if (this.cooldownStartMs != null) this.cooldownStartMs += pausedMs;
+      this.lastUpdateMs = nowMs;
+      this.pausedAtMs = null;
+    }
     const dtSec = (nowMs - this.lastUpdateMs) / 1000;
     this.lastUpdateMs = nowMs;
 
@@ -57,7 +89,7 @@ export class RampTestController {
 
         if (this.aboveThresholdAccumSec >= this.earlyExitDurationSec) {
           console.log("Warmup ended early due to power threshold");
-          this._startRamp();
+          this._startRamp(nowMs);
           return;
         }
       } else {
@@ -76,16 +108,71 @@ export class RampTestController {
         const target = this.getCurrentTargetWatts();
         this._announceStep(this.currentStep + 1, target);
       }
+      if (!dropout) this._checkFailure(nowMs, dtSec, currentPowerWatts, cadence);
+      return;
+    }
+
+    // --- Cooldown phase logic ---
+    if (this.phase === "cooldown") {
+      if ((nowMs - this.cooldownStartMs) / 1000 >= this.cooldownSeconds) {
+        this.phase = "finished";
+        this.hud?.showWorkoutMessage?.({ text: "Cooldown done - well ridden!", seconds: 6 });
+      }
+    }
+  }
+
+  // Paused time counts towards neither the current step nor a failure
+  pause(nowMs = Date.now()) {
+    if (this.pausedAtMs == null) this.pausedAtMs = nowMs;
+  }
+
+  _checkFailure(nowMs, dtSec, power, cadence) {
+    const target = this.getCurrentTargetWatts();
+    if (target == null) return;
+
+    this.belowTargetSec = power < this.failureFraction * target ? this.belowTargetSec + dtSec : 0;
+    this.lowCadenceSec =
+      typeof cadence === "number" && cadence < this.cadenceFloor ? this.lowCadenceSec + dtSec : 0;
+
+    if (this.belowTargetSec >= this.failureSeconds) {
+      this.fail("power", nowMs);
+    } else if (this.lowCadenceSec >= this.cadenceSeconds) {
+      this.fail("cadence", nowMs);
     }
   }
 
+  /**
+   * End the ramp and switch to the cooldown. reason is "power", "cadence" or "stopped".
+   * onFailure only runs for the automatic endings; whoever stops the test handles its result.
+   */
+  fail(reason, nowMs = Date.now()) {
+    if (this.phase !== "ramp") return;
+    console.log(`Ramp test ended (${reason}) at step ${this.currentStep + 1}`);
+
+    this.phase = "cooldown";
+    this.failureReason = reason;
+    this.cooldownStartMs = nowMs;
+    this.hud?.showWorkoutMessage?.({
+      text: `Ramp test over at ${this.getLastStepWatts()} W - cool down`,
+      seconds: 8,
+    });
+
+    if (reason !== "stopped" && this.onFailure) this.onFailure({ reason });
+  }
+
+  // Target of the last ramp step reached
+  getLastStepWatts() {
+    return this.startWatts + Math.max(0, this.currentStep) * this.stepWatts;
+  }
+
 
 
 
   /**
-   * Current ramp target watts, or null during warmup / finished.
+   * Current ramp target watts, the cooldown target while cooling down, or null during warmup / finished.
    */
   getCurrentTargetWatts() {
+    if (this.phase === "cooldown") return this.cooldownWatts;
     if (this.phase !== "ramp" || this.currentStep < 0) return null;
     return this.startWatts + this.currentStep * this.stepWatts;
   }
@@ -100,7 +187,7 @@ export class RampTestController {
 
   /**
    * Compute FTP from a rideHistory array:
-   *   [{ time, power, speed, distance }, ...]
+   *   [{ time, power, speed, distance, dropout }, ...]
    * Returns { peakMinute, ftp } or null if not enough data.
    */
   computeFtpFromHistory(history) {
@@ -109,17 +196,23 @@ export class RampTestController {
       return null;
     }
 
+    // Windows that overlap a sensor dropout don't count
     let sum = 0;
-    for (let i = 0; i < windowSize; i++) {
+    let dropouts = 0;
+    let bestAvg = null;
+    for (let i = 0; i < history.length; i++) {
       sum += history[i].power || 0;
+      if (history[i].dropout) dropouts++;
+      if (i >= windowSize) {
+        sum -= history[i - windowSize].power || 0;
+        if (history[i - windowSize].dropout) dropouts--;
+      }
+      if (i >= windowSize - 1 && dropouts === 0) {
+        const avg = sum / windowSize;
+        if (bestAvg === null || avg > bestAvg) bestAvg = avg;
+      }
     }
-    let bestAvg = sum / windowSize;
-
-    for (let i = windowSize; i < history.length; i++) {
-      sum += (history[i].power || 0) - (history[i - windowSize].power || 0);
-      const avg = sum / windowSize;
-      if (avg > bestAvg) bestAvg = avg;
-    }
+    if (bestAvg === null) return null;
 
     const ftp = this.ftpFactor * bestAvg;
     this.ftpResult = { peakMinute: bestAvg, ftp };
@@ -0,0 +1,182 @@
+// js/workouts/SprintIntervalController.js
+//
+// Sprint intervals: a warmup, then a number of all-out sprints each followed by a recovery.
+// The rider gets a countdown to every sprint, and each sprint's average and peak power
+// are kept for the workout summary.
+
+import { TimedWorkout } from "./TimedWorkout.js";
+
+const SETTINGS_STORAGE_KEY = "SprintSettings";
+
+export const DEFAULT_SPRINT_SETTINGS = {
+  sprintCount: 6,
+  sprintSeconds: 20,
+  recoverySeconds: 120,
+  warmupSeconds: 5 * 60,
+};
+
+// Allowed range for each setting
+const SETTING_LIMITS = {
+  sprintCount: [1, 30],
+  sprintSeconds: [5, 120],
+  recoverySeconds: [10, 1800],
+  warmupSeconds: [0, 1800],
+};
+
+function cleanSprintSettings(settings, fallback = DEFAULT_SPRINT_SETTINGS) {
+  const cleaned = {};
+  for (const [key, [min, max]] of Object.entries(SETTING_LIMITS)) {
+    const value = Math.round(Number(settings?.[key]));
+    cleaned[key] =
+      Number.isFinite(value) && value >= min && value <= max ? value : fallback[key];
+  }
+  return cleaned;
+}
+
+export function loadSprintSettings() {
+  try {
+    return cleanSprintSettings(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+  } catch {
+    return { ...DEFAULT_SPRINT_SETTINGS };
+  }
+}
+
+export function saveSprintSettings(settings) {
+  const stored = loadSprintSettings();
+  const cleaned = cleanSprintSettings({ ...stored, ...settings }, stored);
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(cleaned));
+  return cleaned;
+}
+
+export class SprintIntervalController extends TimedWorkout {
+  constructor({
+    hud,
+    nowMs = null,
+    sprintCount = DEFAULT_SPRINT_SETTINGS.sprintCount,
+    sprintSeconds = DEFAULT_SPRINT_SETTINGS.sprintSeconds,
+    recoverySeconds = DEFAULT_SPRINT_SETTINGS.recoverySeconds,
+    warmupSeconds = DEFAULT_SPRINT_SETTINGS.warmupSeconds,
+    countdownSeconds = 5,
+    recoveryWatts = null, // an ERG target between sprints; null leaves the trainer on the road
+  } = {}) {
+    super({ hud, nowMs });
+    this.sprintCount = sprintCount;
+    this.sprintSeconds = sprintSeconds;
+    this.recoverySeconds = recoverySeconds;
+    this.warmupSeconds = warmupSeconds;
+    this.countdownSeconds = countdownSeconds;
+    this.recoveryWatts = recoveryWatts;
+
+    this.phase = "warmup"; // "warmup" | "sprint" | "recovery" | "finished"
+    this.nextSprint = 0; // index of the sprint being ridden or counted down to
+    this.lastCountdown = null;
+
+    this.sprints = []; // { number, seconds, avgPower, peakPower } per completed sprint
+    this.capture = null;
+  }
+
+  get totalSeconds() {
+    return this.warmupSeconds + this.sprintCount * (this.sprintSeconds + this.recoverySeconds);
+  }
+
+  /**
+   * Where in the workout a time falls: { phase, sprint, secondsToSprint }.
+   * sprint is the sprint being ridden, or the next one during warmup and recovery.
+   */
+  phaseAt(seconds) {
+    if (seconds < this.warmupSeconds) {
+      return { phase: "warmup", sprint: 0, secondsToSprint: this.warmupSeconds - seconds };
+    }
+    const cycle = this.sprintSeconds + this.recoverySeconds;
+    const index = Math.floor((seconds - this.warmupSeconds) / cycle);
+    if (index >= this.sprintCount) return { phase: "finished", sprint: this.sprintCount, secondsToSprint: null };
+
+    const intoCycle = seconds - this.warmupSeconds - index * cycle;
+    if (intoCycle < this.sprintSeconds) return { phase: "sprint", sprint: index, secondsToSprint: 0 };
+    const last = index + 1 >= this.sprintCount;
+    return {
+      phase: "recovery",
+      sprint: index + 1,
+      secondsToSprint: last ? null : cycle - intoCycle,
+    };
+  }
+
+  /**
+   * Call this once per frame from the main loop.
+   */
+  update(nowMs, currentPowerWatts = 0) {
+    if (this.phase === "finished") return;
+    const dtSec = this._tick(nowMs);
+
+    const { phase, sprint, secondsToSprint } = this.phaseAt(this.elapsedSeconds);
+
+    // Leaving a sprint (or skipping straight past one after a long frame)
+    if (this.capture && (phase !== "sprint" || sprint !== this.capture.index)) {
+      this._closeSprint();
+    }
+
+    if (phase === "finished") {
+      this.markFinished();
+      this._message(this._summaryText(), 8);
+      return;
+    }
+
+    if (phase === "sprint") {
+      if (!this.capture) this._openSprint(sprint);
+      this.capture.seconds += dtSec;
+      this.capture.energy += currentPowerWatts * dtSec;
+      this.capture.peakPower = Math.max(this.capture.peakPower, currentPowerWatts);
+    } else if (secondsToSprint !== null && secondsToSprint <= this.countdownSeconds) {
+      const whole = Math.ceil(secondsToSprint);
+      if (whole !== this.lastCountdown) {
+        this.lastCountdown = whole;
+        this._message(`Sprint ${sprint + 1} of ${this.sprintCount} in ${whole}…`, 1);
+      }
+    }
+
+    this.phase = phase;
+    this.nextSprint = sprint;
+  }
+
+  /**
+   * Target watts for the trainer: recoveryWatts between sprints, null while sprinting or finished.
+   */
+  getCurrentTargetWatts() {
+    if (this.phase === "warmup" || this.phase === "recovery") return this.recoveryWatts;
+    return null;
+  }
+
+  /**
+   * End the workout (e.g. the rider hit Stop); a sprint in progress still counts.
+   */
+  markFinished() {
+    if (this.capture) this._closeSprint();
+    this.phase = "finished";
+  }
+
+  _openSprint(index) {
+    this.capture = { index, seconds: 0, energy: 0, peakPower: 0 };
+    this.lastCountdown = null;
+    this._message(`Sprint ${index + 1} of ${this.sprintCount} - GO!`, Math.min(this.sprintSeconds, 4));
+  }
+
+  _closeSprint() {
+    const { index, seconds, energy, peakPower } = this.capture;
+    this.capture = null;
+    if (seconds <= 0) return;
+    const result = {
+      number: index + 1,
+      seconds: Math.round(seconds),
+      avgPower: Math.round(energy / seconds),
+      peakPower: Math.round(peakPower),
+    };
+    this.sprints.push(result);
+    this._message(`Sprint ${result.number}: ${result.avgPower} W avg, ${result.peakPower} W peak`, 5);
+  }
+
+  _summaryText() {
+    if (this.sprints.length === 0) return "Sprint intervals complete";
+    const best = Math.max(...this.sprints.map((s) => s.peakPower));
+    return `Sprint intervals complete - best peak ${best} W`;
+  }
+}
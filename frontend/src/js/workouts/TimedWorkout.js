@@ -0,0 +1,39 @@
+// js/workouts/TimedWorkout.js
+//
+// Base for the workouts that run to a clock of ridden time (structured workouts, sprint
+// intervals, FTP tests). The clock starts on the first update unless nowMs is given, so a
+// start countdown isn't counted, and paused time doesn't count towards it.
+
+export class TimedWorkout {
+  constructor({ hud, nowMs = null } = {}) {
+    this.hud = hud;
+    this.elapsedSeconds = 0;
+    this.lastUpdateMs = nowMs;
+  }
+
+  // Move the clock on to nowMs; returns the seconds ridden since the last update
+  _tick(nowMs) {
+    const dtSec = this.lastUpdateMs === null ? 0 : Math.max(0, (nowMs - this.lastUpdateMs) / 1000);
+    this.lastUpdateMs = nowMs;
+    this.elapsedSeconds += dtSec;
+    return dtSec;
+  }
+
+  // The next update starts the clock again
+  pause() {
+    this.lastUpdateMs = null;
+  }
+
+  _message(text, seconds) {
+    if (!text || !this.hud || typeof this.hud.showWorkoutMessage !== "function") return;
+    this.hud.showWorkoutMessage({ text, seconds });
+  }
+}
+
+/**
+ * Index of the entry of a timeline ([{ start, duration }, ...] in seconds) that a time
+ * falls in, or -1 once past its end.
+ */
+export function timelineIndexAt(timeline, seconds) {
+  return timeline.findIndex((entry) => seconds < entry.start + entry.duration);
+}
@@ -0,0 +1,47 @@
+// js/workouts/TwentyMinuteTestController.js
+//
+// The classic 20-minute FTP test: warmup, a 5-minute blowout so the test isn't ridden on
+// fresh-legs anaerobic power, 10 minutes easy, then 20 minutes as hard as the rider can hold.
+// FTP is 95% of the 20-minute average.
+
+import { FtpTestController, WARMUP_PHASE } from "./FtpTestController.js";
+
+export const TWENTY_MINUTE_FTP_FACTOR = 0.95;
+
+export class TwentyMinuteTestController extends FtpTestController {
+  get label() {
+    return "20-minute test";
+  }
+
+  get source() {
+    return "20min";
+  }
+
+  phases() {
+    return [
+      WARMUP_PHASE,
+      {
+        name: "Blowout",
+        seconds: 5 * 60,
+        target: 1.05,
+        cue: "Blowout - 5 minutes hard, just over threshold",
+      },
+      { name: "Recovery", seconds: 10 * 60, target: 0.5, cue: "Recovery - 10 minutes easy" },
+      {
+        name: "20-minute test",
+        seconds: 20 * 60,
+        effort: "test",
+        cue: "20-minute test - GO! Pace it so you can hold it to the end",
+      },
+      { name: "Cooldown", seconds: 10 * 60, target: 0.5, cue: "Test done - cool down" },
+    ];
+  }
+
+  estimate({ test }) {
+    if (!test) return null;
+    return {
+      ftp: TWENTY_MINUTE_FTP_FACTOR * test.avgPower,
+      detail: `20-min average: ${Math.round(test.avgPower)} W`,
+    };
+  }
+}
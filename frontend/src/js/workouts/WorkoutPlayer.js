@@ -0,0 +1,264 @@
+// js/workouts/WorkoutPlayer.js
+//
+// Runs a structured workout from a JSON definition:
+//
+//   {
+//     "name": "Sweet Spot 3x10",
+//     "steps": [
+//       { "type": "ramp", "duration": 300, "from": { "ftp": 0.5 }, "to": { "ftp": 0.75 } },
+//       { "type": "repeat", "count": 3, "steps": [
+//         { "type": "steady", "duration": 600, "target": { "ftp": 0.9, "cadence": 90 }, "cue": "Settle in" },
+//         { "type": "steady", "duration": 300, "target": { "watts": 120 } }
+//       ] },
+//       { "type": "free", "duration": 300, "cues": [{ "at": 0, "text": "Cool down" }] }
+//     ]
+//   }
+//
+// Durations are seconds. A target holds watts or ftp (a fraction of FTP) and optionally
+// heartRate (bpm) and cadence (rpm), which the HUD shows against the live readings.
+// "cue" is shown when a step starts, "cues" at offsets into it.
+
+import { TimedWorkout, timelineIndexAt } from "./TimedWorkout.js";
+
+export const STEP_TYPES = ["steady", "ramp", "repeat", "free"];
+const HEADS_UP_SECONDS = 3; // warn this long before the next step
+const TARGET_KEYS = ["watts", "ftp", "heartRate", "cadence"];
+
+function invalid(path, message) {
+  const err = new Error(`Invalid workout: ${path} ${message}`);
+  err.path = path;
+  return err;
+}
+
+function validateTarget(target, path) {
+  if (!target || typeof target !== "object") throw invalid(path, "must be an object");
+  const keys = Object.keys(target);
+  if (keys.length === 0) throw invalid(path, "needs at least one of " + TARGET_KEYS.join(", "));
+  for (const key of keys) {
+    if (!TARGET_KEYS.includes(key)) throw invalid(`${path}.${key}`, "is not a known target");
+    // 0 W is a fine power target (e.g. the bottom of a ramp); 0 bpm or rpm isn't
+    const value = Number(target[key]);
+    if (!(value > 0 || (value === 0 && (key === "watts" || key === "ftp")))) {
+      throw invalid(`${path}.${key}`, "must be a positive number");
+    }
+  }
+  if ("watts" in target && "ftp" in target) throw invalid(path, "can't have both watts and ftp");
+}
+
+function validateSteps(steps, path) {
+  if (!Array.isArray(steps) || steps.length === 0) throw invalid(path, "must be a non-empty array");
+  steps.forEach((step, i) => {
+    const at = `${path}[${i}]`;
+    if (!STEP_TYPES.includes(step?.type)) {
+      throw invalid(`${at}.type`, "must be one of " + STEP_TYPES.join(", "));
+    }
+    if (step.type === "repeat") {
+      if (!Number.isInteger(step.count) || step.count < 1) {
+        throw invalid(`${at}.count`, "must be a positive whole number");
+      }
+      validateSteps(step.steps, `${at}.steps`);
+      return;
+    }
+    if (!(Number(step.duration) > 0)) throw invalid(`${at}.duration`, "must be a positive number");
+    if (step.type === "steady") validateTarget(step.target, `${at}.target`);
+    if (step.type === "ramp") {
+      validateTarget(step.from, `${at}.from`);
+      validateTarget(step.to, `${at}.to`);
+      const fromKeys = Object.keys(step.from).sort().join();
+      if (fromKeys !== Object.keys(step.to).sort().join()) {
+        throw invalid(`${at}.to`, "must have the same targets as from");
+      }
+    }
+    for (const [j, cue] of (step.cues || []).entries()) {
+      if (typeof cue?.text !== "string" || !(Number(cue.at) >= 0)) {
+        throw invalid(`${at}.cues[${j}]`, "needs a text and an offset (at) in seconds");
+      }
+    }
+  });
+}
+
+// Throws an Error naming the first problem; returns the definition when it is usable
+export function validateWorkout(definition) {
+  if (!definition || typeof definition !== "object") throw invalid("workout", "must be an object");
+  if (typeof definition.name !== "string" || !definition.name.trim()) {
+    throw invalid("name", "must be a non-empty string");
+  }
+  validateSteps(definition.steps, "steps");
+  return definition;
+}
+
+/**
+ * Expand repeats into a flat timeline of steps, each with its start (s) into the workout.
+ * Steps inside a repeat carry repeat: { index, count } (index from 1).
+ */
+export function flattenWorkout(definition) {
+  const timeline = [];
+  let start = 0;
+  const walk = (steps, repeat = null) => {
+    for (const step of steps) {
+      if (step.type === "repeat") {
+        for (let index = 1; index <= step.count; index++) {
+          walk(step.steps, { index, count: step.count });
+        }
+        continue;
+      }
+      const duration = Number(step.duration);
+      const cues = [...(step.cue ? [{ at: 0, text: step.cue }] : []), ...(step.cues || [])]
+        .map((cue) => ({ at: Number(cue.at), text: cue.text }))
+        .sort((a, b) => a.at - b.at);
+      timeline.push({ ...step, duration, start, cues, repeat });
+      start += duration;
+    }
+  };
+  walk(definition.steps);
+  return timeline;
+}
+
+/**
+ * Turn a target into absolute numbers: { watts, heartRate, cadence }, each null when not set.
+ * For a ramp, fraction (0-1) says how far through the step the rider is.
+ */
+export function resolveTarget(step, { ftp, fraction = 0 } = {}) {
+  let target;
+  if (step.type === "steady") target = step.target;
+  else if (step.type === "ramp") {
+    target = {};
+    for (const key of Object.keys(step.from)) {
+      target[key] = step.from[key] + (step.to[key] - step.from[key]) * fraction;
+    }
+  } else target = {};
+
+  let watts = null;
+  if (typeof target.watts === "number") watts = target.watts;
+  else if (typeof target.ftp === "number") watts = target.ftp * ftp;
+  return {
+    watts: watts === null ? null : Math.round(watts),
+    heartRate: typeof target.heartRate === "number" ? Math.round(target.heartRate) : null,
+    cadence: typeof target.cadence === "number" ? Math.round(target.cadence) : null,
+  };
+}
+
+// Short text for a target, e.g. "250 W · 90 rpm"
+export function describeTarget({ watts, heartRate, cadence }) {
+  const parts = [];
+  if (watts !== null) parts.push(`${watts} W`);
+  if (heartRate !== null) parts.push(`${heartRate} bpm`);
+  if (cadence !== null) parts.push(`${cadence} rpm`);
+  return parts.join(" · ");
+}
+
+export class WorkoutPlayer extends TimedWorkout {
+  constructor({ workout, hud, ftp = 200, nowMs = null, onFinish = null } = {}) {
+    super({ hud, nowMs });
+    this.workout = validateWorkout(workout);
+    this.name = workout.name;
+    this.ftp = ftp;
+    this.onFinish = onFinish;
+
+    this.timeline = flattenWorkout(workout);
+    this.totalSeconds = this.timeline.reduce((sum, step) => sum + step.duration, 0);
+
+    this.stepIndex = -1;
+    this.nextCue = 0;
+    this.headsUpShown = false;
+    this.phase = "running"; // "running" | "finished"
+  }
+
+  /**
+   * Call this once per frame from the main loop.
+   */
+  update(nowMs, currentPowerWatts = 0) {
+    if (this.phase === "finished") return;
+    this._tick(nowMs);
+
+    if (this.elapsedSeconds >= this.totalSeconds) {
+      this._finish();
+      return;
+    }
+
+    const index = timelineIndexAt(this.timeline, this.elapsedSeconds);
+    if (index !== this.stepIndex) {
+      this.stepIndex = index;
+      this.nextCue = 0;
+      this.headsUpShown = false;
+      this._announceStep();
+    }
+    this._showDueCues();
+    this._showHeadsUp();
+  }
+
+  get currentStep() {
+    return this.timeline[this.stepIndex] || null;
+  }
+
+  get stepElapsedSeconds() {
+    const step = this.currentStep;
+    return step ? this.elapsedSeconds - step.start : 0;
+  }
+
+  get stepRemainingSeconds() {
+    const step = this.currentStep;
+    return step ? Math.max(0, step.duration - this.stepElapsedSeconds) : 0;
+  }
+
+  /**
+   * Current targets: { watts, heartRate, cadence }, each null when the step doesn't set it.
+   */
+  getCurrentTarget() {
+    const step = this.phase === "running" ? this.currentStep : null;
+    if (!step) return { watts: null, heartRate: null, cadence: null };
+    const fraction = Math.min(1, this.stepElapsedSeconds / step.duration);
+    return resolveTarget(step, { ftp: this.ftp, fraction });
+  }
+
+  /**
+   * Current target watts, or null during free-ride, heart rate or cadence only steps and once finished.
+   */
+  getCurrentTargetWatts() {
+    return this.getCurrentTarget().watts;
+  }
+
+  markFinished() {
+    this.phase = "finished";
+  }
+
+  _finish() {
+    this.phase = "finished";
+    this.stepIndex = -1;
+    this._message(`${this.name} complete`, 8);
+    if (this.onFinish) this.onFinish();
+  }
+
+  // "250 W · 90 rpm (2/3)" for the start of a step
+  _stepLabel(step) {
+    const repeat = step.repeat ? ` (${step.repeat.index}/${step.repeat.count})` : "";
+    const label =
+      step.type === "free" ? "Free ride" : describeTarget(resolveTarget(step, { ftp: this.ftp }));
+    return `${label}${repeat}`;
+  }
+
+  _announceStep() {
+    const step = this.currentStep;
+    if (!step || step.cues.some((cue) => cue.at === 0)) return;
+    this._message(this._stepLabel(step), 6);
+  }
+
+  // Short countdown to the next step so the change in effort isn't a surprise
+  _showHeadsUp() {
+    const next = this.timeline[this.stepIndex + 1];
+    if (!next || this.headsUpShown) return;
+    const remaining = Math.ceil(this.stepRemainingSeconds);
+    if (remaining > HEADS_UP_SECONDS) return;
+    this.headsUpShown = true;
+    this._message(`Next: ${this._stepLabel(next)} in ${remaining}s`, remaining);
+  }
+
+  _showDueCues() {
+    const step = this.currentStep;
+    if (!step) return;
+    while (this.nextCue < step.cues.length && step.cues[this.nextCue].at <= this.stepElapsedSeconds) {
+      this._message(step.cues[this.nextCue].text, 6);
+      this.nextCue++;
+    }
+  }
+}
@@ -0,0 +1,45 @@
+// js/workouts/builtInWorkouts.js
+//
+// Structured workouts that ship with Zlow, in the JSON format WorkoutPlayer runs.
+// Keyed by the SelectedWorkout value the workout menu stores.
+
+export const BUILT_IN_WORKOUTS = {
+  sweetspot: {
+    name: "Sweet Spot 3x10",
+    steps: [
+      { type: "ramp", duration: 300, from: { ftp: 0.45 }, to: { ftp: 0.7 }, cue: "Warm up, easy spin" },
+      {
+        type: "repeat",
+        count: 3,
+        steps: [
+          { type: "steady", duration: 600, target: { ftp: 0.9, cadence: 90 } },
+          { type: "steady", duration: 180, target: { ftp: 0.55 }, cue: "Recover" },
+        ],
+      },
+      { type: "free", duration: 300, cue: "Cool down at your own pace" },
+    ],
+  },
+  endurance: {
+    name: "Endurance Cadence Drills",
+    steps: [
+      { type: "ramp", duration: 300, from: { ftp: 0.4 }, to: { ftp: 0.6 }, cue: "Warm up" },
+      {
+        type: "repeat",
+        count: 4,
+        steps: [
+          { type: "steady", duration: 480, target: { ftp: 0.65, cadence: 85 } },
+          {
+            type: "steady",
+            duration: 120,
+            target: { ftp: 0.65, cadence: 105 },
+            cues: [
+              { at: 0, text: "Spin it up: 105 rpm, same power" },
+              { at: 90, text: "30 seconds left" },
+            ],
+          },
+        ],
+      },
+      { type: "steady", duration: 300, target: { heartRate: 120 }, cue: "Ease off, keep your heart rate low" },
+    ],
+  },
+};
@@ -0,0 +1,154 @@
+// js/workouts/ergParser.js
+//
+// Converts plain-text ERG and MRC workout files into the JSON workouts WorkoutPlayer runs:
+//
+//   [COURSE HEADER]
+//   VERSION = 2
+//   UNITS = ENGLISH
+//   DESCRIPTION = Sweet spot
+//   FILE NAME = sweetspot
+//   MINUTES WATTS            <- "MINUTES PERCENT" in an MRC file (% of FTP)
+//   [END COURSE HEADER]
+//   [COURSE DATA]
+//   0.00    150
+//   10.00   150              <- a straight line between two rows is a steady block or a ramp
+//   10.00   250              <- repeating a time is a jump to a new target
+//   ...
+//   [END COURSE DATA]
+//   [COURSE TEXT]            <- optional: seconds, message, how long to show it
+//   600     Go!     10
+//   [END COURSE TEXT]
+
+function ergError(lineNumber, message) {
+  const err = new Error(`Invalid workout file: line ${lineNumber}: ${message}`);
+  err.name = "ErgParseError";
+  err.lineNumber = lineNumber;
+  return err;
+}
+
+// Split the file into its [SECTION] blocks, remembering where each line came from
+function sections(text) {
+  const result = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const lineNumber = i + 1;
+    const line = raw.trim();
+    if (!line || line.startsWith(";")) return;
+    const tag = line.match(/^\[(END )?(.+)\]$/i);
+    if (tag) {
+      const name = tag[2].toUpperCase();
+      if (tag[1]) {
+        if (current !== name) throw ergError(lineNumber, `[END ${name}] without [${name}]`);
+        current = null;
+      } else {
+        if (current) throw ergError(lineNumber, `[${name}] inside [${current}]`);
+        current = name;
+        result[name] = [];
+      }
+      return;
+    }
+    if (!current) throw ergError(lineNumber, `"${line}" is outside any [SECTION]`);
+    result[current].push({ line, lineNumber });
+  });
+  if (current) throw ergError(text.split(/\r?\n/).length, `[${current}] is never closed`);
+  return result;
+}
+
+function parseHeader(rows) {
+  const header = { units: null };
+  for (const { line, lineNumber } of rows) {
+    const columns = line.match(/^MINUTES\s+(WATTS|PERCENT)$/i);
+    if (columns) {
+      header.units = columns[1].toUpperCase() === "WATTS" ? "watts" : "percent";
+      continue;
+    }
+    const pair = line.match(/^([^=]+)=(.*)$/);
+    if (!pair) throw ergError(lineNumber, `expected KEY = value, got "${line}"`);
+    header[pair[1].trim().toUpperCase()] = pair[2].trim();
+  }
+  return header;
+}
+
+function parseData(rows) {
+  const points = [];
+  for (const { line, lineNumber } of rows) {
+    const fields = line.split(/\s+/);
+    const minutes = Number(fields[0]);
+    const value = Number(fields[1]);
+    if (fields.length < 2 || !Number.isFinite(minutes) || !Number.isFinite(value)) {
+      throw ergError(lineNumber, `expected "minutes value", got "${line}"`);
+    }
+    if (minutes < 0 || value < 0) throw ergError(lineNumber, "times and targets can't be negative");
+    const previous = points[points.length - 1];
+    if (previous && minutes < previous.minutes) {
+      throw ergError(
+        lineNumber,
+        `time ${minutes} goes back before ${previous.minutes} on line ${previous.lineNumber}`
+      );
+    }
+    points.push({ minutes, value, lineNumber });
+  }
+  if (points.length < 2) {
+    throw ergError(rows[0]?.lineNumber ?? 1, "[COURSE DATA] needs at least two rows");
+  }
+  return points;
+}
+
+function parseText(rows = []) {
+  return rows.map(({ line, lineNumber }) => {
+    const [seconds, text] = line.split("\t");
+    if (!Number.isFinite(Number(seconds)) || !text?.trim()) {
+      throw ergError(lineNumber, `expected "seconds<TAB>message", got "${line}"`);
+    }
+    return { at: Number(seconds), text: text.trim() };
+  });
+}
+
+/**
+ * Parse the text of an .erg or .mrc file into { name, description, steps }.
+ * Throws an Error (name "ErgParseError", with lineNumber) on a malformed file.
+ */
+export function parseErg(text, { fallbackName = "Imported workout" } = {}) {
+  const parts = sections(text);
+  if (!parts["COURSE HEADER"]) throw ergError(1, "no [COURSE HEADER] section");
+  if (!parts["COURSE DATA"]) throw ergError(1, "no [COURSE DATA] section");
+
+  const header = parseHeader(parts["COURSE HEADER"]);
+  if (!header.units) {
+    throw ergError(parts["COURSE DATA"][0]?.lineNumber ?? 1, "the header needs MINUTES WATTS or MINUTES PERCENT");
+  }
+  const target = (value) => (header.units === "watts" ? { watts: value } : { ftp: value / 100 });
+
+  const steps = [];
+  const points = parseData(parts["COURSE DATA"]);
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const duration = Math.round((to.minutes - from.minutes) * 60 * 1000) / 1000;
+    if (duration === 0) continue; // a jump between targets
+    if (from.value === to.value) {
+      steps.push(
+        from.value === 0 ? { type: "free", duration } : { type: "steady", duration, target: target(from.value) }
+      );
+    } else {
+      steps.push({ type: "ramp", duration, from: target(from.value), to: target(to.value) });
+    }
+  }
+  if (steps.length === 0) throw ergError(points[0].lineNumber, "the workout has no length");
+
+  // Hang each text cue on the step it falls in
+  let start = 0;
+  const starts = steps.map((step) => (start += step.duration) - step.duration);
+  for (const cue of parseText(parts["COURSE TEXT"])) {
+    const index = starts.findLastIndex((s) => s <= cue.at);
+    if (index < 0) continue;
+    const step = steps[index];
+    step.cues = [...(step.cues || []), { at: cue.at - starts[index], text: cue.text }];
+  }
+
+  return {
+    name: header["FILE NAME"] || fallbackName,
+    description: header.DESCRIPTION || "",
+    steps,
+  };
+}
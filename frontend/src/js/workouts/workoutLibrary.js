@@ -0,0 +1,80 @@
+// js/workouts/workoutLibrary.js
+//
+// Every structured workout Zlow can ride: the built-in ones plus workouts the rider
+// imported from .zwo, .erg or .mrc files, which are kept in localStorage.
+import { BUILT_IN_WORKOUTS } from "./builtInWorkouts.js";
+import { parseZwo } from "./zwoParser.js";
+import { parseErg } from "./ergParser.js";
+import { validateWorkout } from "./WorkoutPlayer.js";
+
+const IMPORTED_STORAGE_KEY = "ImportedWorkouts";
+
+// File extension -> parser; the extension also prefixes the stored id
+const PARSERS = {
+  zwo: parseZwo,
+  xml: parseZwo,
+  erg: parseErg,
+  mrc: parseErg,
+};
+export const IMPORT_EXTENSIONS = Object.keys(PARSERS).map((ext) => `.${ext}`);
+
+// Imported workouts keyed by id; anything unreadable is dropped
+export function loadImportedWorkouts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(IMPORTED_STORAGE_KEY));
+    if (!stored || typeof stored !== "object") return {};
+    const workouts = {};
+    for (const [id, workout] of Object.entries(stored)) {
+      try {
+        workouts[id] = validateWorkout(workout);
+      } catch (err) {
+        console.warn(`[WORKOUTS] Dropping stored workout ${id}:`, err.message);
+      }
+    }
+    return workouts;
+  } catch {
+    return {};
+  }
+}
+
+function saveImportedWorkouts(workouts) {
+  localStorage.setItem(IMPORTED_STORAGE_KEY, JSON.stringify(workouts));
+}
+
+// Stable id from the name, so importing the same file again replaces it
+function idFor(prefix, name) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `${prefix}-${slug || "workout"}`;
+}
+
+/**
+ * Parse a workout file's text, store it and return { id, workout }.
+ * The format comes from the file name's extension (.zwo by default).
+ * Throws when the file isn't a workout Zlow can ride.
+ */
+export function importWorkoutFile(text, { fileName = "" } = {}) {
+  const extension = fileName.match(/\.([^.]+)$/)?.[1].toLowerCase() || "zwo";
+  const parse = PARSERS[extension];
+  if (!parse) {
+    throw new Error(`Unsupported workout file type .${extension} (use ${IMPORT_EXTENSIONS.join(", ")})`);
+  }
+  const fallbackName = fileName.replace(/\.[^.]+$/, "") || undefined;
+  const workout = validateWorkout(parse(text, { fallbackName }));
+  const id = idFor(extension === "xml" ? "zwo" : extension, workout.name);
+  saveImportedWorkouts({ ...loadImportedWorkouts(), [id]: workout });
+  return { id, workout };
+}
+
+export function deleteImportedWorkout(id) {
+  const workouts = loadImportedWorkouts();
+  delete workouts[id];
+  saveImportedWorkouts(workouts);
+}
+
+// The structured workout stored under a SelectedWorkout id, or null for free ride, ramp test etc.
+export function findWorkout(id) {
+  return BUILT_IN_WORKOUTS[id] || loadImportedWorkouts()[id] || null;
+}
@@ -0,0 +1,183 @@
+// js/workouts/zwoParser.js
+//
+// Converts Zwift workout files (.zwo, XML) into the JSON workouts WorkoutPlayer runs.
+// Supported blocks: SteadyState, Warmup, Cooldown, Ramp, IntervalsT, FreeRide and MaxEffort,
+// with Cadence/CadenceResting targets and <textevent> cues inside a block.
+// Zwift powers are fractions of FTP, so they map straight onto { ftp } targets.
+
+function zwoError(message) {
+  const err = new Error(`Invalid .zwo file: ${message}`);
+  err.name = "ZwoParseError";
+  return err;
+}
+
+function number(el, name, { required = true } = {}) {
+  const raw = el.getAttribute(name);
+  if (raw === null) {
+    if (required) throw zwoError(`<${el.tagName}> is missing ${name}`);
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw zwoError(`<${el.tagName}> has a bad ${name} "${raw}"`);
+  }
+  return value;
+}
+
+// First attribute that is present, e.g. Power or the older PowerLow on a steady block
+function firstNumber(el, names) {
+  for (const name of names) {
+    if (el.hasAttribute(name)) return number(el, name);
+  }
+  throw zwoError(`<${el.tagName}> is missing ${names[0]}`);
+}
+
+function withCadence(target, cadence) {
+  return cadence ? { ...target, cadence } : target;
+}
+
+// <textevent timeoffset="30" message="..."/> children, as cues within the block
+function textEvents(el) {
+  return Array.from(el.children)
+    .filter((child) => child.tagName.toLowerCase() === "textevent")
+    .map((child) => ({
+      at: number(child, "timeoffset", { required: false }) ?? 0,
+      text: child.getAttribute("message") || "",
+    }))
+    .filter((cue) => cue.text);
+}
+
+function withCues(step, cues) {
+  return cues.length ? { ...step, cues } : step;
+}
+
+function steady(el) {
+  const cadence = number(el, "Cadence", { required: false });
+  return withCues(
+    {
+      type: "steady",
+      duration: number(el, "Duration"),
+      target: withCadence({ ftp: firstNumber(el, ["Power", "PowerLow"]) }, cadence),
+    },
+    textEvents(el)
+  );
+}
+
+function ramp(el) {
+  const cadence = number(el, "Cadence", { required: false });
+  const from = firstNumber(el, ["PowerLow", "Power"]);
+  const to = firstNumber(el, ["PowerHigh", "Power"]);
+  const duration = number(el, "Duration");
+  const cues = textEvents(el);
+  if (from === to) {
+    return withCues({ type: "steady", duration, target: withCadence({ ftp: from }, cadence) }, cues);
+  }
+  return withCues(
+    {
+      type: "ramp",
+      duration,
+      from: withCadence({ ftp: from }, cadence),
+      to: withCadence({ ftp: to }, cadence),
+    },
+    cues
+  );
+}
+
+// Cue offsets in an IntervalsT count from the start of the block; fold them into one on/off pair
+function intervals(el) {
+  const onDuration = number(el, "OnDuration");
+  const offDuration = number(el, "OffDuration");
+  const onCues = [];
+  const offCues = [];
+  for (const cue of textEvents(el)) {
+    const at = cue.at % (onDuration + offDuration);
+    if (at < onDuration) onCues.push({ ...cue, at });
+    else offCues.push({ ...cue, at: at - onDuration });
+  }
+  return {
+    type: "repeat",
+    count: Math.max(1, Math.round(number(el, "Repeat", { required: false }) ?? 1)),
+    steps: [
+      withCues(
+        {
+          type: "steady",
+          duration: onDuration,
+          target: withCadence({ ftp: number(el, "OnPower") }, number(el, "Cadence", { required: false })),
+        },
+        onCues
+      ),
+      withCues(
+        {
+          type: "steady",
+          duration: offDuration,
+          target: withCadence(
+            { ftp: number(el, "OffPower") },
+            number(el, "CadenceResting", { required: false })
+          ),
+        },
+        offCues
+      ),
+    ].filter((step) => step.duration > 0),
+  };
+}
+
+function freeRide(el) {
+  return withCues({ type: "free", duration: number(el, "Duration") }, textEvents(el));
+}
+
+function maxEffort(el) {
+  return withCues(
+    { type: "free", duration: number(el, "Duration"), cue: "Max effort - go all out!" },
+    textEvents(el)
+  );
+}
+
+const BLOCKS = {
+  steadystate: steady,
+  warmup: ramp,
+  cooldown: ramp,
+  ramp,
+  intervalst: intervals,
+  freeride: freeRide,
+  maxeffort: maxEffort,
+};
+
+/**
+ * Parse the text of a .zwo file into { name, description, steps }.
+ * Throws an Error (name "ZwoParseError") when the file isn't a usable workout.
+ */
+export function parseZwo(xmlText, { fallbackName = "Imported workout" } = {}) {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw zwoError("not well-formed XML");
+  }
+  const root = doc.documentElement;
+  if (root.tagName.toLowerCase() !== "workout_file") {
+    throw zwoError("expected a <workout_file> root element");
+  }
+
+  const child = (tag) =>
+    Array.from(root.children).find((el) => el.tagName.toLowerCase() === tag) || null;
+  const workoutEl = child("workout");
+  if (!workoutEl) throw zwoError("no <workout> element");
+
+  const steps = [];
+  for (const el of Array.from(workoutEl.children)) {
+    const convert = BLOCKS[el.tagName.toLowerCase()];
+    if (!convert) {
+      console.warn(`[WORKOUTS] Skipping unsupported .zwo block <${el.tagName}>`);
+      continue;
+    }
+    const step = convert(el);
+    if (step.type === "repeat" ? step.steps.length > 0 : step.duration > 0) {
+      steps.push(step);
+    }
+  }
+  if (steps.length === 0) throw zwoError("the workout has no blocks Zlow can ride");
+
+  return {
+    name: child("name")?.textContent.trim() || fallbackName,
+    description: child("description")?.textContent.trim() || "",
+    steps,
+  };
+}
@@ -0,0 +1,121 @@
+// FtpTestController.test.js: Unit tests for the 20-minute, 2x8-minute and critical power tests
+import { TwentyMinuteTestController } from '../src/js/workouts/TwentyMinuteTestController.js';
+import { EightMinuteTestController } from '../src/js/workouts/EightMinuteTestController.js';
+import {
+  CriticalPowerTestController,
+  criticalPowerFrom,
+} from '../src/js/workouts/CriticalPowerTestController.js';
+import { recordingHud, rideWorkout } from './workoutRide.js';
+
+// A test ridden one frame a second
+function makeTest(Controller, options = {}) {
+  const { hud, messages } = recordingHud();
+  const onComplete = jest.fn();
+  const controller = new Controller({ hud, ftp: 200, onComplete, ...options });
+  controller.update(0);
+  return { controller, messages, onComplete, ...rideWorkout(controller, { frameSeconds: 1 }) };
+}
+
+// All-out efforts at the given watts, everything else at 120 W
+const efforts = (watts) => (t, test) => watts[test.currentPhase?.effort] ?? 120;
+
+describe('FtpTestController phases', () => {
+  test('guides the warmup, blowout and recovery with FTP targets', () => {
+    const { controller, rideTo, messages } = makeTest(TwentyMinuteTestController);
+    expect(controller.currentPhase.name).toBe('Warmup');
+    expect(controller.getCurrentTargetWatts()).toBe(100); // 50% of 200 W
+    rideTo(300);
+    expect(controller.getCurrentTargetWatts()).toBe(125); // halfway up to 75%
+
+    rideTo(700);
+    expect(controller.currentPhase.name).toBe('Blowout');
+    expect(controller.getCurrentTargetWatts()).toBe(210);
+    rideTo(1000);
+    expect(controller.currentPhase.name).toBe('Recovery');
+    expect(controller.getCurrentTargetWatts()).toBe(100);
+    expect(messages()).toContain('Blowout - 5 minutes hard, just over threshold');
+  });
+
+  test('counts down to an effort and leaves the effort to the rider', () => {
+    const { controller, rideTo, messages } = makeTest(TwentyMinuteTestController);
+    rideTo(1497);
+    expect(messages()).toEqual(expect.arrayContaining(['20-minute test in 3…']));
+    rideTo(1501);
+    expect(controller.currentPhase.effort).toBe('test');
+    expect(controller.getCurrentTargetWatts()).toBeNull();
+  });
+
+  test('paused time does not count', () => {
+    const { controller, rideTo } = makeTest(TwentyMinuteTestController);
+    rideTo(100);
+    controller.pause();
+    controller.update(500 * 1000); // first frame after a long pause
+    expect(controller.elapsedSeconds).toBe(100);
+  });
+
+  test('finishes after the cooldown', () => {
+    const { controller, rideTo, messages } = makeTest(TwentyMinuteTestController);
+    rideTo(controller.totalSeconds + 1);
+    expect(controller.phase).toBe('finished');
+    expect(controller.getCurrentTargetWatts()).toBeNull();
+    expect(messages()).toContain('20-minute test done - well ridden!');
+  });
+});
+
+describe('TwentyMinuteTestController', () => {
+  test('estimates FTP as 95% of the 20-minute average', () => {
+    const { controller, rideTo, onComplete } = makeTest(TwentyMinuteTestController);
+    rideTo(2700, efforts({ test: 280 }));
+    expect(onComplete).toHaveBeenCalledWith({ reason: 'complete' });
+    const result = controller.computeFtpResult();
+    expect(result.ftp).toBeCloseTo(266, 0);
+    expect(result.detail).toBe('20-min average: 280 W');
+  });
+
+  test('has no result until the effort is ridden', () => {
+    const { controller, rideTo, onComplete } = makeTest(TwentyMinuteTestController);
+    rideTo(2000, efforts({ test: 280 }));
+    expect(controller.computeFtpResult()).toBeNull();
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+});
+
+describe('EightMinuteTestController', () => {
+  test('estimates FTP as 90% of the two efforts', () => {
+    const { controller, rideTo, onComplete } = makeTest(EightMinuteTestController);
+    rideTo(controller.totalSeconds, efforts({ first: 300, second: 280 }));
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const result = controller.computeFtpResult();
+    expect(result.ftp).toBeCloseTo(261, 0);
+    expect(result.detail).toBe('8-min efforts: 300 W and 280 W');
+  });
+
+  test('needs both efforts', () => {
+    const { controller, rideTo } = makeTest(EightMinuteTestController);
+    rideTo(1700, efforts({ first: 300, second: 280 })); // into the second recovery
+    expect(controller.computeFtpResult()).toBeNull();
+  });
+});
+
+describe('CriticalPowerTestController', () => {
+  test('fits CP and W\' from the work-time line', () => {
+    // 3 min at 350 W and 12 min at 280 W: CP = (280*720 - 350*180) / 540
+    const fit = criticalPowerFrom({ seconds: 180, avgPower: 350 }, { seconds: 720, avgPower: 280 });
+    expect(fit.cp).toBeCloseTo(256.67, 1);
+    expect(fit.wPrime).toBeCloseTo(16800, -1);
+  });
+
+  test('rejects efforts that were not all-out', () => {
+    expect(criticalPowerFrom({ seconds: 180, avgPower: 250 }, { seconds: 720, avgPower: 280 })).toBeNull();
+  });
+
+  test('estimates FTP as critical power', () => {
+    const { controller, rideTo, onComplete } = makeTest(CriticalPowerTestController);
+    rideTo(controller.totalSeconds, efforts({ short: 350, long: 280 }));
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const result = controller.computeFtpResult();
+    expect(result.ftp).toBeCloseTo(256.67, 0);
+    expect(result.wPrime).toBeCloseTo(16800, -2);
+    expect(result.detail).toBe("3-min 350 W, 12-min 280 W - W' 16.8 kJ");
+  });
+});
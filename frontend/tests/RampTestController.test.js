@@ -0,0 +1,143 @@
+// RampTestController.test.js: Unit tests for ramp test failure detection and the FTP result
+import { RampTestController } from '../src/js/workouts/RampTestController.js';
+import { WorkoutStorage } from '../src/js/workoutStorage.js';
+import { showFtpResultDialog } from '../src/js/workoutSummary.js';
+import { recordingHud, rideWorkout } from './workoutRide.js';
+
+// A ramp starting at 100 W in 20 W steps, ridden at 10 updates a second.
+// No showWarmupCountdown on the HUD, so the ramp starts straight away.
+function makeRamp(options = {}) {
+  const { hud } = recordingHud();
+  const onFailure = jest.fn();
+  const ramp = new RampTestController({ hud, nowMs: 0, onFailure, ...options });
+  return { ramp, onFailure, ...rideWorkout(ramp) };
+}
+
+// Holds each step's target
+const onTarget = (t, ramp) => ramp.getCurrentTargetWatts();
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('failure detection', () => {
+  test('ends when power stays well below the target', () => {
+    const { ramp, rideFor, onFailure } = makeRamp();
+    rideFor(180, onTarget, 90);
+    expect(ramp.phase).toBe('ramp');
+    expect(ramp.getCurrentTargetWatts()).toBe(160);
+
+    // 100 W is under 80% of 160 W; it takes 15 s to count as a failure
+    rideFor(14, 100, 90);
+    expect(ramp.phase).toBe('ramp');
+    rideFor(1.1, 100, 90);
+    expect(ramp.phase).toBe('cooldown');
+    expect(ramp.failureReason).toBe('power');
+    expect(onFailure).toHaveBeenCalledWith({ reason: 'power' });
+  });
+
+  test('a short dip below target is forgiven', () => {
+    const { ramp, rideFor } = makeRamp();
+    rideFor(100, onTarget);
+    rideFor(10, 50);
+    rideFor(5, onTarget);
+    rideFor(10, 50);
+    expect(ramp.phase).toBe('ramp');
+  });
+
+  test('ends when cadence collapses, unless there is no cadence source', () => {
+    const { ramp, rideFor } = makeRamp();
+    rideFor(60, onTarget, null);
+    rideFor(5.1, onTarget, 40);
+    expect(ramp.phase).toBe('cooldown');
+    expect(ramp.failureReason).toBe('cadence');
+
+    const other = makeRamp();
+    other.rideFor(120, onTarget, null);
+    expect(other.ramp.phase).toBe('ramp');
+  });
+
+  test('thresholds are configurable', () => {
+    const { ramp, rideFor } = makeRamp({ failureFraction: 0.5, failureSeconds: 5 });
+    rideFor(10, 60);
+    expect(ramp.phase).toBe('ramp');
+    rideFor(5.1, 40);
+    expect(ramp.phase).toBe('cooldown');
+  });
+
+  test('stopping mid-ramp ends the test once, without the failure callback', () => {
+    const { ramp, rideFor, onFailure } = makeRamp();
+    rideFor(30, onTarget);
+    ramp.fail('stopped');
+    ramp.fail('power');
+    expect(onFailure).not.toHaveBeenCalled();
+    expect(ramp.phase).toBe('cooldown');
+    expect(ramp.failureReason).toBe('stopped');
+  });
+
+  test('a sensor dropout holds the failure timers', () => {
+    const { ramp, rideFor, onFailure } = makeRamp();
+    rideFor(30, onTarget, 90);
+    // A lost power meter reads 0 W and a stale cadence sensor 0 rpm
+    rideFor(60, 0, 0, true);
+    expect(ramp.phase).toBe('ramp');
+
+    // The timers carry on from where they were once the sensors are back
+    rideFor(4, 0, 90);
+    rideFor(10, onTarget, 90, true);
+    rideFor(10, 0, 90);
+    expect(ramp.phase).toBe('ramp');
+    rideFor(1.1, 0, 90);
+    expect(ramp.phase).toBe('cooldown');
+    expect(onFailure).toHaveBeenCalledWith({ reason: 'power' });
+  });
+});
+
+describe('cooldown', () => {
+  test('holds the cooldown target and then finishes', () => {
+    const { ramp, rideFor } = makeRamp({ cooldownSeconds: 60, cooldownWatts: 90 });
+    rideFor(65, onTarget);
+    rideFor(16, 0);
+    expect(ramp.phase).toBe('cooldown');
+    expect(ramp.getCurrentTargetWatts()).toBe(90);
+    rideFor(61, 90);
+    expect(ramp.phase).toBe('finished');
+    expect(ramp.getCurrentTargetWatts()).toBeNull();
+  });
+
+  test('paused time does not advance the steps', () => {
+    const { ramp, rideFor, now } = makeRamp();
+    rideFor(30, onTarget);
+    ramp.pause(now());
+    ramp.update(now() + 120000, 0);
+    expect(ramp.currentStep).toBe(0);
+    expect(ramp.phase).toBe('ramp');
+  });
+});
+
+describe('FTP result', () => {
+  test('accepted results go into the FTP history', () => {
+    const storage = new WorkoutStorage();
+    expect(storage.getFtpHistory()).toEqual([]);
+    storage.addFtpResult({ ftp: 240, peakMinutePower: 320, date: '2026-03-01T00:00:00.000Z' });
+    expect(new WorkoutStorage().getFtpHistory()).toEqual([
+      { date: '2026-03-01T00:00:00.000Z', ftp: 240, peakMinutePower: 320, source: 'ramp' },
+    ]);
+  });
+
+  test('the dialog offers to accept or reject the FTP', () => {
+    const onAccept = jest.fn();
+    const onReject = jest.fn();
+    showFtpResultDialog({ ftp: 241.4, detail: 'Best 1-min power: 322 W', reason: 'power' }, onAccept, onReject);
+    expect(document.querySelector('.ftp-result-value').textContent).toContain('241 W');
+    document.getElementById('accept-ftp').click();
+    expect(onAccept).toHaveBeenCalled();
+    expect(onReject).not.toHaveBeenCalled();
+
+    showFtpResultDialog({ ftp: 200, detail: 'Best 1-min power: 266 W', reason: 'stopped' }, onAccept, onReject);
+    document.querySelectorAll('#reject-ftp')[1].click();
+    expect(onReject).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+// SprintIntervalController.test.js: Unit tests for the sprint interval workout
+import {
+  SprintIntervalController,
+  DEFAULT_SPRINT_SETTINGS,
+  loadSprintSettings,
+  saveSprintSettings,
+} from '../src/js/workouts/SprintIntervalController.js';
+import { WorkoutSummary } from '../src/js/workoutSummary.js';
+import { recordingHud, rideWorkout } from './workoutRide.js';
+
+// 10 s warmup, 3 x (5 s sprint + 20 s recovery), ridden 10 frames a second
+function makeController(options = {}) {
+  const { hud, messages } = recordingHud();
+  const controller = new SprintIntervalController({
+    hud,
+    warmupSeconds: 10,
+    sprintCount: 3,
+    sprintSeconds: 5,
+    recoverySeconds: 20,
+    countdownSeconds: 3,
+    ...options,
+  });
+  controller.update(0);
+  return { controller, messages, ...rideWorkout(controller) };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('SprintIntervalController', () => {
+  test('counts down to each sprint', () => {
+    const { rideTo, messages } = makeController();
+    rideTo(9.5);
+    expect(messages()).toEqual(['Sprint 1 of 3 in 3…', 'Sprint 1 of 3 in 2…', 'Sprint 1 of 3 in 1…']);
+    rideTo(10.1);
+    expect(messages().at(-1)).toBe('Sprint 1 of 3 - GO!');
+  });
+
+  test('moves through warmup, sprints and recoveries', () => {
+    const { controller, rideTo } = makeController({ recoveryWatts: 120 });
+    rideTo(5);
+    expect(controller.phase).toBe('warmup');
+    expect(controller.getCurrentTargetWatts()).toBe(120);
+    rideTo(12);
+    expect(controller.phase).toBe('sprint');
+    expect(controller.getCurrentTargetWatts()).toBeNull();
+    rideTo(20);
+    expect(controller.phase).toBe('recovery');
+    expect(controller.nextSprint).toBe(1);
+    rideTo(85.1);
+    expect(controller.phase).toBe('finished');
+  });
+
+  test('captures average and peak power of every sprint', () => {
+    const { controller, rideTo, messages } = makeController();
+    // Sprint n (starting at 10, 35, 60 s) holds 500 + 100n W with a 1200 W kick in its first second
+    const power = (t) => {
+      const tenths = Math.round(t * 10) - 100;
+      const since = tenths % 250;
+      const n = Math.floor(tenths / 250) + 1;
+      if (tenths <= 0 || since === 0 || since > 50) return 150;
+      return since <= 10 ? 1200 : 500 + 100 * n;
+    };
+    rideTo(90, power);
+    expect(controller.sprints.map((s) => s.number)).toEqual([1, 2, 3]);
+    expect(controller.sprints.map((s) => s.peakPower)).toEqual([1200, 1200, 1200]);
+    // Frames straddle the sprint edges, so allow a frame's worth of recovery power
+    [720, 800, 880].forEach((avg, i) => {
+      expect(Math.abs(controller.sprints[i].avgPower - avg)).toBeLessThanOrEqual(20);
+      expect(controller.sprints[i].seconds).toBe(5);
+    });
+    expect(messages().at(-1)).toBe('Sprint intervals complete - best peak 1200 W');
+  });
+
+  test('stopping mid-sprint keeps the partial sprint', () => {
+    const { controller, rideTo } = makeController();
+    rideTo(12, () => 900);
+    controller.markFinished();
+    expect(controller.sprints).toEqual([{ number: 1, seconds: 2, avgPower: 900, peakPower: 900 }]);
+  });
+
+  test('paused time does not count', () => {
+    const { controller, rideTo } = makeController();
+    rideTo(5);
+    controller.pause();
+    controller.update(100000);
+    expect(controller.elapsedSeconds).toBeCloseTo(5);
+  });
+});
+
+describe('sprint settings', () => {
+  test('default, persist and reject out of range values', () => {
+    expect(loadSprintSettings()).toEqual(DEFAULT_SPRINT_SETTINGS);
+    saveSprintSettings({ sprintCount: 8, sprintSeconds: 30 });
+    expect(loadSprintSettings()).toMatchObject({ sprintCount: 8, sprintSeconds: 30 });
+    expect(saveSprintSettings({ sprintCount: 0 }).sprintCount).toBe(8);
+  });
+});
+
+describe('workout summary', () => {
+  test('shows a table of every sprint', () => {
+    const summary = new WorkoutSummary({ workoutStorage: { getPersonalRecords: () => ({}) } });
+    const html = summary.generateSprintsHTML([
+      { number: 1, seconds: 20, avgPower: 700, peakPower: 950 },
+      { number: 2, seconds: 20, avgPower: 680, peakPower: 990 },
+    ]);
+    document.body.innerHTML = html;
+    const rows = document.querySelectorAll('.sprint-table tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[1].classList.contains('best-sprint')).toBe(true);
+    expect(rows[0].textContent).toContain('700 W');
+    expect(summary.generateSprintsHTML([])).toBe('');
+  });
+});
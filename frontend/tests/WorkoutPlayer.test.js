@@ -0,0 +1,181 @@
+// WorkoutPlayer.test.js: Unit tests for structured JSON workouts
+import {
+  WorkoutPlayer,
+  validateWorkout,
+  flattenWorkout,
+  resolveTarget,
+} from '../src/js/workouts/WorkoutPlayer.js';
+import { BUILT_IN_WORKOUTS } from '../src/js/workouts/builtInWorkouts.js';
+import { HUD } from '../src/js/hud.js';
+import { recordingHud } from './workoutRide.js';
+
+const workout = {
+  name: 'Test',
+  steps: [
+    { type: 'ramp', duration: 100, from: { ftp: 0.5 }, to: { ftp: 1.0 } },
+    {
+      type: 'repeat',
+      count: 2,
+      steps: [
+        { type: 'steady', duration: 60, target: { watts: 300, cadence: 95 }, cue: 'Go!' },
+        { type: 'steady', duration: 30, target: { heartRate: 130 } },
+      ],
+    },
+    { type: 'free', duration: 50, cues: [{ at: 10, text: 'Cool down' }] },
+  ],
+};
+
+function makePlayer(options = {}) {
+  const { hud, messages } = recordingHud();
+  const player = new WorkoutPlayer({ workout, hud, ftp: 200, ...options });
+  // Advance the workout clock to a number of seconds in
+  const at = (seconds) => player.update(1000 + seconds * 1000);
+  at(0);
+  return { player, at, messages };
+}
+
+describe('workout definitions', () => {
+  test('built-in workouts are valid', () => {
+    for (const definition of Object.values(BUILT_IN_WORKOUTS)) {
+      expect(() => validateWorkout(definition)).not.toThrow();
+    }
+  });
+
+  test('errors name the offending step', () => {
+    const bad = { name: 'Bad', steps: [{ type: 'repeat', count: 2, steps: [{ type: 'steady', duration: 60 }] }] };
+    expect(() => validateWorkout(bad)).toThrow('steps[0].steps[0].target');
+    expect(() => validateWorkout({ name: 'Bad', steps: [{ type: 'sprint', duration: 10 }] })).toThrow(
+      'steps[0].type'
+    );
+    expect(() =>
+      validateWorkout({ name: 'Bad', steps: [{ type: 'ramp', duration: 10, from: { ftp: 0.5 }, to: { watts: 200 } }] })
+    ).toThrow('steps[0].to');
+  });
+
+  test('repeats expand into a timeline', () => {
+    const timeline = flattenWorkout(workout);
+    expect(timeline.map((step) => step.start)).toEqual([0, 100, 160, 190, 250, 280]);
+    expect(timeline[3].repeat).toEqual({ index: 2, count: 2 });
+  });
+
+  test('targets resolve from watts or a fraction of FTP', () => {
+    expect(resolveTarget({ type: 'steady', target: { ftp: 0.9 } }, { ftp: 250 }).watts).toBe(225);
+    expect(resolveTarget({ type: 'steady', target: { watts: 180, cadence: 90 } }, { ftp: 250 })).toEqual({
+      watts: 180,
+      heartRate: null,
+      cadence: 90,
+    });
+    expect(resolveTarget({ type: 'free' }, { ftp: 250 }).watts).toBeNull();
+  });
+});
+
+describe('WorkoutPlayer', () => {
+  test('ramps interpolate between their targets', () => {
+    const { player, at } = makePlayer();
+    expect(player.getCurrentTargetWatts()).toBe(100);
+    at(50);
+    expect(player.getCurrentTargetWatts()).toBe(150);
+  });
+
+  test('steps without a power target give no target watts', () => {
+    const { player, at } = makePlayer();
+    at(130);
+    expect(player.getCurrentTarget()).toEqual({ watts: 300, heartRate: null, cadence: 95 });
+    at(170);
+    expect(player.getCurrentTargetWatts()).toBeNull();
+    expect(player.getCurrentTarget().heartRate).toBe(130);
+    at(290);
+    expect(player.currentStep.type).toBe('free');
+    expect(player.getCurrentTargetWatts()).toBeNull();
+  });
+
+  test('shows cues, step labels and a heads-up before each step', () => {
+    const { at, messages } = makePlayer();
+    expect(messages()).toEqual(['100 W']);
+    at(98);
+    expect(messages().at(-1)).toBe('Next: 300 W · 95 rpm (1/2) in 2s');
+    at(100);
+    expect(messages().at(-1)).toBe('Go!');
+    at(161);
+    expect(messages().at(-1)).toBe('130 bpm (1/2)');
+    at(251);
+    at(290);
+    expect(messages().slice(-2)).toEqual(['Free ride', 'Cool down']);
+  });
+
+  test('paused time does not count', () => {
+    const { player, at } = makePlayer();
+    at(10);
+    player.pause();
+    player.update(1000 + 500 * 1000);
+    expect(player.elapsedSeconds).toBeCloseTo(10);
+  });
+
+  test('finishes at the end of the last step', () => {
+    const onFinish = jest.fn();
+    const { player, at, messages } = makePlayer({ onFinish });
+    at(330);
+    expect(player.phase).toBe('finished');
+    expect(player.getCurrentTargetWatts()).toBeNull();
+    expect(messages().at(-1)).toBe('Test complete');
+    at(400);
+    expect(onFinish).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('heart rate and cadence targets on the HUD', () => {
+  test('colour the live values like power against its target', () => {
+    document.body.innerHTML = `
+      <span id="power"></span><span id="speed"></span><span id="distance"></span><span id="time"></span>
+      <div id="heart-rate-item" hidden>
+        <span id="heart-rate"></span><span id="heart-rate-target" hidden></span>
+      </div>
+      <div id="cadence-item" hidden>
+        <span id="cadence"></span><span id="cadence-target" hidden></span>
+      </div>`;
+    const hud = new HUD();
+    const { player, at } = makePlayer();
+    const el = (id) => document.getElementById(id);
+    const show = (readings) =>
+      hud.update(
+        {
+          power: 300,
+          speed: 30,
+          ...readings,
+          targetHeartRate: player.getCurrentTarget().heartRate,
+          targetCadence: player.getCurrentTarget().cadence,
+        },
+        0.1
+      );
+
+    // 300 W at 95 rpm
+    at(110);
+    show({ cadence: 93 });
+    expect(el('cadence-item').hidden).toBe(false);
+    expect(el('cadence').textContent).toBe('93');
+    expect(el('cadence-target').textContent).toBe('/ 95');
+    expect(el('cadence').classList.contains('on-target')).toBe(true);
+    show({ cadence: 80 });
+    expect(el('cadence').classList.contains('off-target')).toBe(true);
+    // No strap and no heart rate target
+    expect(el('heart-rate-item').hidden).toBe(true);
+
+    // 130 bpm: shown even before the strap sends anything
+    at(170);
+    show({ cadence: 80 });
+    expect(el('cadence-item').hidden).toBe(true);
+    expect(el('cadence').classList.contains('off-target')).toBe(false);
+    expect(el('heart-rate-item').hidden).toBe(false);
+    expect(el('heart-rate-target').textContent).toBe('/ 130');
+    show({ heartRate: 142 });
+    expect(el('heart-rate').classList.contains('off-target')).toBe(true);
+    show({ heartRate: 127 });
+    expect(el('heart-rate').classList.contains('on-target')).toBe(true);
+
+    // Free ride: no targets, plain values
+    at(290);
+    show({ heartRate: 127 });
+    expect(el('heart-rate-target').hidden).toBe(true);
+    expect(el('heart-rate').className).toBe('');
+  });
+});
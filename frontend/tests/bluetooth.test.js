@@ -1,5 +1,10 @@
 // bluetooth.test.js: Unit tests for TrainerBluetooth
-import { TrainerBluetooth } from '../js/bluetooth.js';
+import {
+  TrainerBluetooth,
+  parseIndoorBikeData,
+  parseCyclingPowerMeasurement,
+  RevolutionTracker,
+} from '../src/js/bluetooth.js';
 
 describe('TrainerBluetooth', () => {
   let trainer;
@@ -25,16 +30,134 @@ describe('TrainerBluetooth', () => {
     expect(result.power).toBe(123);
   });
 
-  test('handleCadence parses cadence and speed correctly', () => {
-    // Simulate DataView for cadence and speed
+  test('handleIndoorBikeData parses cadence and speed correctly', () => {
+    // Flags: speed present (bit 0 clear) + instantaneous cadence (bit 2)
     const buffer = new ArrayBuffer(6);
     const view = new DataView(buffer);
-    view.setUint16(2, 88, true); // cadence
-    view.setUint16(4, 2500, true); // speed (25.00 km/h)
+    view.setUint16(0, 0x0004, true);
+    view.setUint16(2, 2500, true); // speed (25.00 km/h)
+    view.setUint16(4, 176, true); // cadence (88 rpm at 0.5 resolution)
     let result;
     trainer.onData = (data) => { result = data; };
-    trainer.handleCadence({ target: { value: view } });
+    trainer.handleIndoorBikeData({ target: { value: view } });
     expect(result.cadence).toBe(88);
     expect(result.speed).toBe(25);
   });
 });
+
+describe('parseIndoorBikeData', () => {
+  test('walks every optional field in flag order', () => {
+    // speed, avg speed, cadence, avg cadence, distance, resistance, power,
+    // avg power, energy, heart rate, MET, elapsed time, remaining time
+    const flags = 0x1ffe;
+    const view = new DataView(new ArrayBuffer(2 + 2 + 2 + 2 + 2 + 3 + 2 + 2 + 2 + 5 + 1 + 1 + 2 + 2));
+    let o = 0;
+    view.setUint16(o, flags, true); o += 2;
+    view.setUint16(o, 3012, true); o += 2; // 30.12 km/h
+    view.setUint16(o, 2800, true); o += 2; // avg 28.00 km/h
+    view.setUint16(o, 181, true); o += 2; // 90.5 rpm
+    view.setUint16(o, 170, true); o += 2; // avg 85 rpm
+    view.setUint8(o, 0x40); view.setUint8(o + 1, 0xe2); view.setUint8(o + 2, 0x01); o += 3; // 123456 m
+    view.setInt16(o, 12, true); o += 2; // resistance
+    view.setInt16(o, 250, true); o += 2; // power
+    view.setInt16(o, 210, true); o += 2; // avg power
+    view.setUint16(o, 321, true); o += 5; // total energy
+    view.setUint8(o, 142); o += 1; // heart rate
+    o += 1; // MET
+    view.setUint16(o, 3600, true); o += 2; // elapsed
+    view.setUint16(o, 60, true); // remaining
+
+    expect(parseIndoorBikeData(view)).toEqual({
+      speed: 30.12,
+      averageSpeed: 28,
+      cadence: 90.5,
+      averageCadence: 85,
+      totalDistance: 123456,
+      resistanceLevel: 12,
+      power: 250,
+      averagePower: 210,
+      totalEnergy: 321,
+      heartRate: 142,
+      elapsedTime: 3600,
+      remainingTime: 60,
+    });
+  });
+
+  test('omits instantaneous speed when the More Data bit is set', () => {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setUint16(0, 0x0041, true); // more data + power
+    view.setInt16(2, 180, true);
+    expect(parseIndoorBikeData(view)).toEqual({ power: 180 });
+  });
+});
+
+describe('parseCyclingPowerMeasurement', () => {
+  test('decodes balance, torque, wheel and crank data and extremes', () => {
+    // balance + left reference, torque (crank), wheel, crank, extreme force, extreme torque
+    const flags = 0x0001 | 0x0002 | 0x0004 | 0x0008 | 0x0010 | 0x0020 | 0x0040 | 0x0080;
+    const view = new DataView(new ArrayBuffer(4 + 1 + 2 + 6 + 4 + 4 + 4));
+    let o = 0;
+    view.setUint16(o, flags, true); o += 2;
+    view.setInt16(o, 275, true); o += 2;
+    view.setUint8(o, 101); o += 1; // 50.5 %
+    view.setUint16(o, 640, true); o += 2; // 20 Nm
+    view.setUint32(o, 1000, true); view.setUint16(o + 4, 2048, true); o += 6;
+    view.setUint16(o, 50, true); view.setUint16(o + 2, 1024, true); o += 4;
+    view.setInt16(o, 400, true); view.setInt16(o + 2, -20, true); o += 4;
+    view.setInt16(o, 1600, true); view.setInt16(o + 2, -64, true);
+
+    expect(parseCyclingPowerMeasurement(view)).toEqual({
+      power: 275,
+      pedalBalance: 50.5,
+      pedalBalanceReference: 'left',
+      accumulatedTorque: 20,
+      accumulatedTorqueSource: 'crank',
+      wheelRevolutions: 1000,
+      lastWheelEventTime: 2048,
+      crankRevolutions: 50,
+      lastCrankEventTime: 1024,
+      maxForce: 400,
+      minForce: -20,
+      maxTorque: 50,
+      minTorque: -2,
+    });
+  });
+});
+
+describe('RevolutionTracker', () => {
+  test('computes rpm across a 16-bit rollover', () => {
+    const tracker = new RevolutionTracker();
+    expect(tracker.update(65535, 65000, 0)).toBeNull();
+    // 2 revolutions in 1024 ticks (1 s) after both counters wrap
+    expect(tracker.update(1, (65000 + 1024) % 65536, 1000)).toBeCloseTo(120);
+  });
+
+  test('drops to zero once events stop arriving', () => {
+    const tracker = new RevolutionTracker({ staleMs: 3000 });
+    tracker.update(10, 0, 0);
+    tracker.update(11, 1024, 1000);
+    expect(tracker.update(11, 1024, 2000)).toBeCloseTo(60);
+    expect(tracker.update(11, 1024, 5000)).toBe(0);
+  });
+});
+
+describe('TrainerBluetooth.handlePower', () => {
+  test('derives cadence from crank revolution deltas', () => {
+    const trainer = new TrainerBluetooth();
+    const results = [];
+    trainer.onData = (data) => results.push(data);
+    const send = (revs, time) => {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setUint16(0, 0x0020, true);
+      view.setInt16(2, 200, true);
+      view.setUint16(4, revs, true);
+      view.setUint16(6, time, true);
+      trainer.handlePower({ target: { value: view } });
+    };
+    send(100, 0);
+    send(101, 683); // one revolution in ~0.667 s
+    expect(results[0].cadence).toBeUndefined();
+    expect(results[1].cadence).toBeCloseTo(90, 0);
+    expect(results[1].power).toBe(200);
+  });
+});
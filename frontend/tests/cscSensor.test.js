@@ -0,0 +1,79 @@
+// cscSensor.test.js: Unit tests for the CSC parser, CscSensor and virtual power curves
+import { CscSensor, parseCscMeasurement } from '../src/js/cscSensor.js';
+import { TRAINER_POWER_CURVES, virtualPowerFromSpeed, parseCoefficients } from '../src/js/virtualPower.js';
+
+function cscPacket({ wheelRevolutions, wheelTime, crankRevolutions, crankTime }) {
+  const view = new DataView(new ArrayBuffer(11));
+  view.setUint8(0, 0x03);
+  view.setUint32(1, wheelRevolutions, true);
+  view.setUint16(5, wheelTime, true);
+  view.setUint16(7, crankRevolutions, true);
+  view.setUint16(9, crankTime, true);
+  return view;
+}
+
+describe('parseCscMeasurement', () => {
+  test('reads wheel and crank data', () => {
+    const view = cscPacket({ wheelRevolutions: 70000, wheelTime: 2048, crankRevolutions: 12, crankTime: 1024 });
+    expect(parseCscMeasurement(view)).toEqual({
+      wheelRevolutions: 70000,
+      lastWheelEventTime: 2048,
+      crankRevolutions: 12,
+      lastCrankEventTime: 1024,
+    });
+  });
+
+  test('reads crank-only packets', () => {
+    const view = new DataView(new Uint8Array([0x02, 5, 0, 0, 4]).buffer);
+    expect(parseCscMeasurement(view)).toEqual({ crankRevolutions: 5, lastCrankEventTime: 1024 });
+  });
+});
+
+describe('CscSensor', () => {
+  test('reports speed, cadence and virtual power', () => {
+    const curve = TRAINER_POWER_CURVES['kurt-kinetic-road-machine'];
+    const sensor = new CscSensor({ powerCurve: curve });
+    const received = [];
+    sensor.onData = (data) => received.push(data);
+
+    sensor.handleMeasurement({ target: { value: cscPacket({ wheelRevolutions: 0, wheelTime: 0, crankRevolutions: 0, crankTime: 0 }) } });
+    // 4 wheel revolutions and 1.5 crank revolutions in one second
+    sensor.handleMeasurement({ target: { value: cscPacket({ wheelRevolutions: 4, wheelTime: 1024, crankRevolutions: 1, crankTime: 683 }) } });
+
+    expect(received).toHaveLength(1);
+    const [data] = received;
+    expect(data.speed).toBeCloseTo(4 * 2.105 * 3.6, 3);
+    expect(data.cadence).toBeCloseTo(60 / (683 / 1024), 3);
+    expect(data.power).toBe(Math.round(virtualPowerFromSpeed(data.speed, curve)));
+  });
+
+  test('leaves power out without a curve', () => {
+    const sensor = new CscSensor();
+    const received = [];
+    sensor.onData = (data) => received.push(data);
+    sensor.handleMeasurement({ target: { value: cscPacket({ wheelRevolutions: 0, wheelTime: 0, crankRevolutions: 0, crankTime: 0 }) } });
+    sensor.handleMeasurement({ target: { value: cscPacket({ wheelRevolutions: 4, wheelTime: 1024, crankRevolutions: 1, crankTime: 1024 }) } });
+    expect(received[0].power).toBeUndefined();
+  });
+});
+
+describe('virtualPowerFromSpeed', () => {
+  test('evaluates mph curves', () => {
+    // Kurt Kinetic Road Machine at 20 mph: 5.24482 * 20 + 0.019168 * 20^3
+    const watts = virtualPowerFromSpeed(20 * 1.609, TRAINER_POWER_CURVES['kurt-kinetic-road-machine']);
+    expect(watts).toBeCloseTo(258.24, 1);
+  });
+
+  test('evaluates custom km/h polynomials and never goes negative', () => {
+    const curve = { speedUnit: 'km/h', coefficients: [-50, 5] };
+    expect(virtualPowerFromSpeed(30, curve)).toBe(100);
+    expect(virtualPowerFromSpeed(5, curve)).toBe(0);
+    expect(virtualPowerFromSpeed(0, curve)).toBe(0);
+  });
+
+  test('parses comma separated coefficients', () => {
+    expect(parseCoefficients('0, 3.5, 0, 0.01')).toEqual([0, 3.5, 0, 0.01]);
+    expect(parseCoefficients('1, abc')).toBeNull();
+    expect(parseCoefficients('')).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+// drafting.test.js: Unit tests for the draft model and its effect on the physics
+import {
+  DRAFT,
+  draftFactor,
+  relativePosition,
+  headingToward,
+  draftFromRiders,
+} from '../src/js/drafting.js';
+import { powerToSpeed, resistanceForces } from '../src/js/physics.js';
+import { constants } from '../src/js/constants.js';
+
+// A scene position from metres along the ground plane
+const atMetres = (x, z) => ({ x: x * constants.sceneUnitsPerMetre, z: z * constants.sceneUnitsPerMetre });
+
+// Watts needed to hold a speed on the flat with a given draft factor
+function wattsAt(kmh, factor) {
+  const v = constants.kmhToMs(kmh);
+  const { gravity, rolling, aero } = resistanceForces(v, { slope: 0, draftFactor: factor });
+  return v * (gravity + rolling + aero);
+}
+
+describe('draftFactor', () => {
+  test('saves 25-35% of the watts sitting on the wheel at race speed', () => {
+    const saving = 1 - wattsAt(40, draftFactor(0.3, 0)) / wattsAt(40, 1);
+    expect(saving).toBeGreaterThan(0.25);
+    expect(saving).toBeLessThan(0.35);
+  });
+
+  test('fades with the gap and vanishes far back', () => {
+    expect(draftFactor(1)).toBeLessThan(draftFactor(5));
+    expect(draftFactor(5)).toBeLessThan(draftFactor(10));
+    expect(draftFactor(DRAFT.maxGap + 1)).toBe(1);
+  });
+
+  test('gives nothing alongside or in front', () => {
+    expect(draftFactor(-0.5)).toBe(1);
+    expect(draftFactor(-5)).toBe(1);
+  });
+
+  test('fades with lateral offset', () => {
+    expect(draftFactor(1, 0.4)).toBe(draftFactor(1, 0));
+    expect(draftFactor(1, 0.9)).toBeGreaterThan(draftFactor(1, 0));
+    expect(draftFactor(1, -0.9)).toBe(draftFactor(1, 0.9));
+    expect(draftFactor(1, DRAFT.noneWidth)).toBe(1);
+  });
+});
+
+describe('relative position', () => {
+  test('measures the wheel gap along the heading and the offset across it', () => {
+    const heading = headingToward({ x: 0, z: 0 }, { x: 0, z: -100 });
+    const { gap, lateral } = relativePosition(atMetres(0, 0), atMetres(0.5, -3), heading);
+    expect(gap).toBeCloseTo(3 - DRAFT.bikeLength, 6);
+    expect(Math.abs(lateral)).toBeCloseTo(0.5, 6);
+  });
+
+  test('converts scene units to metres', () => {
+    const heading = { x: 0, z: -1 };
+    // 4.8 units is 2 m: a bike length plus a 0.2 m gap, not 3 m of gap
+    const { gap, lateral } = relativePosition({ x: 0, z: 0 }, { x: 1.2, z: -4.8 }, heading);
+    expect(constants.sceneUnitsPerMetre).toBeCloseTo(2.4, 6);
+    expect(gap).toBeCloseTo(2 - DRAFT.bikeLength, 6);
+    expect(Math.abs(lateral)).toBeCloseTo(0.5, 6);
+    expect(draftFromRiders({ x: 0, z: 0 }, heading, [{ x: 0, z: -4.8 }]).factor).toBe(
+      draftFactor(2 - DRAFT.bikeLength, 0)
+    );
+  });
+
+  test('falls back to the track direction without a target', () => {
+    expect(headingToward({ x: 0, z: 0 })).toEqual({ x: 0, z: -1 });
+    expect(headingToward({ x: 1, z: 1 }, { x: 1, z: 1 })).toEqual({ x: 0, z: -1 });
+  });
+
+  test('picks the best draft among several riders', () => {
+    const heading = { x: 0, z: -1 };
+    const rider = atMetres(0, 0);
+    const result = draftFromRiders(rider, heading, [atMetres(0, -10), atMetres(0.2, -2.5), null]);
+    expect(result.gap).toBeCloseTo(2.5 - DRAFT.bikeLength, 6);
+    expect(result.factor).toBeCloseTo(draftFactor(2.5 - DRAFT.bikeLength, 0.2), 12);
+    expect(draftFromRiders(rider, heading, [atMetres(0, 5)])).toEqual({ factor: 1, gap: null });
+  });
+});
+
+describe('drafting in the physics', () => {
+  afterEach(() => {
+    constants.draftFactor = 1;
+  });
+
+  test('makes the same power go faster', () => {
+    const clean = powerToSpeed({ power: 250, slope: 0 });
+    expect(powerToSpeed({ power: 250, slope: 0, draftFactor: 0.7 })).toBeGreaterThan(clean);
+  });
+
+  test('follows constants.draftFactor by default', () => {
+    constants.draftFactor = 0.7;
+    expect(powerToSpeed({ power: 250, slope: 0 })).toBeCloseTo(
+      powerToSpeed({ power: 250, slope: 0, draftFactor: 0.7 }),
+      6
+    );
+  });
+});
@@ -0,0 +1,159 @@
+// ergMode.test.js: Unit tests for ErgController against a fake FTMS control point
+import { ErgController } from '../src/js/ergMode.js';
+import { FTMS_CONTROL_POINT_UUID, FTMS_OP_CODES, FTMS_RESULT_CODES } from '../src/js/ftmsControlPoint.js';
+
+// Minimal stand-in for a BluetoothRemoteGATTCharacteristic that answers every write with an indication
+class FakeControlPoint extends EventTarget {
+  constructor({ resultFor = () => FTMS_RESULT_CODES.SUCCESS } = {}) {
+    super();
+    this.uuid = FTMS_CONTROL_POINT_UUID;
+    this.properties = { write: true, indicate: true };
+    this.value = null;
+    this.writes = [];
+    this.resultFor = resultFor;
+    this.startNotifications = jest.fn(async () => this);
+  }
+
+  async writeValueWithResponse(payload) {
+    const bytes = Array.from(payload);
+    this.writes.push(bytes);
+    const response = new Uint8Array([FTMS_OP_CODES.RESPONSE_CODE, bytes[0], this.resultFor(bytes[0])]);
+    setTimeout(() => {
+      this.value = new DataView(response.buffer);
+      this.dispatchEvent(new Event('characteristicvaluechanged'));
+    }, 0);
+  }
+}
+
+const makeTrainer = (controlPoint) => ({
+  characteristics: { [FTMS_CONTROL_POINT_UUID]: controlPoint },
+});
+
+describe('ErgController', () => {
+  test('requests control before writing the first target', async () => {
+    const cp = new FakeControlPoint();
+    const erg = new ErgController({ trainer: makeTrainer(cp) });
+    erg.update(150);
+    await erg.idle();
+
+    expect(cp.startNotifications).toHaveBeenCalled();
+    expect(cp.writes).toEqual([
+      [FTMS_OP_CODES.REQUEST_CONTROL],
+      [FTMS_OP_CODES.START_OR_RESUME],
+      [FTMS_OP_CODES.SET_TARGET_POWER, 150, 0],
+    ]);
+    expect(erg.sentWatts).toBe(150);
+  });
+
+  test('only writes when the target changes', async () => {
+    const cp = new FakeControlPoint();
+    const erg = new ErgController({ trainer: makeTrainer(cp) });
+    erg.update(300);
+    erg.update(300);
+    await erg.idle();
+    erg.update(320);
+    await erg.idle();
+
+    const targets = cp.writes.filter((w) => w[0] === FTMS_OP_CODES.SET_TARGET_POWER);
+    expect(targets).toEqual([
+      [FTMS_OP_CODES.SET_TARGET_POWER, 300 & 0xff, 300 >> 8],
+      [FTMS_OP_CODES.SET_TARGET_POWER, 320 & 0xff, 320 >> 8],
+    ]);
+  });
+
+  test('releases control on pause and takes it back afterwards', async () => {
+    const cp = new FakeControlPoint();
+    const erg = new ErgController({ trainer: makeTrainer(cp) });
+    erg.update(200);
+    await erg.idle();
+    await erg.pause();
+    expect(erg.hasControl).toBe(false);
+    expect(cp.writes.slice(-2)).toEqual([
+      [FTMS_OP_CODES.STOP_OR_PAUSE, 0x02],
+      [FTMS_OP_CODES.RESET],
+    ]);
+
+    erg.update(200);
+    await erg.idle();
+    expect(erg.hasControl).toBe(true);
+    expect(cp.writes.at(-1)).toEqual([FTMS_OP_CODES.SET_TARGET_POWER, 200, 0]);
+  });
+
+  test('surfaces result codes and keeps going when start is unsupported', async () => {
+    const cp = new FakeControlPoint({
+      resultFor: (op) =>
+        op === FTMS_OP_CODES.START_OR_RESUME ? FTMS_RESULT_CODES.OP_CODE_NOT_SUPPORTED
+          : op === FTMS_OP_CODES.SET_TARGET_POWER ? FTMS_RESULT_CODES.INVALID_PARAMETER
+            : FTMS_RESULT_CODES.SUCCESS,
+    });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const erg = new ErgController({ trainer: makeTrainer(cp) });
+    erg.update(5000);
+    await erg.idle();
+
+    expect(erg.hasControl).toBe(true);
+    expect(erg.sentWatts).toBeNull();
+    expect(erg.lastError.resultCode).toBe(FTMS_RESULT_CODES.INVALID_PARAMETER);
+    warn.mockRestore();
+  });
+
+  test('retries a failed write on a later frame, backing off', async () => {
+    let failures = 2;
+    const cp = new FakeControlPoint({
+      resultFor: (op) =>
+        op === FTMS_OP_CODES.SET_TARGET_POWER && failures-- > 0
+          ? FTMS_RESULT_CODES.CONTROL_NOT_PERMITTED
+          : FTMS_RESULT_CODES.SUCCESS,
+    });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let now = 0;
+    const erg = new ErgController({ trainer: makeTrainer(cp), now: () => now });
+    const targetWrites = () => cp.writes.filter((w) => w[0] === FTMS_OP_CODES.SET_TARGET_POWER).length;
+
+    erg.update(250);
+    await erg.idle();
+    expect(erg.sentWatts).toBeNull();
+    expect(targetWrites()).toBe(1);
+
+    // Not before the first retry is due after 1 s
+    now = 900;
+    erg.update(250);
+    await erg.idle();
+    expect(targetWrites()).toBe(1);
+
+    now = 1000;
+    erg.update(250);
+    await erg.idle();
+    expect(targetWrites()).toBe(2);
+    expect(erg.sentWatts).toBeNull();
+
+    // The second retry waits twice as long
+    now = 2500;
+    erg.update(250);
+    await erg.idle();
+    expect(targetWrites()).toBe(2);
+
+    now = 3000;
+    erg.update(250);
+    await erg.idle();
+    expect(targetWrites()).toBe(3);
+    expect(erg.sentWatts).toBe(250);
+    expect(erg.lastError).toBeNull();
+
+    // Sent: no more writes for the same target
+    now = 60000;
+    erg.update(250);
+    await erg.idle();
+    expect(targetWrites()).toBe(3);
+    warn.mockRestore();
+  });
+
+  test('reports a trainer without a control point', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const erg = new ErgController({ trainer: { characteristics: {} } });
+    erg.update(150);
+    await erg.idle();
+    expect(erg.lastError.message).toMatch(/control point/);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,96 @@
+// ergParser.test.js: Unit tests for importing ERG and MRC workout files
+import { parseErg } from '../src/js/workouts/ergParser.js';
+import { importWorkoutFile, findWorkout } from '../src/js/workouts/workoutLibrary.js';
+import { flattenWorkout } from '../src/js/workouts/WorkoutPlayer.js';
+
+const ERG = `[COURSE HEADER]
+VERSION = 2
+UNITS = ENGLISH
+DESCRIPTION = Threshold builder
+FILE NAME = Threshold 2x8
+MINUTES WATTS
+[END COURSE HEADER]
+[COURSE DATA]
+0.00	100
+5.00	200
+5.00	250
+13.00	250
+13.00	0
+15.00	0
+[END COURSE DATA]
+[COURSE TEXT]
+300	Threshold now	10
+790	Almost there	5
+[END COURSE TEXT]
+`;
+
+const MRC = `[COURSE HEADER]
+MINUTES PERCENT
+[END COURSE HEADER]
+[COURSE DATA]
+0	50
+10	50
+10	90
+20	90
+[END COURSE DATA]
+`;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('parseErg', () => {
+  test('turns watt rows into ramps, steady blocks and free ride', () => {
+    const workout = parseErg(ERG);
+    expect(workout.name).toBe('Threshold 2x8');
+    expect(workout.description).toBe('Threshold builder');
+    expect(workout.steps).toEqual([
+      { type: 'ramp', duration: 300, from: { watts: 100 }, to: { watts: 200 } },
+      {
+        type: 'steady',
+        duration: 480,
+        target: { watts: 250 },
+        cues: [{ at: 0, text: 'Threshold now' }],
+      },
+      { type: 'free', duration: 120, cues: [{ at: 10, text: 'Almost there' }] },
+    ]);
+  });
+
+  test('reads MRC percentages as a fraction of FTP', () => {
+    const workout = parseErg(MRC, { fallbackName: 'mrc' });
+    expect(workout.name).toBe('mrc');
+    expect(workout.steps.map((step) => step.target)).toEqual([{ ftp: 0.5 }, { ftp: 0.9 }]);
+    expect(flattenWorkout(workout).map((step) => step.start)).toEqual([0, 600]);
+  });
+
+  test('reports the line of a malformed or out of order row', () => {
+    const bad = MRC.replace('10\t90', '10\tninety');
+    expect(() => parseErg(bad)).toThrow('line 7');
+
+    const backwards = MRC.replace('20\t90', '8\t90');
+    expect(() => parseErg(backwards)).toThrow(/line 8: time 8 goes back before 10 on line 7/);
+
+    try {
+      parseErg(backwards);
+    } catch (err) {
+      expect(err.lineNumber).toBe(8);
+    }
+  });
+
+  test('rejects files without the sections or columns it needs', () => {
+    expect(() => parseErg('[COURSE DATA]\n0 100\n1 100\n[END COURSE DATA]')).toThrow('[COURSE HEADER]');
+    expect(() => parseErg(MRC.replace('MINUTES PERCENT', 'VERSION = 2'))).toThrow('MINUTES WATTS');
+    expect(() => parseErg(MRC.replace('[END COURSE DATA]', ''))).toThrow('never closed');
+  });
+});
+
+describe('importing', () => {
+  test('picks the parser from the file extension', () => {
+    const { id } = importWorkoutFile(MRC, { fileName: 'Sweet spot.mrc' });
+    expect(id).toBe('mrc-sweet-spot');
+    expect(findWorkout(id).steps).toHaveLength(2);
+
+    expect(importWorkoutFile(ERG, { fileName: 'x.erg' }).id).toBe('erg-threshold-2x8');
+    expect(() => importWorkoutFile(ERG, { fileName: 'plan.pdf' })).toThrow('.pdf');
+  });
+});
@@ -0,0 +1,135 @@
+// ghostRider.test.js: Unit tests for racing a past ride and storing its distance stream
+import {
+  GhostRider,
+  GHOST_BEST,
+  GHOST_OFF,
+  bestRideOver,
+  ghostFor,
+  loadGhostSettings,
+  saveGhostSettings,
+  timeToCover,
+} from '../src/js/ghostRider.js';
+import { WorkoutSession } from '../src/js/workoutSession.js';
+import { WorkoutStorage } from '../src/js/workoutStorage.js';
+
+// 10 m/s for 100 s, stopped for 20 s, then 5 m/s
+const STREAM = [
+  [0, 0],
+  [100, 1000],
+  [120, 1000],
+  [220, 1500],
+];
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('GhostRider', () => {
+  const ghost = new GhostRider(STREAM);
+
+  test('replays distance by ride time', () => {
+    expect(ghost.distanceAt(0)).toBe(0);
+    expect(ghost.distanceAt(50)).toBe(500);
+    expect(ghost.distanceAt(110)).toBe(1000);
+    expect(ghost.distanceAt(170)).toBe(1250);
+    // Waits at its finish
+    expect(ghost.distanceAt(500)).toBe(1500);
+  });
+
+  test('speed comes from the distance it covers', () => {
+    expect(ghost.speedAt(10)).toBeCloseTo(36);
+    expect(ghost.speedAt(110)).toBe(0);
+    expect(ghost.speedAt(300)).toBe(0);
+  });
+
+  test('time to cover a distance is when the ride first got there', () => {
+    expect(timeToCover(STREAM, 500)).toBe(50);
+    expect(timeToCover(STREAM, 1000)).toBe(100);
+    expect(timeToCover(STREAM, 1250)).toBe(170);
+    expect(timeToCover(STREAM, 2000)).toBeNull();
+  });
+
+  test('the time gap is positive ahead and negative behind', () => {
+    expect(ghost.gapSeconds(40, 500)).toBe(10); // got to 500 m 10 s sooner
+    expect(ghost.gapSeconds(60, 500)).toBe(-10);
+    expect(ghost.gapSeconds(300, 1600)).toBeNull(); // past the ghost's finish
+  });
+});
+
+describe('choosing a ghost', () => {
+  const rides = [
+    { id: 'workout_1', stream: [[0, 0], [100, 1000], [200, 2000]] },
+    { id: 'workout_2', stream: [[0, 0], [80, 1000]] },
+    { id: 'workout_3', stream: [[0, 0], [90, 1000], [170, 2000]] },
+  ];
+
+  test('the best ride is the fastest over the distance', () => {
+    expect(bestRideOver(rides, 1000).id).toBe('workout_2');
+    // workout_2 never got to 2 km
+    expect(bestRideOver(rides, 2000).id).toBe('workout_3');
+    expect(bestRideOver(rides, 5000)).toBeNull();
+  });
+
+  test('ghostFor follows the settings', () => {
+    const storage = { getRidesWithStreams: () => rides };
+    expect(ghostFor({ ride: GHOST_OFF, distanceKm: 1 }, storage)).toBeNull();
+    expect(ghostFor({ ride: GHOST_BEST, distanceKm: 2 }, storage).stream).toBe(rides[2].stream);
+    expect(ghostFor({ ride: 'workout_1', distanceKm: 2 }, storage).stream).toBe(rides[0].stream);
+    expect(ghostFor({ ride: 'workout_9', distanceKm: 2 }, storage)).toBeNull();
+  });
+
+  test('settings are saved with defaults for bad values', () => {
+    expect(loadGhostSettings()).toEqual({ ride: GHOST_OFF, distanceKm: 10 });
+    saveGhostSettings({ ride: GHOST_BEST });
+    saveGhostSettings({ distanceKm: 20 });
+    expect(loadGhostSettings()).toEqual({ ride: GHOST_BEST, distanceKm: 20 });
+    localStorage.setItem('GhostSettings', JSON.stringify({ ride: 'best', distanceKm: -3 }));
+    expect(loadGhostSettings().distanceKm).toBe(10);
+  });
+});
+
+describe('distance streams', () => {
+  test('the session records distance against ride time, through dropouts', () => {
+    const session = new WorkoutSession();
+    session.start();
+    for (let t = 0; t <= 10; t += 0.5) {
+      session.update({ speed: 36, power: 200, distance: t / 100, elapsed: t, dropout: t === 4 });
+    }
+    session.update({ speed: 36, power: 200, distance: 0.103, elapsed: 10.3 });
+    const { distanceStream } = session.end();
+    expect(distanceStream).toEqual([
+      [0, 0],
+      [2, 20],
+      [4, 40],
+      [6, 60],
+      [8, 80],
+      [10, 100],
+      [10.3, 103],
+    ]);
+  });
+
+  test('saved rides keep their stream apart from the stats', () => {
+    const storage = new WorkoutStorage();
+    storage.saveWorkout({ totalTime: 220, totalDistance: 1.5, distanceStream: STREAM });
+    const [workout] = storage.getWorkoutHistory();
+    expect(workout.stats.distanceStream).toBeUndefined();
+
+    const rides = new WorkoutStorage().getRidesWithStreams();
+    expect(rides).toHaveLength(1);
+    expect(rides[0].id).toBe(workout.id);
+    expect(rides[0].stream).toEqual(STREAM);
+
+    storage.deleteWorkout(workout.id);
+    expect(storage.getDistanceStream(workout.id)).toBeNull();
+  });
+
+  test('only the most recent streams are kept', () => {
+    const storage = new WorkoutStorage();
+    for (let i = 1; i <= 32; i++) storage.saveDistanceStream(`workout_${i}`, STREAM);
+    const ids = Object.keys(storage.loadStreams());
+    expect(ids).toHaveLength(30);
+    expect(ids).not.toContain('workout_1');
+    expect(ids).not.toContain('workout_2');
+    expect(ids).toContain('workout_32');
+  });
+});
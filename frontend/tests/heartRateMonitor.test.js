@@ -0,0 +1,41 @@
+// heartRateMonitor.test.js: Unit tests for the Heart Rate Measurement parser
+import { HeartRateMonitor, parseHeartRateMeasurement } from '../src/js/heartRateMonitor.js';
+
+describe('parseHeartRateMeasurement', () => {
+  test('reads an 8-bit heart rate', () => {
+    const view = new DataView(new Uint8Array([0x00, 72]).buffer);
+    expect(parseHeartRateMeasurement(view)).toEqual({ heartRate: 72 });
+  });
+
+  test('reads a 16-bit heart rate with contact, energy and RR intervals', () => {
+    // uint16 format, contact supported + detected, energy, RR intervals
+    const view = new DataView(new ArrayBuffer(1 + 2 + 2 + 4));
+    view.setUint8(0, 0x01 | 0x02 | 0x04 | 0x08 | 0x10);
+    view.setUint16(1, 301, true);
+    view.setUint16(3, 120, true);
+    view.setUint16(5, 1024, true); // 1000 ms
+    view.setUint16(7, 512, true); // 500 ms
+
+    expect(parseHeartRateMeasurement(view)).toEqual({
+      heartRate: 301,
+      sensorContact: true,
+      energyExpended: 120,
+      rrIntervals: [1000, 500],
+    });
+  });
+
+  test('reports lost skin contact', () => {
+    const view = new DataView(new Uint8Array([0x04, 0]).buffer);
+    expect(parseHeartRateMeasurement(view).sensorContact).toBe(false);
+  });
+});
+
+describe('HeartRateMonitor', () => {
+  test('passes parsed measurements to onData', () => {
+    const monitor = new HeartRateMonitor();
+    let result;
+    monitor.onData = (data) => { result = data; };
+    monitor.handleMeasurement({ target: { value: new DataView(new Uint8Array([0x00, 150]).buffer) } });
+    expect(result.heartRate).toBe(150);
+  });
+});
@@ -0,0 +1,89 @@
+// pacerModes.test.js: Unit tests for the pacer's speed and power modes
+import {
+  DEFAULT_PACER_SETTINGS,
+  PowerPacer,
+  loadPacerSettings,
+  pacerTargetWatts,
+  savePacerSettings,
+} from '../src/js/pacerModes.js';
+import { powerToSpeed } from '../src/js/physics.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+// Ride a pacer for a number of seconds in frames of dt
+function ride(pacer, seconds, options, dt = 0.05) {
+  for (let t = 0; t < seconds - 1e-9; t += dt) pacer.step(dt, options);
+  return pacer;
+}
+
+describe('pacer settings', () => {
+  test('default to speed mode', () => {
+    expect(loadPacerSettings()).toEqual(DEFAULT_PACER_SETTINGS);
+  });
+
+  test('keep a value per power mode', () => {
+    savePacerSettings({ mode: 'wkg', wkg: 3.5 });
+    savePacerSettings({ mode: 'ftp', ftp: 90 });
+    expect(loadPacerSettings()).toEqual({ mode: 'ftp', watts: 200, wkg: 3.5, ftp: 90 });
+  });
+
+  test('out of range values fall back to the stored setting', () => {
+    savePacerSettings({ watts: 250 });
+    expect(savePacerSettings({ watts: 5000, mode: 'tandem' })).toEqual({
+      ...DEFAULT_PACER_SETTINGS,
+      watts: 250,
+    });
+  });
+});
+
+describe('pacerTargetWatts', () => {
+  const profile = { weight: 70, ftp: 250 };
+
+  test('speed mode has no power', () => {
+    expect(pacerTargetWatts({ ...DEFAULT_PACER_SETTINGS, mode: 'speed' }, profile)).toBeNull();
+  });
+
+  test('watts, W/kg and %FTP', () => {
+    expect(pacerTargetWatts({ ...DEFAULT_PACER_SETTINGS, mode: 'watts', watts: 180 }, profile)).toBe(180);
+    expect(pacerTargetWatts({ ...DEFAULT_PACER_SETTINGS, mode: 'wkg', wkg: 3 }, profile)).toBe(210);
+    expect(pacerTargetWatts({ ...DEFAULT_PACER_SETTINGS, mode: 'ftp', ftp: 80 }, profile)).toBe(200);
+  });
+});
+
+describe('PowerPacer', () => {
+  const flat = { slope: 0, draftFactor: 1, windSpeed: 0 };
+
+  test('settles at the rider physics speed for its watts', () => {
+    const pacer = ride(new PowerPacer({ watts: 200 }), 120, flat);
+    expect(pacer.speed).toBeCloseTo(powerToSpeed({ power: 200, ...flat }), 1);
+  });
+
+  test('climbs slower than it rolls on the flat', () => {
+    const climb = { ...flat, slope: 0.08 };
+    const onFlat = ride(new PowerPacer({ watts: 200 }), 120, flat);
+    const onClimb = ride(new PowerPacer({ watts: 200 }), 120, climb);
+    expect(onClimb.speed).toBeLessThan(onFlat.speed / 2);
+    expect(onClimb.speed).toBeCloseTo(powerToSpeed({ power: 200, ...climb }), 1);
+  });
+
+  test('goes faster in a draft', () => {
+    const clean = ride(new PowerPacer({ watts: 200 }), 120, flat);
+    const drafting = ride(new PowerPacer({ watts: 200 }), 120, { ...flat, draftFactor: 0.7 });
+    expect(drafting.speed).toBeGreaterThan(clean.speed + 2);
+  });
+
+  test('distance follows its speed', () => {
+    const steady = powerToSpeed({ power: 200, ...flat });
+    const pacer = ride(new PowerPacer({ watts: 200, speed: steady }), 10, flat);
+    expect(pacer.distance).toBeCloseTo((steady / 3.6) * 10, 0);
+  });
+
+  test('sync puts it level with the rider', () => {
+    const pacer = ride(new PowerPacer({ watts: 300 }), 60, flat);
+    pacer.syncTo({ speed: 25, distance: 120 });
+    expect(pacer.speed).toBe(25);
+    expect(pacer.distance).toBe(120);
+  });
+});
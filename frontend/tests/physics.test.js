@@ -0,0 +1,110 @@
+// physics.test.js: Unit tests for the shared rider force model
+import {
+  powerToSpeed,
+  stepSpeed,
+  calculateAccelerationSpeed,
+  calculateCoastingSpeed,
+  effectiveMass,
+  resistanceForces,
+} from '../src/js/physics.js';
+import { constants } from '../src/js/constants.js';
+
+// Ride for a while at a fixed power and return the speed it settles at
+function settle(power, options, seconds = 600, startKmh = 0) {
+  let speed = startKmh;
+  for (let t = 0; t < seconds; t += 0.05) {
+    speed = calculateAccelerationSpeed(speed, power, 0.05, options);
+  }
+  return speed;
+}
+
+describe('powerToSpeed', () => {
+  afterEach(() => {
+    constants.slope = 0;
+  });
+
+  it('returns about 30 km/h for 200W on the flat', () => {
+    const speed = powerToSpeed({ power: 200, slope: 0 });
+    expect(speed).toBeGreaterThan(28);
+    expect(speed).toBeLessThan(34);
+  });
+
+  it('is slower uphill and faster downhill', () => {
+    const flat = powerToSpeed({ power: 200, slope: 0 });
+    expect(powerToSpeed({ power: 200, slope: 0.05 })).toBeLessThan(flat);
+    expect(powerToSpeed({ power: 200, slope: -0.05 })).toBeGreaterThan(flat);
+  });
+
+  it('uses constants.slope when no slope is given', () => {
+    constants.slope = 0.05;
+    expect(powerToSpeed({ power: 200 })).toBeCloseTo(powerToSpeed({ power: 200, slope: 0.05 }), 6);
+  });
+
+  it('gives 0 with no power on the flat and a terminal velocity on a descent', () => {
+    expect(powerToSpeed({ power: 0, slope: 0 })).toBeCloseTo(0, 3);
+    const terminal = powerToSpeed({ power: 0, slope: -0.06 });
+    // An upright 65 kg rider freewheeling down 6% tops out around 40 km/h
+    expect(terminal).toBeGreaterThan(35);
+    expect(terminal).toBeLessThan(50);
+  });
+
+  it('balances the forces at the speed it returns', () => {
+    const options = { slope: 0.03 };
+    const v = constants.kmhToMs(powerToSpeed({ power: 250, ...options }));
+    const { gravity, rolling, aero } = resistanceForces(v, options);
+    expect(v * (gravity + rolling + aero)).toBeCloseTo(250, 3);
+  });
+});
+
+describe('stepSpeed', () => {
+  it('converges to the steady-state speed on any gradient', () => {
+    for (const slope of [-0.04, 0, 0.04, 0.1]) {
+      const options = { slope };
+      expect(settle(200, options)).toBeCloseTo(powerToSpeed({ power: 200, ...options }), 1);
+    }
+  });
+
+  it('slows down when coasting on the flat and uphill', () => {
+    expect(calculateCoastingSpeed(30, 1, { slope: 0 })).toBeLessThan(30);
+    expect(calculateCoastingSpeed(30, 1, { slope: 0.05 })).toBeLessThan(
+      calculateCoastingSpeed(30, 1, { slope: 0 })
+    );
+  });
+
+  it('accelerates a coasting rider downhill up to the terminal velocity', () => {
+    const options = { slope: -0.06 };
+    const terminal = powerToSpeed({ power: 0, ...options });
+    let speed = 10;
+    for (let t = 0; t < 300; t += 0.1) {
+      const next = calculateCoastingSpeed(speed, 0.1, options);
+      expect(next).toBeGreaterThanOrEqual(speed);
+      speed = next;
+    }
+    expect(speed).toBeCloseTo(terminal, 1);
+  });
+
+  it('rolls away from a standstill only when the descent beats rolling resistance', () => {
+    expect(calculateCoastingSpeed(0, 1, { slope: -0.002 })).toBe(0);
+    expect(calculateCoastingSpeed(0, 1, { slope: -0.05 })).toBeGreaterThan(0);
+    expect(calculateCoastingSpeed(0, 1, { slope: 0.05 })).toBe(0);
+  });
+
+  it('never goes backwards on a steep climb', () => {
+    expect(calculateAccelerationSpeed(5, 50, 30, { slope: 0.2 })).toBeGreaterThanOrEqual(0);
+  });
+
+  it('gives the same result for one long step as for many short ones', () => {
+    let speed = 20;
+    for (let i = 0; i < 20; i++) speed = stepSpeed(speed, 300, 0.1, { slope: 0 });
+    expect(stepSpeed(20, 300, 2, { slope: 0 })).toBeCloseTo(speed, 6);
+  });
+
+  it('accelerates more slowly once wheel inertia is counted', () => {
+    expect(effectiveMass(65)).toBeGreaterThan(65);
+    const dv = constants.kmhToMs(stepSpeed(20, 400, 0.1, { slope: 0, mass: 65 })) - constants.kmhToMs(20);
+    const forces = resistanceForces(constants.kmhToMs(20), { slope: 0, mass: 65 });
+    const net = 400 / constants.kmhToMs(20) - forces.rolling - forces.aero;
+    expect(dv).toBeLessThan((net / 65) * 0.1);
+    expect(dv).toBeCloseTo((net / effectiveMass(65)) * 0.1, 3);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+// physicsEngine.test.js: Unit tests for the fixed-timestep engine, run without a DOM
+import { PhysicsEngine, PHYSICS_STEP_SECONDS } from '../src/js/physicsEngine.js';
+import { powerToSpeed } from '../src/js/physics.js';
+
+describe('PhysicsEngine', () => {
+  test('runs without window or document', () => {
+    expect(typeof window).toBe('undefined');
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 200, slope: 0 });
+    expect(engine.run(1).speed).toBeGreaterThan(0);
+  });
+
+  test('gives the same ride whatever the frame rate', () => {
+    const ride = (frameSeconds) => {
+      const engine = new PhysicsEngine();
+      engine.setInputs({ power: 250, slope: 0.02 });
+      for (let t = 0; t < 120; t += frameSeconds) engine.advance(frameSeconds);
+      return engine;
+    };
+    const smooth = ride(1 / 144);
+    const choppy = ride(0.25);
+    // Both have run the same number of whole steps, give or take the one still accumulating
+    expect(Math.abs(smooth.state.elapsed - choppy.state.elapsed)).toBeLessThanOrEqual(PHYSICS_STEP_SECONDS + 1e-9);
+    expect(choppy.state.speed).toBeCloseTo(smooth.state.speed, 2);
+    expect(choppy.state.distance).toBeCloseTo(smooth.state.distance, 3);
+  });
+
+  test('is deterministic step for step', () => {
+    const a = new PhysicsEngine();
+    const b = new PhysicsEngine();
+    for (const engine of [a, b]) {
+      engine.setInputs({ power: 300, slope: -0.01 });
+      engine.run(30);
+    }
+    expect(a.state).toEqual(b.state);
+  });
+
+  test('rides an hour in a handful of milliseconds', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 200, slope: 0 });
+    const started = Date.now();
+    const { speed, distance, elapsed } = engine.run(3600);
+    expect(Date.now() - started).toBeLessThan(1000);
+
+    expect(elapsed).toBeCloseTo(3600, 6);
+    expect(speed).toBeCloseTo(powerToSpeed({ power: 200, slope: 0 }), 2);
+    // Just under an hour at the steady-state speed, less the time spent getting up to it
+    expect(distance).toBeLessThan(speed);
+    expect(distance).toBeGreaterThan(speed * 0.97);
+  });
+
+  test('counts calories the same way as the HUD always has', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 200 });
+    expect(engine.run(60).calories).toBeCloseTo(12, 6); // 200 W * 60 s / 1000
+  });
+
+  test('interpolates between the last two steps', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 400, slope: 0 });
+    engine.run(5);
+    const view = engine.advance(PHYSICS_STEP_SECONDS * 1.5);
+    expect(engine.alpha).toBeCloseTo(0.5, 6);
+    expect(view.speed).toBeGreaterThan(engine.previous.speed);
+    expect(view.speed).toBeLessThan(engine.state.speed);
+  });
+
+  test('caps how much of a long frame it catches up on', () => {
+    const engine = new PhysicsEngine({ maxFrameSeconds: 1 });
+    engine.setInputs({ power: 200 });
+    engine.advance(600);
+    expect(engine.state.elapsed).toBeCloseTo(1, 6);
+  });
+
+  test('holds a directly set speed and takes over outside writes', () => {
+    const engine = new PhysicsEngine();
+    engine.sync({ speed: 25 });
+    engine.setInputs({ power: 0, heldSpeed: 25 });
+    engine.run(10);
+    expect(engine.state.speed).toBe(25);
+    expect(engine.state.distance).toBeCloseTo(25 * (10 / 3600), 6);
+
+    engine.setInputs({ heldSpeed: null });
+    engine.sync({ speed: 40, calories: 0 });
+    expect(engine.state.speed).toBe(40);
+    engine.run(1);
+    expect(engine.state.speed).toBeLessThan(40); // coasting from the new speed
+  });
+
+  test('sensor power coasts through a 0 W reading instead of stopping', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 250 });
+    engine.run(60);
+    const cruising = engine.state.speed;
+
+    // The loop only syncs calories when the speed isn't set directly
+    engine.sync({ speed: undefined, calories: engine.state.calories });
+    engine.setInputs({ power: 0 });
+    engine.run(1);
+    expect(engine.state.speed).toBeGreaterThan(cruising * 0.9);
+    expect(engine.state.speed).toBeLessThan(cruising);
+  });
+
+  test('reset starts a fresh ride', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 200 });
+    engine.run(10);
+    engine.reset();
+    expect(engine.state).toEqual({ speed: 0, distance: 0, calories: 0, elapsed: 0 });
+  });
+});
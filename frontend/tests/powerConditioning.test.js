@@ -0,0 +1,62 @@
+// powerConditioning.test.js: Unit tests for spike filtering, rolling averages and power match
+import { PowerConditioner, PowerMatcher, RollingAverage } from '../src/js/powerConditioning.js';
+
+describe('PowerConditioner', () => {
+  test('drops a single-packet glitch and impossible readings', () => {
+    const conditioner = new PowerConditioner({ maxWatts: 2500, spikeJumpWatts: 800 });
+    expect(conditioner.push(200, 0)).toBe(200);
+    expect(conditioner.push(2000, 1000)).toBeNull(); // glitch
+    expect(conditioner.push(210, 2000)).toBe(210);
+    expect(conditioner.push(4000, 3000)).toBeNull(); // over the maximum
+    expect(conditioner.push(-5, 4000)).toBeNull();
+    expect(conditioner.rejected).toBe(3);
+  });
+
+  test('accepts a sprint once a second reading confirms it', () => {
+    const conditioner = new PowerConditioner({ spikeJumpWatts: 800 });
+    conditioner.push(150, 0);
+    expect(conditioner.push(1100, 1000)).toBeNull();
+    expect(conditioner.push(1150, 2000)).toBe(1150);
+    expect(conditioner.push(1200, 3000)).toBe(1200);
+  });
+
+  test('keeps 3s and 10s rolling averages', () => {
+    const conditioner = new PowerConditioner({ windows: [3, 10] });
+    [100, 100, 100, 100, 100, 100, 100, 300, 300, 300, 300].forEach((w, i) => conditioner.push(w, i * 1000));
+    expect(conditioner.average(0)).toBe(300);
+    expect(conditioner.average(3)).toBe(300); // 8 s .. 10 s
+    expect(conditioner.average(10)).toBeCloseTo((6 * 100 + 4 * 300) / 10, 5); // 0 s is outside
+  });
+});
+
+describe('RollingAverage', () => {
+  test('always keeps the newest reading', () => {
+    const average = new RollingAverage(3);
+    average.push(100, 0);
+    average.push(200, 60000);
+    expect(average.value).toBe(200);
+  });
+});
+
+describe('PowerMatcher', () => {
+  test('pulls trainer power towards the power meter over time', () => {
+    const matcher = new PowerMatcher({ rate: 0.1 });
+    for (let i = 0; i < 100; i++) {
+      matcher.observeTrainer(220, i * 1000);
+      matcher.observeMeter(200, i * 1000 + 100);
+    }
+    expect(matcher.correct(220)).toBeCloseTo(200, 0);
+  });
+
+  test('ignores coasting and caps the correction', () => {
+    const matcher = new PowerMatcher({ rate: 1, maxCorrection: 0.2 });
+    matcher.observeTrainer(20, 0);
+    matcher.observeMeter(10, 0);
+    expect(matcher.factor).toBe(1);
+
+    matcher.reset();
+    matcher.observeTrainer(100, 0);
+    matcher.observeMeter(300, 0);
+    expect(matcher.factor).toBeCloseTo(1.2, 5);
+  });
+});
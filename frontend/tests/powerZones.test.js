@@ -0,0 +1,88 @@
+// powerZones.test.js: Unit tests for FTP-based power zones and the HUD zone badge
+import {
+  COGGAN_MODEL_ID,
+  CUSTOM_MODEL_ID,
+  loadZoneModel,
+  saveZoneModel,
+  parseZoneBounds,
+  zonesFor,
+  zoneForPower,
+  zoneWatts,
+} from '../src/js/powerZones.js';
+import { HUD } from '../src/js/hud.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('zone models', () => {
+  test('Coggan has 7 zones by default', () => {
+    expect(loadZoneModel()).toEqual({ id: COGGAN_MODEL_ID });
+    const zones = zonesFor();
+    expect(zones).toHaveLength(7);
+    expect(zones.map((z) => z.number)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(zones[3].name).toBe('Threshold');
+  });
+
+  test('custom bounds are parsed as increasing percentages', () => {
+    expect(parseZoneBounds('60, 80 100')).toEqual([0.6, 0.8, 1]);
+    expect(parseZoneBounds('80, 60')).toBeNull();
+    expect(parseZoneBounds('60, abc')).toBeNull();
+    expect(parseZoneBounds('')).toBeNull();
+  });
+
+  test('a saved custom model gives one more zone than bounds', () => {
+    saveZoneModel({ id: CUSTOM_MODEL_ID, bounds: [0.6, 0.8, 1] });
+    expect(loadZoneModel()).toEqual({ id: CUSTOM_MODEL_ID, bounds: [0.6, 0.8, 1] });
+    expect(zonesFor().map((z) => z.name)).toEqual(['Zone 1', 'Zone 2', 'Zone 3', 'Zone 4']);
+
+    localStorage.setItem('PowerZoneModel', JSON.stringify({ id: CUSTOM_MODEL_ID, bounds: [1, 0.5] }));
+    expect(loadZoneModel().id).toBe(COGGAN_MODEL_ID);
+  });
+});
+
+describe('zoneForPower', () => {
+  test('places power in the zone whose top it does not exceed', () => {
+    const zones = zonesFor();
+    expect(zoneForPower(0, 200, zones).number).toBe(1);
+    expect(zoneForPower(110, 200, zones).number).toBe(1);
+    expect(zoneForPower(111, 200, zones).number).toBe(2);
+    expect(zoneForPower(200, 200, zones).number).toBe(4);
+    expect(zoneForPower(1500, 200, zones).number).toBe(7);
+  });
+
+  test('needs a power and an FTP', () => {
+    expect(zoneForPower(undefined, 200)).toBeNull();
+    expect(zoneForPower(150, 0)).toBeNull();
+  });
+
+  test('gives the watt range of a zone', () => {
+    const zones = zonesFor();
+    expect(zoneWatts(zones[2], 300, zones)).toEqual({ low: 225, high: 270 });
+    expect(zoneWatts(zones[6], 300, zones)).toEqual({ low: 450, high: null });
+  });
+});
+
+describe('HUD zone badge', () => {
+  test('shows the current zone in its colour and hides without an FTP', () => {
+    document.body.innerHTML = `
+      <span id="power"></span><span id="power-zone" hidden></span>
+      <span id="speed"></span><span id="distance"></span><span id="time"></span>`;
+    const hud = new HUD();
+    const badge = document.getElementById('power-zone');
+
+    hud.update({ power: 150, speed: 30 }, 0.1);
+    expect(badge.hidden).toBe(true);
+
+    hud.setPowerZones({ ftp: 250, zones: zonesFor() });
+    hud.update({ power: 240, speed: 30 }, 0.1);
+    expect(badge.hidden).toBe(false);
+    expect(badge.textContent).toBe('Z4');
+    expect(badge.title).toBe('Threshold: 225-263 W');
+    expect(badge.style.backgroundColor).not.toBe('');
+
+    // The smoothed power decides the zone when there is one
+    hud.update({ power: 600, displayPower: 100, speed: 30 }, 0.1);
+    expect(badge.textContent).toBe('Z1');
+  });
+});
@@ -0,0 +1,145 @@
+// profiles.test.js: Unit tests for rider and bike equipment profiles
+import {
+  BIKE_PROFILES,
+  DEFAULT_FTP,
+  RIDER_POSITIONS,
+  applyEquipment,
+  createRiderProfile,
+  defaultRiderProfile,
+  equipmentCoefficients,
+  frontalArea,
+  isValidFtp,
+  loadBikeProfileId,
+  loadRiderProfiles,
+  loadSelectedRiderProfile,
+  recordFtp,
+  saveBikeProfileId,
+  saveRiderProfile,
+  saveSelectedRiderProfileId,
+} from '../src/js/profiles.js';
+import { constants } from '../src/js/constants.js';
+import { powerToSpeed } from '../src/js/physics.js';
+
+const defaults = {
+  riderMass: constants.riderMass,
+  bikeMass: constants.bikeMass,
+  cda: constants.cda,
+  crr: constants.crr,
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  Object.assign(constants, defaults);
+});
+
+describe('rider profiles', () => {
+  test('start with one default rider', () => {
+    expect(loadRiderProfiles()).toEqual([defaultRiderProfile()]);
+    expect(loadSelectedRiderProfile()).toEqual(defaultRiderProfile());
+  });
+
+  test('persist and select a saved profile', () => {
+    const second = saveRiderProfile({ ...createRiderProfile(), name: 'Sam', weight: 82 });
+    expect(second.id).toBe('rider-2');
+    expect(loadRiderProfiles()).toHaveLength(2);
+    expect(loadSelectedRiderProfile()).toMatchObject({ name: 'Sam', weight: 82 });
+
+    saveSelectedRiderProfileId('rider-1');
+    expect(loadSelectedRiderProfile().name).toBe('Rider 1');
+  });
+
+  test('replace out of range or corrupt values with defaults', () => {
+    saveRiderProfile({ id: 'rider-1', name: 'X', weight: -5, height: 9, position: 'superman' });
+    expect(loadSelectedRiderProfile()).toMatchObject({ weight: 70, height: 1.75, position: 'hoods' });
+
+    localStorage.setItem('RiderProfiles', '{not json');
+    expect(loadRiderProfiles()).toEqual([defaultRiderProfile()]);
+  });
+});
+
+describe('bike profiles', () => {
+  test('default to the road bike and remember the choice', () => {
+    expect(loadBikeProfileId()).toBe('road');
+    saveBikeProfileId('mtb');
+    expect(loadBikeProfileId()).toBe('mtb');
+    saveBikeProfileId('unicycle');
+    expect(loadBikeProfileId()).toBe('road');
+  });
+});
+
+describe('equipment coefficients', () => {
+  test('frontal area grows with size', () => {
+    expect(frontalArea(1.75, 70)).toBeGreaterThan(0.3);
+    expect(frontalArea(1.75, 70)).toBeLessThan(0.36);
+    expect(frontalArea(1.9, 90)).toBeGreaterThan(frontalArea(1.6, 55));
+  });
+
+  test('give a typical CdA for a rider on the hoods of a road bike', () => {
+    const { cda, crr, riderMass, bikeMass } = equipmentCoefficients(defaultRiderProfile(), BIKE_PROFILES.road);
+    expect(cda).toBeGreaterThan(0.3);
+    expect(cda).toBeLessThan(0.36);
+    expect(crr).toBe(BIKE_PROFILES.road.crr);
+    expect(riderMass + bikeMass).toBe(78);
+  });
+
+  test('a lower position and a TT bike are more aero', () => {
+    const rider = defaultRiderProfile();
+    const positions = Object.keys(RIDER_POSITIONS).map(
+      (position) => equipmentCoefficients({ ...rider, position }, BIKE_PROFILES.road).cda
+    );
+    expect([...positions].sort((a, b) => b - a)).toEqual(positions);
+    expect(equipmentCoefficients(rider, BIKE_PROFILES.tt).cda).toBeLessThan(
+      equipmentCoefficients(rider, BIKE_PROFILES.road).cda
+    );
+  });
+
+  test('applying them changes the physics', () => {
+    saveRiderProfile({ ...defaultRiderProfile(), position: 'aero' });
+    saveBikeProfileId('tt');
+    applyEquipment();
+    const tt = powerToSpeed({ power: 250, slope: 0 });
+
+    saveBikeProfileId('mtb');
+    saveRiderProfile({ ...defaultRiderProfile(), position: 'upright' });
+    applyEquipment();
+    expect(constants.crr).toBe(BIKE_PROFILES.mtb.crr);
+    expect(constants.mass).toBe(70 + BIKE_PROFILES.mtb.mass);
+    expect(powerToSpeed({ power: 250, slope: 0 })).toBeLessThan(tt);
+  });
+});
+
+describe('FTP', () => {
+  test('defaults to 200 W with an empty test history', () => {
+    expect(loadSelectedRiderProfile()).toMatchObject({ ftp: DEFAULT_FTP, ftpHistory: [] });
+  });
+
+  test('rejects an FTP out of range and keeps the previous one', () => {
+    recordFtp(240, { date: '2026-01-05T10:00:00.000Z' });
+    expect(() => recordFtp(45, { source: 'ramp' })).toThrow(RangeError);
+    expect(() => recordFtp(900)).toThrow(RangeError);
+    expect(() => recordFtp(NaN)).toThrow(RangeError);
+    expect(loadSelectedRiderProfile()).toMatchObject({
+      ftp: 240,
+      ftpHistory: [{ date: '2026-01-05T10:00:00.000Z', ftp: 240, source: 'manual' }],
+    });
+    expect(isValidFtp(49.6)).toBe(true);
+    expect(isValidFtp(49.4)).toBe(false);
+  });
+
+  test('records tests on the selected rider', () => {
+    saveRiderProfile({ ...createRiderProfile(), name: 'Sam' });
+    recordFtp(241.6, { source: 'ramp', date: '2026-01-05T10:00:00.000Z' });
+    recordFtp(250, { date: '2026-02-01T10:00:00.000Z' });
+
+    const sam = loadSelectedRiderProfile();
+    expect(sam.ftp).toBe(250);
+    expect(sam.ftpHistory).toEqual([
+      { date: '2026-01-05T10:00:00.000Z', ftp: 242, source: 'ramp' },
+      { date: '2026-02-01T10:00:00.000Z', ftp: 250, source: 'manual' },
+    ]);
+    expect(loadRiderProfiles().find((p) => p.id === 'rider-1').ftpHistory).toEqual([]);
+  });
+});
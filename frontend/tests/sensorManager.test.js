@@ -0,0 +1,190 @@
+// sensorManager.test.js: Unit tests for SensorManager
+import { SensorManager, SENSOR_ROLES, CONNECTION_STATES } from '../src/js/sensorManager.js';
+
+class FakeDevice extends EventTarget {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.name = `Fake ${id}`;
+  }
+}
+
+class FakeSensor {
+  constructor(id) {
+    this.device = null;
+    this.onData = null;
+    this.id = id;
+    this.connect = jest.fn(async ({ device } = {}) => {
+      if (FakeSensor.failNext > 0) {
+        FakeSensor.failNext--;
+        return false;
+      }
+      this.device = device || new FakeDevice(this.id);
+      return true;
+    });
+  }
+}
+FakeSensor.failNext = 0;
+
+function makeManager(storage = new Map(), options = {}) {
+  const store = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, value),
+  };
+  const created = [];
+  const manager = new SensorManager({
+    ...options,
+    storage: store,
+    createSensor: (role) => {
+      const sensor = new FakeSensor(`${role}-id`);
+      created.push(sensor);
+      return sensor;
+    },
+  });
+  return { manager, created, storage };
+}
+
+describe('SensorManager', () => {
+  afterEach(() => {
+    delete navigator.bluetooth;
+  });
+
+  test('routes each metric from its best connected source', async () => {
+    const { manager } = makeManager();
+    const received = [];
+    manager.onData = (data) => received.push(data);
+
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    await manager.connect(SENSOR_ROLES.POWER_METER);
+
+    manager.sensors.trainer.onData({ power: 180, speed: 30, cadence: 88 });
+    manager.sensors.powerMeter.onData({ power: 200, cadence: 90, pedalBalance: 51 });
+
+    expect(received).toEqual([
+      { speed: 30 },
+      { power: 200, cadence: 90, pedalBalance: 51 },
+    ]);
+  });
+
+  test('honours and persists the preferred source', async () => {
+    const { manager, storage } = makeManager();
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    await manager.connect(SENSOR_ROLES.POWER_METER);
+
+    manager.setPreferredSource('power', SENSOR_ROLES.TRAINER);
+    expect(manager.sourceFor('power')).toBe(SENSOR_ROLES.TRAINER);
+    expect(makeManager(storage).manager.preferredSources.power).toBe(SENSOR_ROLES.TRAINER);
+  });
+
+  test('falls back when the preferred source is not connected', async () => {
+    const { manager } = makeManager();
+    manager.setPreferredSource('heartRate', SENSOR_ROLES.HEART_RATE);
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    expect(manager.sourceFor('heartRate')).toBe(SENSOR_ROLES.TRAINER);
+  });
+
+  test('reconnects remembered devices without the chooser', async () => {
+    const { manager, storage } = makeManager();
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    await manager.connect(SENSOR_ROLES.HEART_RATE);
+
+    const trainerDevice = { id: 'trainer-id', name: 'Trainer' };
+    navigator.bluetooth = { getDevices: jest.fn(async () => [trainerDevice]) };
+
+    const next = makeManager(storage);
+    const onConnect = jest.fn();
+    next.manager.onConnect = onConnect;
+    const roles = await next.manager.reconnectRemembered();
+
+    expect(roles).toEqual([SENSOR_ROLES.TRAINER]);
+    expect(next.created[0].connect).toHaveBeenCalledWith({ device: trainerDevice });
+    expect(next.manager.trainer).toBe(next.created[0]);
+    expect(onConnect).toHaveBeenCalledWith(SENSOR_ROLES.TRAINER, next.created[0]);
+  });
+
+  test('does nothing when getDevices is unavailable', async () => {
+    const { manager, storage } = makeManager();
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    await expect(makeManager(storage).manager.reconnectRemembered()).resolves.toEqual([]);
+  });
+
+  test('reconnects with backoff after the link drops', async () => {
+    jest.useFakeTimers();
+    try {
+      const { manager, created } = makeManager(new Map(), { reconnectDelayMs: 1000 });
+      const states = [];
+      manager.onConnectionChange = (role, state) => states.push(state);
+      await manager.connect(SENSOR_ROLES.TRAINER);
+      const device = manager.trainer.device;
+
+      FakeSensor.failNext = 1;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+      expect(manager.connectionState(SENSOR_ROLES.TRAINER)).toBe(CONNECTION_STATES.RECONNECTING);
+      expect(manager.trainer).toBeNull();
+
+      await jest.advanceTimersByTimeAsync(1000); // first attempt fails
+      expect(manager.overallState).toBe(CONNECTION_STATES.RECONNECTING);
+      await jest.advanceTimersByTimeAsync(1999); // backoff doubled
+      expect(created).toHaveLength(2);
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(created).toHaveLength(3);
+      expect(created[2].connect).toHaveBeenCalledWith({ device });
+      expect(manager.trainer).toBe(created[2]);
+      expect(states).toEqual([
+        CONNECTION_STATES.CONNECTED,
+        CONNECTION_STATES.RECONNECTING,
+        CONNECTION_STATES.CONNECTED,
+      ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('shows as disconnected once it gives up reconnecting', async () => {
+    jest.useFakeTimers();
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { manager } = makeManager(new Map(), {
+        reconnectDelayMs: 1000,
+        maxReconnectAttempts: 2,
+      });
+      const states = [];
+      manager.onConnectionChange = (role, state) => states.push(state);
+      await manager.connect(SENSOR_ROLES.HEART_RATE);
+      await manager.connect(SENSOR_ROLES.TRAINER);
+
+      FakeSensor.failNext = 2;
+      manager.trainer.device.dispatchEvent(new Event('gattserverdisconnected'));
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(manager.overallState).toBe(CONNECTION_STATES.RECONNECTING);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      // The strap is still there, but the trainer is gone for good
+      expect(manager.connectionState(SENSOR_ROLES.TRAINER)).toBe(CONNECTION_STATES.DISCONNECTED);
+      expect(manager.overallState).toBe(CONNECTION_STATES.DISCONNECTED);
+      expect(states.at(-1)).toBe(CONNECTION_STATES.DISCONNECTED);
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(manager.trainer).toBeNull();
+
+      await manager.connect(SENSOR_ROLES.TRAINER);
+      expect(manager.overallState).toBe(CONNECTION_STATES.CONNECTED);
+    } finally {
+      warn.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+
+  test('flags metrics as stale once their source goes quiet', async () => {
+    let nowMs = 0;
+    const { manager } = makeManager(new Map(), { staleTimeoutMs: 3000, now: () => nowMs });
+    expect(manager.isStale('power')).toBe(false); // never received
+
+    await manager.connect(SENSOR_ROLES.TRAINER);
+    manager.trainer.onData({ power: 150 });
+    nowMs = 3000;
+    expect(manager.isStale('power')).toBe(false);
+    nowMs = 3001;
+    expect(manager.isStale('power')).toBe(true);
+  });
+});
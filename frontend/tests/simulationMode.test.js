@@ -0,0 +1,74 @@
+// simulationMode.test.js: Unit tests for SimulationController
+import { SimulationController } from '../src/js/simulationMode.js';
+import { FTMS_CONTROL_POINT_UUID, FTMS_OP_CODES, FTMS_RESULT_CODES } from '../src/js/ftmsControlPoint.js';
+
+class FakeControlPoint extends EventTarget {
+  constructor() {
+    super();
+    this.uuid = FTMS_CONTROL_POINT_UUID;
+    this.value = null;
+    this.writes = [];
+    this.startNotifications = jest.fn(async () => this);
+  }
+
+  async writeValueWithResponse(payload) {
+    const bytes = Array.from(payload);
+    this.writes.push(bytes);
+    const response = new Uint8Array([FTMS_OP_CODES.RESPONSE_CODE, bytes[0], FTMS_RESULT_CODES.SUCCESS]);
+    setTimeout(() => {
+      this.value = new DataView(response.buffer);
+      this.dispatchEvent(new Event('characteristicvaluechanged'));
+    }, 0);
+  }
+
+  simulationWrites() {
+    return this.writes.filter((w) => w[0] === FTMS_OP_CODES.SET_INDOOR_BIKE_SIMULATION);
+  }
+}
+
+const road = { slope: 0.06, windSpeed: 2, crr: 0.004, cw: 0.51 };
+
+describe('SimulationController', () => {
+  test('encodes grade scaled by difficulty, wind, Crr and CW', async () => {
+    const cp = new FakeControlPoint();
+    const sim = new SimulationController({
+      trainer: { characteristics: { [FTMS_CONTROL_POINT_UUID]: cp } },
+      difficulty: 50,
+    });
+    await sim.update(0, road);
+
+    const [write] = cp.simulationWrites();
+    const view = new DataView(new Uint8Array(write).buffer);
+    expect(view.getInt16(1, true)).toBe(2000); // 2 m/s in 0.001 m/s
+    expect(view.getInt16(3, true)).toBe(300); // 6 % * 50 % = 3 % in 0.01 %
+    expect(view.getUint8(5)).toBe(40); // 0.004 in 0.0001
+    expect(view.getUint8(6)).toBe(51); // 0.51 kg/m in 0.01
+  });
+
+  test('rate limits writes and skips unchanged parameters', async () => {
+    const cp = new FakeControlPoint();
+    const sim = new SimulationController({
+      trainer: { characteristics: { [FTMS_CONTROL_POINT_UUID]: cp } },
+      minIntervalMs: 1000,
+      difficulty: 100,
+    });
+    await sim.update(0, road);
+    await sim.update(500, { ...road, slope: 0.08 }); // too soon
+    await sim.update(1500, road); // unchanged
+    await sim.update(2500, { ...road, slope: 0.08 });
+
+    const grades = cp.simulationWrites().map((w) => new DataView(new Uint8Array(w).buffer).getInt16(3, true));
+    expect(grades).toEqual([600, 800]);
+  });
+
+  test('releases control on pause', async () => {
+    const cp = new FakeControlPoint();
+    const sim = new SimulationController({
+      trainer: { characteristics: { [FTMS_CONTROL_POINT_UUID]: cp } },
+    });
+    await sim.update(0, road);
+    await sim.pause();
+    expect(sim.hasControl).toBe(false);
+    expect(cp.writes.at(-1)).toEqual([FTMS_OP_CODES.RESET]);
+  });
+});
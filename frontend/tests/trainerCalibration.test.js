@@ -0,0 +1,131 @@
+// trainerCalibration.test.js: Unit tests for spin-down and zero offset calibration
+import { TrainerCalibration } from '../src/js/trainerCalibration.js';
+import {
+  FTMS_CONTROL_POINT_UUID,
+  FTMS_MACHINE_STATUS_UUID,
+  FTMS_OP_CODES,
+  FTMS_RESULT_CODES,
+} from '../src/js/ftmsControlPoint.js';
+import { CPS_CONTROL_POINT_UUID, CPS_OP_CODES, CPS_RESULT_CODES } from '../src/js/cpsControlPoint.js';
+
+// Answers every write with respond(bytes) -> response bytes
+class FakeCharacteristic extends EventTarget {
+  constructor(respond = () => null) {
+    super();
+    this.value = null;
+    this.writes = [];
+    this.respond = respond;
+    this.startNotifications = jest.fn(async () => this);
+  }
+
+  notify(bytes) {
+    this.value = new DataView(new Uint8Array(bytes).buffer);
+    this.dispatchEvent(new Event('characteristicvaluechanged'));
+  }
+
+  async writeValueWithResponse(payload) {
+    const bytes = Array.from(payload);
+    this.writes.push(bytes);
+    const response = this.respond(bytes);
+    if (response) setTimeout(() => this.notify(response), 0);
+  }
+}
+
+// Let the calibration run until it has asked the trainer to spin down
+async function untilSpinDownRequested(controlPoint) {
+  while (!controlPoint.writes.some((bytes) => bytes[0] === FTMS_OP_CODES.SPIN_DOWN_CONTROL)) {
+    await new Promise((r) => setTimeout(r, 0));
+  }
+  await new Promise((r) => setTimeout(r, 0));
+}
+
+const ftmsOk = (bytes) => [FTMS_OP_CODES.RESPONSE_CODE, bytes[0], FTMS_RESULT_CODES.SUCCESS];
+
+function makeCalibration(characteristics) {
+  const trainer = { device: {}, characteristics, onData: null };
+  return new TrainerCalibration({ trainer, sensors: { sensors: {}, trainer } });
+}
+
+describe('TrainerCalibration spin-down', () => {
+  test('reports the target speeds and passes on a success status', async () => {
+    const status = new FakeCharacteristic();
+    const controlPoint = new FakeCharacteristic((bytes) => {
+      if (bytes[0] !== FTMS_OP_CODES.SPIN_DOWN_CONTROL) return ftmsOk(bytes);
+      // 20.00 - 30.50 km/h
+      return [...ftmsOk(bytes), 0xd0, 0x07, 0xea, 0x0b];
+    });
+    const calibration = makeCalibration({
+      [FTMS_CONTROL_POINT_UUID]: controlPoint,
+      [FTMS_MACHINE_STATUS_UUID]: status,
+    });
+
+    const result = calibration.performSpindownCalibration();
+    await untilSpinDownRequested(controlPoint);
+    expect(calibration.calibrationData.targetSpeedLow).toBe(20);
+    expect(calibration.calibrationData.targetSpeedHigh).toBe(30.5);
+
+    status.notify([0x14, 0x04]); // stop pedaling
+    status.notify([0x14, 0x02]); // success
+    await expect(result).resolves.toMatchObject({ passed: true, targetSpeedLow: 20, targetSpeedHigh: 30.5 });
+    expect(controlPoint.writes[0]).toEqual([FTMS_OP_CODES.REQUEST_CONTROL]);
+    expect(controlPoint.writes[1]).toEqual([FTMS_OP_CODES.SPIN_DOWN_CONTROL, 0x01]);
+  });
+
+  test('fails when the trainer reports a spin-down error', async () => {
+    const status = new FakeCharacteristic();
+    const controlPoint = new FakeCharacteristic(ftmsOk);
+    const calibration = makeCalibration({
+      [FTMS_CONTROL_POINT_UUID]: controlPoint,
+      [FTMS_MACHINE_STATUS_UUID]: status,
+    });
+
+    const result = calibration.performSpindownCalibration();
+    await untilSpinDownRequested(controlPoint);
+    status.notify([0x14, 0x03]);
+    await expect(result).resolves.toMatchObject({ passed: false });
+  });
+
+  test('a cancelled spin-down rejects instead of passing', async () => {
+    const status = new FakeCharacteristic();
+    const calibration = makeCalibration({ [FTMS_MACHINE_STATUS_UUID]: status });
+    const spinDown = calibration.waitForSpinDown(status);
+    spinDown.cancel();
+    await expect(spinDown.finished).rejects.toMatchObject({ cancelled: true });
+
+    // It no longer listens, so a late success changes nothing
+    status.notify([0x14, 0x02]);
+    await expect(spinDown.finished).rejects.toMatchObject({ message: 'cancelled' });
+  });
+
+  test('is unsupported without an FTMS control point', async () => {
+    const calibration = makeCalibration({});
+    await expect(calibration.performSpindownCalibration()).resolves.toMatchObject({ passed: null });
+  });
+});
+
+describe('TrainerCalibration zero offset', () => {
+  test('returns the offset from the power meter', async () => {
+    const controlPoint = new FakeCharacteristic((bytes) => [
+      CPS_OP_CODES.RESPONSE_CODE, bytes[0], CPS_RESULT_CODES.SUCCESS, 0xf6, 0xff, // -10
+    ]);
+    const calibration = makeCalibration({ [CPS_CONTROL_POINT_UUID]: controlPoint });
+
+    await expect(calibration.performZeroOffsetCalibration()).resolves.toEqual({
+      passed: true,
+      message: 'Zero offset passed (offset -10)',
+      offset: -10,
+    });
+    expect(controlPoint.writes).toEqual([[CPS_OP_CODES.START_OFFSET_COMPENSATION]]);
+  });
+
+  test('explains a failed offset compensation', async () => {
+    const controlPoint = new FakeCharacteristic((bytes) => [
+      CPS_OP_CODES.RESPONSE_CODE, bytes[0], CPS_RESULT_CODES.OPERATION_FAILED, 0x01,
+    ]);
+    const calibration = makeCalibration({ [CPS_CONTROL_POINT_UUID]: controlPoint });
+
+    const result = await calibration.performZeroOffsetCalibration();
+    expect(result.passed).toBe(false);
+    expect(result.message).toMatch(/Incorrect calibration position/);
+  });
+});
@@ -0,0 +1,122 @@
+// virtualTrainer.test.js: Unit tests for the software trainer, driven through the real parsers and controllers
+import { VirtualTrainer, profileFromRideHistory } from '../src/js/virtualTrainer.js';
+import { ErgController } from '../src/js/ergMode.js';
+import { SimulationController } from '../src/js/simulationMode.js';
+import { TrainerCalibration } from '../src/js/trainerCalibration.js';
+import { SensorManager, SENSOR_ROLES } from '../src/js/sensorManager.js';
+
+function makeTrainer(options = {}) {
+  let nowMs = 0;
+  const trainer = new VirtualTrainer({ tickMs: 0, spinDownMs: 20, now: () => nowMs, ...options });
+  const received = [];
+  trainer.onData = (data) => received.push(data);
+  const advance = (ms) => {
+    nowMs += ms;
+    trainer.tick();
+  };
+  return { trainer, received, advance };
+}
+
+// Merge every notification into one picture of the latest values
+const latest = (received) => Object.assign({}, ...received);
+
+describe('VirtualTrainer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('replays the profile through the FTMS and Cycling Power parsers', async () => {
+    const { trainer, received, advance } = makeTrainer({
+      profile: [
+        { t: 0, power: 100, cadence: 90, heartRate: 110 },
+        { t: 10, power: 200, cadence: 90, heartRate: 130 },
+      ],
+    });
+    await trainer.connect();
+    advance(1000);
+    advance(4000);
+
+    const data = latest(received);
+    expect(data.power).toBe(150);
+    expect(data.heartRate).toBe(120);
+    expect(data.cadence).toBeCloseTo(90, 0);
+    expect(data.speed).toBeGreaterThan(0);
+  });
+
+  test('holds the ERG target written through the control point', async () => {
+    const { trainer, received, advance } = makeTrainer();
+    await trainer.connect();
+    const erg = new ErgController({ trainer });
+    erg.update(250);
+    await erg.idle();
+
+    advance(1000);
+    expect(latest(received).power).toBe(250);
+
+    erg.update(null);
+    await erg.idle();
+    advance(1000);
+    expect(latest(received).power).toBe(150);
+  });
+
+  test('slows down on a simulated climb', async () => {
+    const { trainer, received, advance } = makeTrainer();
+    await trainer.connect();
+    advance(1000);
+    const flatSpeed = latest(received).speed;
+
+    const sim = new SimulationController({ trainer, difficulty: 100 });
+    await sim.update(0, { slope: 0.08, crr: 0.004, cw: 0.3 });
+    expect(trainer.simulation.grade).toBeCloseTo(0.08, 4);
+
+    advance(1000);
+    expect(latest(received).speed).toBeLessThan(flatSpeed);
+  });
+
+  test('rejects control point writes without control', async () => {
+    const { trainer } = makeTrainer();
+    await trainer.connect();
+    trainer.handleControlPointWrite(new Uint8Array([0x05, 100, 0]));
+    expect(trainer.targetPower).toBeNull();
+  });
+
+  test('passes a spin-down calibration', async () => {
+    const { trainer } = makeTrainer();
+    await trainer.connect();
+    const calibration = new TrainerCalibration({ trainer, sensors: { sensors: {}, trainer } });
+    await expect(calibration.performSpindownCalibration()).resolves.toMatchObject({
+      passed: true,
+      targetSpeedLow: 20,
+      targetSpeedHigh: 30,
+    });
+  });
+
+  test('feeds the sensor manager like a Bluetooth trainer', async () => {
+    const { trainer, advance } = makeTrainer();
+    const manager = new SensorManager({ storage: null });
+    const received = [];
+    manager.onData = (data) => received.push(data);
+
+    await manager.connect(SENSOR_ROLES.TRAINER, trainer);
+    advance(1000);
+
+    expect(manager.trainer).toBe(trainer);
+    expect(manager.devices).toEqual({});
+    expect(latest(received).power).toBe(150);
+  });
+
+  test('builds a profile from recorded ride history', () => {
+    const profile = profileFromRideHistory([
+      { elapsedMs: 0, power: 120, heartRate: 100 },
+      { elapsedMs: 1000, power: 0, heartRate: null, dropout: true },
+      { elapsedMs: 2000, power: 0, heartRate: 105 },
+    ]);
+    expect(profile).toEqual([
+      { t: 0, power: 120, cadence: 85, heartRate: 100 },
+      { t: 2, power: 0, cadence: 0, heartRate: 105 },
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+// wind.test.js: Unit tests for the ride wind and relative air speed in the physics
+import { Wind, seededRandom } from '../src/js/wind.js';
+import { powerToSpeed, resistanceForces, calculateCoastingSpeed } from '../src/js/physics.js';
+import { PhysicsEngine } from '../src/js/physicsEngine.js';
+
+const AHEAD = { x: 0, z: -1 };
+
+describe('Wind', () => {
+  test('is the same ride after ride for one seed', () => {
+    const a = new Wind({ seed: 42 });
+    const b = new Wind({ seed: 42 });
+    expect(b.fromDegrees).toBe(a.fromDegrees);
+    expect(b.baseSpeed).toBe(a.baseSpeed);
+    for (const t of [0, 7.5, 60, 600]) expect(b.speedAt(t)).toBe(a.speedAt(t));
+
+    const other = new Wind({ seed: 43 });
+    expect(other.fromDegrees).not.toBe(a.fromDegrees);
+  });
+
+  test('seededRandom stays in [0, 1)', () => {
+    const random = seededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const x = random();
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  test('gusts around the base speed without going negative', () => {
+    const wind = new Wind({ seed: 1, baseSpeed: 5, gustiness: 0.4 });
+    const speeds = Array.from({ length: 600 }, (_, t) => wind.speedAt(t));
+    expect(Math.min(...speeds)).toBeGreaterThanOrEqual(5 * 0.6 - 1e-9);
+    expect(Math.max(...speeds)).toBeLessThanOrEqual(5 * 1.4 + 1e-9);
+    expect(Math.max(...speeds) - Math.min(...speeds)).toBeGreaterThan(1);
+  });
+
+  test('turns a direction into a headwind, tailwind or crosswind', () => {
+    const still = { gustiness: 0, baseSpeed: 4 };
+    expect(new Wind({ ...still, fromDegrees: 0 }).headwindAt(0, AHEAD)).toBeCloseTo(4, 6);
+    expect(new Wind({ ...still, fromDegrees: 180 }).headwindAt(0, AHEAD)).toBeCloseTo(-4, 6);
+    expect(new Wind({ ...still, fromDegrees: 90 }).headwindAt(0, AHEAD)).toBeCloseTo(0, 6);
+
+    // A headwind's air moves back past the rider, towards +z
+    expect(new Wind({ ...still, fromDegrees: 0 }).vectorAt(0).z).toBeCloseTo(4, 6);
+  });
+});
+
+describe('wind in the physics', () => {
+  test('drag acts on the air speed, not the ground speed', () => {
+    const { aero: still } = resistanceForces(10, { slope: 0, windSpeed: 0 });
+    const { aero: head } = resistanceForces(10, { slope: 0, windSpeed: 5 });
+    const { aero: tail } = resistanceForces(10, { slope: 0, windSpeed: -5 });
+    expect(head / still).toBeCloseTo(2.25, 6);
+    expect(tail / still).toBeCloseTo(0.25, 6);
+    expect(resistanceForces(2, { slope: 0, windSpeed: -5 }).aero).toBeLessThan(0);
+  });
+
+  test('a headwind slows the rider and a tailwind speeds them up', () => {
+    const still = powerToSpeed({ power: 200, slope: 0, windSpeed: 0 });
+    expect(powerToSpeed({ power: 200, slope: 0, windSpeed: 5 })).toBeLessThan(still);
+    expect(powerToSpeed({ power: 200, slope: 0, windSpeed: -5 })).toBeGreaterThan(still);
+  });
+
+  test('a strong tailwind blows a coasting rider along', () => {
+    const drifting = powerToSpeed({ power: 0, slope: 0, windSpeed: -8 });
+    expect(drifting).toBeGreaterThan(0);
+    expect(calculateCoastingSpeed(0, 1, { slope: 0, windSpeed: -8 })).toBeGreaterThan(0);
+  });
+
+  test('the engine settles at the windy steady state', () => {
+    const engine = new PhysicsEngine();
+    engine.setInputs({ power: 200, slope: 0, windSpeed: 4 });
+    expect(engine.run(600).speed).toBeCloseTo(powerToSpeed({ power: 200, slope: 0, windSpeed: 4 }), 1);
+  });
+});
@@ -0,0 +1,26 @@
+// workoutRide.js: Fixture shared by the workout controller tests (not a test suite itself)
+
+// A HUD that records the workout messages shown on it
+export function recordingHud() {
+  const hud = { showWorkoutMessage: jest.fn() };
+  const messages = () => hud.showWorkoutMessage.mock.calls.map(([{ text }]) => text);
+  return { hud, messages };
+}
+
+/**
+ * Ride a workout controller from 0 s in frames of frameSeconds.
+ * power is watts, or power(t, controller) for each frame; extra arguments go to update()
+ * after the power (e.g. cadence). rideTo rides until a time, rideFor for a number of seconds.
+ */
+export function rideWorkout(controller, { frameSeconds = 0.1 } = {}) {
+  let t = 0;
+  const rideTo = (until, power = 150, ...extra) => {
+    while (t < until - 1e-9) {
+      t = Math.round((t + frameSeconds) * 1000) / 1000;
+      const watts = typeof power === 'function' ? power(t, controller) : power;
+      controller.update(t * 1000, watts, ...extra);
+    }
+  };
+  const rideFor = (seconds, power, ...extra) => rideTo(t + seconds, power, ...extra);
+  return { rideTo, rideFor, now: () => t * 1000 };
+}
@@ -0,0 +1,101 @@
+// zwoParser.test.js: Unit tests for importing Zwift .zwo workouts
+import { parseZwo } from '../src/js/workouts/zwoParser.js';
+import { importWorkoutFile, findWorkout, loadImportedWorkouts, deleteImportedWorkout } from '../src/js/workouts/workoutLibrary.js';
+import { WorkoutPlayer, flattenWorkout } from '../src/js/workouts/WorkoutPlayer.js';
+
+const ZWO = `<?xml version="1.0" encoding="UTF-8"?>
+<workout_file>
+  <author>Coach</author>
+  <name>Over Unders</name>
+  <description>Sweet spot with surges</description>
+  <sportType>bike</sportType>
+  <workout>
+    <Warmup Duration="600" PowerLow="0.25" PowerHigh="0.75">
+      <textevent timeoffset="0" message="Easy spin to start"/>
+    </Warmup>
+    <SteadyState Duration="300" Power="0.88" Cadence="90"/>
+    <IntervalsT Repeat="3" OnDuration="60" OffDuration="120" OnPower="1.05" OffPower="0.6" Cadence="100" CadenceResting="85">
+      <textevent timeoffset="0" message="Surge!"/>
+      <textevent timeoffset="70" message="Recover"/>
+    </IntervalsT>
+    <FreeRide Duration="120" FlatRoad="1"/>
+    <MaxEffort Duration="20"/>
+    <Cooldown Duration="300" PowerLow="0.6" PowerHigh="0.3"/>
+  </workout>
+</workout_file>`;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('parseZwo', () => {
+  test('converts every block type', () => {
+    const workout = parseZwo(ZWO);
+    expect(workout.name).toBe('Over Unders');
+    expect(workout.description).toBe('Sweet spot with surges');
+    expect(workout.steps.map((step) => step.type)).toEqual(['ramp', 'steady', 'repeat', 'free', 'free', 'ramp']);
+
+    const [warmup, steady, intervals, , maxEffort, cooldown] = workout.steps;
+    expect(warmup).toMatchObject({ duration: 600, from: { ftp: 0.25 }, to: { ftp: 0.75 } });
+    expect(warmup.cues).toEqual([{ at: 0, text: 'Easy spin to start' }]);
+    expect(steady.target).toEqual({ ftp: 0.88, cadence: 90 });
+    expect(maxEffort.cue).toMatch(/max effort/i);
+    expect(cooldown).toMatchObject({ from: { ftp: 0.6 }, to: { ftp: 0.3 } });
+
+    expect(intervals.count).toBe(3);
+    const [on, off] = intervals.steps;
+    expect(on).toMatchObject({ duration: 60, target: { ftp: 1.05, cadence: 100 }, cues: [{ at: 0, text: 'Surge!' }] });
+    expect(off).toMatchObject({ duration: 120, target: { ftp: 0.6, cadence: 85 }, cues: [{ at: 10, text: 'Recover' }] });
+  });
+
+  test('the result runs in the workout player', () => {
+    const workout = parseZwo(ZWO);
+    expect(flattenWorkout(workout)).toHaveLength(11);
+    const player = new WorkoutPlayer({ workout, ftp: 300 });
+    player.update(0);
+    player.update(700 * 1000);
+    expect(player.getCurrentTarget()).toEqual({ watts: 264, heartRate: null, cadence: 90 });
+  });
+
+  test('rejects files that are not workouts', () => {
+    expect(() => parseZwo('<workout_file><workout>')).toThrow('not well-formed');
+    expect(() => parseZwo('<route/>')).toThrow('<workout_file>');
+    expect(() => parseZwo('<workout_file><workout><SteadyState Power="0.5"/></workout></workout_file>')).toThrow(
+      'Duration'
+    );
+  });
+
+  test('skips blocks it does not know and falls back to the file name', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const workout = parseZwo(
+      '<workout_file><workout><Unknown Duration="5"/><FreeRide Duration="60"/></workout></workout_file>',
+      { fallbackName: 'my_ride' }
+    );
+    expect(workout.name).toBe('my_ride');
+    expect(workout.steps).toEqual([{ type: 'free', duration: 60 }]);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('workout library', () => {
+  test('keeps imported workouts next to the built-in ones', () => {
+    const { id } = importWorkoutFile(ZWO, { fileName: 'over-unders.zwo' });
+    expect(id).toBe('zwo-over-unders');
+    expect(findWorkout(id).name).toBe('Over Unders');
+    expect(findWorkout('sweetspot').name).toBe('Sweet Spot 3x10');
+    expect(findWorkout('free')).toBeNull();
+
+    // Importing the same workout again replaces it
+    importWorkoutFile(ZWO);
+    expect(Object.keys(loadImportedWorkouts())).toEqual([id]);
+
+    deleteImportedWorkout(id);
+    expect(findWorkout(id)).toBeNull();
+  });
+
+  test('does not store a file that fails to parse', () => {
+    expect(() => importWorkoutFile('<nope/>')).toThrow();
+    expect(loadImportedWorkouts()).toEqual({});
+  });
+});